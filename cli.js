@@ -7,11 +7,24 @@
  */
 
 const { generatePublications, getCachedPublications } = require('./src/index');
+const ResponseCache = require('./src/utils/ResponseCache');
+const PublicationType = require('./src/utils/PublicationType');
 const path = require('path');
 const fs = require('fs');
 
 const args = process.argv.slice(2);
-const command = args[0];
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const positional = args.filter(arg => !arg.startsWith('--'));
+const typeArg = args.find(arg => arg.startsWith('--type='));
+const typeFilter = typeArg ? typeArg.slice('--type='.length) : null;
+const command = positional[0];
+
+// Response cache and output options shared by all generate variants
+const generateOptions = {
+    offline: flags.has('--no-network'),
+    useCache: !flags.has('--no-cache'),
+    provenance: flags.has('--provenance')
+};
 
 const CONFIG_PATH = path.join(__dirname, 'config');
 const DATA_PATH = path.join(__dirname, 'data');
@@ -26,7 +39,8 @@ async function main() {
                 dataPath: DATA_PATH,
                 fetchArxiv: true,
                 fetchOrcid: true,
-                returnData: false
+                returnData: false,
+                ...generateOptions
             });
             break;
             
@@ -37,7 +51,8 @@ async function main() {
                 dataPath: DATA_PATH,
                 fetchArxiv: true,
                 fetchOrcid: false,
-                returnData: false
+                returnData: false,
+                ...generateOptions
             });
             break;
             
@@ -48,7 +63,8 @@ async function main() {
                 dataPath: DATA_PATH,
                 fetchArxiv: false,
                 fetchOrcid: true,
-                returnData: false
+                returnData: false,
+                ...generateOptions
             });
             break;
             
@@ -59,28 +75,40 @@ async function main() {
                 dataPath: DATA_PATH,
                 fetchArxiv: false,
                 fetchOrcid: false,
-                returnData: false
+                returnData: false,
+                ...generateOptions
             });
             break;
             
         case 'show':
         case 'stats':
-            const pubs = getCachedPublications(DATA_PATH);
+            const pubs = getCachedPublications(DATA_PATH, { type: typeFilter });
             if (!pubs) {
                 console.error('No cached data found. Run "generate" first.');
                 process.exit(1);
             }
             
             // Overall statistics
-            const totalBooks = pubs.entries.filter(p => p.journal_ref && p.journal_ref.startsWith('ISBN:')).length;
-            const totalPublished = pubs.entries.filter(p => p.journal_ref && !p.journal_ref.startsWith('ISBN:')).length;
-            const totalPreprints = pubs.entries.filter(p => !p.journal_ref).length;
+            const countByType = (entries) => {
+                const counts = {};
+                for (const entry of entries) {
+                    const type = entry.type || 'unknown';
+                    counts[type] = (counts[type] || 0) + 1;
+                }
+                return Object.entries(counts).sort((a, b) => {
+                    const rank = (type) => PublicationType.TYPES.includes(type) ? PublicationType.TYPES.indexOf(type) : Infinity;
+                    return rank(a[0]) - rank(b[0]);
+                });
+            };
             
             console.log('\n=== Publications Database Statistics ===\n');
+            if (typeFilter) {
+                console.log(`Type filter: ${typeFilter}`);
+            }
             console.log(`Total entries: ${pubs.entries.length}`);
-            console.log(`  Publications (with journal ref): ${totalPublished}`);
-            console.log(`  Books/Chapters (ISBN): ${totalBooks}`);
-            console.log(`  Preprints (no journal ref): ${totalPreprints}`);
+            for (const [type, count] of countByType(pubs.entries)) {
+                console.log(`  ${type}: ${count}`);
+            }
             console.log(`Publications with DOI: ${pubs.entries.filter(p => p.doi).length}`);
             console.log(`Publications with coverage: ${pubs.entries.filter(p => p.coverage && p.coverage.length > 0).length}`);
             console.log(`Publications with awards: ${pubs.entries.filter(p => p.awards && p.awards.length > 0).length}`);
@@ -105,16 +133,10 @@ async function main() {
                     return false;
                 });
                 
-                const books = authorPubs.filter(p => p.journal_ref && p.journal_ref.startsWith('ISBN:')).length;
-                const published = authorPubs.filter(p => p.journal_ref && !p.journal_ref.startsWith('ISBN:')).length;
-                const preprints = authorPubs.filter(p => !p.journal_ref).length;
                 const total = authorPubs.length;
                 
                 if (total > 0) {
-                    const parts = [];
-                    if (published > 0) parts.push(`${published} published`);
-                    if (books > 0) parts.push(`${books} books`);
-                    if (preprints > 0) parts.push(`${preprints} preprints`);
+                    const parts = countByType(authorPubs).map(([type, count]) => `${count} ${type}`);
                     console.log(`  ${researcher.name}: ${total} total (${parts.join(', ')})`);
                 } else {
                     console.log(`  ${researcher.name}: 0 publications`);
@@ -142,6 +164,32 @@ async function main() {
             console.log();
             break;
             
+        case 'cache': {
+            const cache = ResponseCache.fromConfig(CONFIG_PATH, DATA_PATH);
+            const action = positional[1] || 'stats';
+            
+            if (action === 'purge') {
+                const source = positional[2] || null;
+                const expiredOnly = flags.has('--expired');
+                const removed = cache.purge(source, { expiredOnly });
+                console.log(`Removed ${removed} ${expiredOnly ? 'expired ' : ''}cache entries${source ? ` from ${source}` : ''}`);
+                break;
+            }
+            
+            const stats = cache.stats();
+            const sources = Object.keys(stats);
+            console.log(`\n=== Response Cache (${cache.directory}) ===\n`);
+            if (sources.length === 0) {
+                console.log('Cache is empty');
+            }
+            for (const source of sources) {
+                const { entries, negative, expired, bytes } = stats[source];
+                console.log(`  ${source}: ${entries} entries (${negative} negative, ${expired} expired), ${(bytes / 1024).toFixed(1)} KiB`);
+            }
+            console.log();
+            break;
+        }
+            
         case 'help':
         case '--help':
         case '-h':
@@ -150,26 +198,39 @@ async function main() {
 QUDYMA Publications Database CLI
 
 Usage:
-  qudyma <command>
+  qudyma <command> [options]
 
 Commands:
-  generate       Fetch from arXiv and ORCID, then merge (default)
+  generate       Fetch from arXiv and ORCID, read the manual publications, then merge (default)
   refresh        Alias for generate
   
   arxiv-only     Fetch only from arXiv, then merge
   orcid-only     Fetch only from ORCID, then merge
-  merge-only     Merge cached data without fetching
+  merge-only     Merge cached data (and the manual publications) without fetching
   
   show           Show statistics about cached data
   stats          Alias for show
   
+  cache [stats]                    Show response cache contents
+  cache purge [source] [--expired] Remove cached lookups (all, or one source)
+  
   help           Show this help message
 
+Options:
+  --no-network   Serve CrossRef/arXiv lookups from the cache only (implies no fetching)
+  --no-cache     Do not read or write the response cache
+  --provenance   Record the source of every field in a "provenance" map per entry
+  --type=<types> Only count entries of these types in show/stats (comma-separated)
+
 Examples:
   qudyma generate          # Full refresh
   qudyma arxiv-only        # Only update arXiv data
   qudyma merge-only        # Re-merge with new config changes
+  qudyma merge-only --no-network  # Re-merge offline from cache
+  qudyma merge-only --provenance  # Re-merge, recording where each field came from
+  qudyma cache purge crossref     # Drop cached CrossRef lookups
   qudyma show              # Show current stats
+  qudyma show --type=book,book-chapter  # Stats for books and chapters only
 
 File Locations:
   Config:  ${CONFIG_PATH}
@@ -6,10 +6,23 @@ const fs = require('fs');
 const path = require('path');
 const ArxivFetcher = require('./fetchers/ArxivFetcher');
 const OrcidFetcher = require('./fetchers/OrcidFetcher');
+const ManualFetcher = require('./fetchers/ManualFetcher');
 const PublicationMerger = require('./merger/PublicationMerger');
+const ResponseCache = require('./utils/ResponseCache');
+const DateUtils = require('./utils/DateUtils');
 
 class PublicationFetcher {
-    constructor(configPath = '../config', dataPath = '../data') {
+    /**
+     * @param {string} configPath - Config directory (absolute or relative to src/)
+     * @param {string} dataPath - Data directory (absolute or relative to src/)
+     * @param {Object} options
+     * @param {boolean} options.useCache - Cache CrossRef/arXiv lookups on disk (default: true)
+     * @param {boolean} options.offline - Serve lookups only from the cache (default: false)
+     * @param {HttpClient} options.httpClient - HTTP client for all fetchers (default: shared client)
+     * @param {Object} options.endpoints - Base URL overrides: arxiv, arxivApi, crossrefApi, orcidApi, orcidToken
+     * @param {boolean} options.provenance - Write the per-field provenance map to publications.json (default: false)
+     */
+    constructor(configPath = '../config', dataPath = '../data', options = {}) {
         // Handle both relative and absolute paths
         if (path.isAbsolute(configPath)) {
             this.configPath = configPath;
@@ -26,9 +39,31 @@ class PublicationFetcher {
         // Load configuration files
         this.loadConfig();
         
+        // Response cache for CrossRef/arXiv lookups made during merge
+        const { useCache = true, offline = false } = options;
+        this.cache = useCache || offline
+            ? ResponseCache.fromConfig(this.configPath, this.dataPath, { offline })
+            : null;
+        
+        this.httpClient = options.httpClient || null;
+        this.endpoints = options.endpoints || {};
+        this.provenance = !!options.provenance;
+        
         // Initialize fetchers
-        this.arxivFetcher = new ArxivFetcher();
-        this.orcidFetcher = this.orcidOAuth ? new OrcidFetcher(this.orcidOAuth) : null;
+        this.arxivFetcher = new ArxivFetcher({
+            httpClient: this.httpClient,
+            baseUrl: this.endpoints.arxiv,
+            apiUrl: this.endpoints.arxivApi
+        });
+        this.orcidFetcher = this.orcidOAuth
+            ? new OrcidFetcher(this.orcidOAuth, {
+                httpClient: this.httpClient,
+                tokenCachePath: path.join(this.dataPath, 'orcid_token.json'),
+                apiUrl: this.endpoints.orcidApi,
+                tokenUrl: this.endpoints.orcidToken
+            })
+            : null;
+        this.manualFetcher = new ManualFetcher(this.configPath);
     }
 
     loadConfig() {
@@ -43,18 +78,50 @@ class PublicationFetcher {
             this.highlights = { entries: [] };
         }
         
-        // Load ORCID credentials if exists
+        // Optional settings: defaults when the file is absent, an error when it is broken
+        this.dedup = this.loadOptionalJSON('dedup.json', {});
+        this.mergePolicy = this.loadOptionalJSON('merge_policy.json', {});
+        this.membership = this.loadOptionalJSON('membership.json', {});
+        this.citationStyle = this.loadOptionalJSON('citation_style.json', {});
+        
+        // Load the inclusion rules if present (defaults otherwise)
+        this.inclusion = this.loadOptionalJSON('inclusion.json', {});
+        
+        // Load the group's institutions (affiliation matching) if present
+        this.affiliations = this.loadOptionalJSON('affiliations.json', {});
+        
+        // Load the hand corrections per publication if present
+        this.overrides = this.loadOptionalJSON('overrides.json', {});
+        
+        // Load ORCID credentials from file and/or ORCID_* environment variables
+        let orcidOAuthFile = null;
         try {
-            this.orcidOAuth = this.loadJSON(path.join(this.configPath, 'orcid_oauth.json'));
+            orcidOAuthFile = this.loadJSON(path.join(this.configPath, 'orcid_oauth.json'));
         } catch (err) {
-            this.orcidOAuth = null;
+            orcidOAuthFile = null;
         }
+        this.orcidOAuth = OrcidFetcher.resolveCredentials(orcidOAuthFile);
     }
 
     loadJSON(filePath) {
         return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     }
 
+    /**
+     * Reads an optional config file, giving `fallback` only when it does not exist;
+     * a file that is there but unreadable stops the run instead of silently
+     * switching to the defaults
+     */
+    loadOptionalJSON(fileName, fallback) {
+        const filePath = path.join(this.configPath, fileName);
+        try {
+            return this.loadJSON(filePath);
+        } catch (err) {
+            if (err.code === 'ENOENT') return fallback;
+            throw new Error(`Cannot read ${filePath}: ${err.message}`);
+        }
+    }
+
     // ==================== arXiv Fetching ====================
 
     async fetchArxiv() {
@@ -63,8 +130,8 @@ class PublicationFetcher {
         for (const [id, researcher] of Object.entries(this.basics)) {
             console.log(`  Processing ${researcher.name} (ID: ${id})...`);
             
-            if (!researcher.date_in) {
-                console.log(`    Skipping: date_in is null`);
+            if (DateUtils.membershipPeriods(researcher).length === 0) {
+                console.log(`    Skipping: no membership period with a start date`);
                 continue;
             }
             
@@ -79,6 +146,7 @@ class PublicationFetcher {
                 orcid: researcher.orcid,
                 date_in: researcher.date_in,
                 date_out: researcher.date_out,
+                periods: DateUtils.membershipPeriods(researcher),
                 entries: []
             };
             
@@ -108,8 +176,8 @@ class PublicationFetcher {
         for (const [id, researcher] of Object.entries(this.basics)) {
             console.log(`  Processing ${researcher.name} (ID: ${id})...`);
             
-            if (!researcher.date_in) {
-                console.log(`    Skipping: date_in is null`);
+            if (DateUtils.membershipPeriods(researcher).length === 0) {
+                console.log(`    Skipping: no membership period with a start date`);
                 continue;
             }
             
@@ -123,6 +191,7 @@ class PublicationFetcher {
                 orcid: researcher.orcid,
                 date_in: researcher.date_in,
                 date_out: researcher.date_out,
+                periods: DateUtils.membershipPeriods(researcher),
                 entries: []
             };
 
@@ -139,6 +208,33 @@ class PublicationFetcher {
         return publications;
     }
 
+    // ==================== Manual Publications ====================
+
+    async fetchManual() {
+        /**
+         * Reads config/manual_publications.bib/.ris into data/manual_publications.json,
+         * grouped by member like the arXiv and ORCID data
+         */
+        const publications = {};
+
+        for (const [id, entries] of Object.entries(this.manualFetcher.fetchAll(this.basics))) {
+            const researcher = this.basics[id];
+            publications[id] = {
+                name: researcher.name,
+                periods: DateUtils.membershipPeriods(researcher),
+                entries
+            };
+            console.log(`  ${researcher.name} (ID: ${id}): ${entries.length} publications`);
+        }
+
+        // Save to data directory
+        const outputPath = path.join(this.dataPath, 'manual_publications.json');
+        fs.writeFileSync(outputPath, JSON.stringify(publications, null, 4));
+        console.log(`  Saved to ${outputPath}`);
+
+        return publications;
+    }
+
     // ==================== Merging and Processing ====================
 
     async mergePublications() {
@@ -147,7 +243,20 @@ class PublicationFetcher {
             this.basics,
             this.journalAbbreviations,
             this.normalizationPatterns,
-            this.highlights
+            this.highlights,
+            {
+                cache: this.cache,
+                httpClient: this.httpClient,
+                endpoints: this.endpoints,
+                dedup: this.dedup,
+                mergePolicy: this.mergePolicy,
+                citationStyle: this.citationStyle,
+                membership: this.membership,
+                inclusion: this.inclusion,
+                affiliations: this.affiliations,
+                overrides: this.overrides,
+                provenance: this.provenance
+            }
         );
         
         return await merger.mergePublications();
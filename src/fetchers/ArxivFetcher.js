@@ -2,32 +2,53 @@
  * ArxivFetcher - Handles fetching from arXiv API
  */
 
-const fs = require('fs');
-const http = require('http');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execPromise = promisify(exec);
-const XmlParser = require('../parsers/XmlParser');
-const DateUtils = require('../utils/DateUtils');
+const HttpClient = require('../utils/HttpClient');
+const AtomParser = require('../parsers/AtomParser');
+const ArxivId = require('../utils/ArxivId');
+const TitleUtils = require('../utils/TitleUtils');
+const AuthorList = require('../utils/AuthorList');
+
+const BASE_URL = 'https://arxiv.org';
+const API_URL = 'https://export.arxiv.org/api/query';
+
+// IDs per id_list request and DOIs per OR-ed search query (keeps URLs short)
+const ID_BATCH_SIZE = 100;
+const DOI_BATCH_SIZE = 20;
+// Pages of twice the chunk size read per doi: query at most; it can only match its own DOIs
+const DOI_MAX_PAGES = 3;
 
 class ArxivFetcher {
-    constructor() {
-        // No state needed
+    /**
+     * @param {Object} options
+     * @param {HttpClient} options.httpClient - HTTP client (default: shared client)
+     * @param {ResponseCache} options.cache - Response cache for lookups (default: none)
+     * @param {string} options.baseUrl - arXiv site serving author feeds (default: https://arxiv.org)
+     * @param {string} options.apiUrl - arXiv API query endpoint (default: https://export.arxiv.org/api/query)
+     */
+    constructor(options = {}) {
+        this.http = options.httpClient || HttpClient.getDefault();
+        this.cache = options.cache || null;
+        this.baseUrl = options.baseUrl || BASE_URL;
+        this.apiUrl = options.apiUrl || API_URL;
+    }
+
+    async cached(key, fetchFn) {
+        /**
+         * Routes a lookup through the response cache when one is configured
+         */
+        if (!this.cache) return await fetchFn();
+        return await this.cache.wrap('arxiv', key, fetchFn);
     }
 
     async fetchJSON(url) {
-        const tmpFile = `/tmp/arxiv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.js`;
         try {
             const jsUrl = url.replace('.json', '.js');
-            await execPromise(`wget -q -T 30 -t 3 -O "${tmpFile}" "${jsUrl}"`);
-            
-            if (!fs.existsSync(tmpFile) || fs.statSync(tmpFile).size === 0) {
-                throw new Error('Empty or missing file');
+            const data = await this.http.getText(jsUrl);
+
+            if (!data || data.trim() === '') {
+                throw new Error('Empty response');
             }
-            
-            let data = fs.readFileSync(tmpFile, 'utf8');
-            fs.unlinkSync(tmpFile);
-            
+
             const match = data.match(/jsonarXivFeed\((.*)\)/s);
             if (match && match[1]) {
                 return JSON.parse(match[1]);
@@ -35,24 +56,22 @@ class ArxivFetcher {
                 return JSON.parse(data);
             }
         } catch (error) {
-            if (fs.existsSync(tmpFile)) {
-                fs.unlinkSync(tmpFile);
-            }
-            throw new Error('Failed to fetch or parse');
+            throw new Error(`Failed to fetch or parse: ${error.message}`);
         }
     }
 
     async fetchForResearcher(researcher) {
         /**
          * Fetches publications for a single researcher from arXiv
-         * Returns an array of publication entries
+         * Returns an array of publication entries (all of them; the merger
+         * decides which belong to the group)
          */
         let data = null;
         
         // Try arXiv author ID first
         if (researcher.arxiv_authorid) {
             try {
-                const url = `https://arxiv.org/a/${researcher.arxiv_authorid}.json`;
+                const url = `${this.baseUrl}/a/${researcher.arxiv_authorid}.json`;
                 data = await this.fetchJSON(url);
                 console.log(`    Fetched from arXiv author ID`);
             } catch (error) {
@@ -63,7 +82,7 @@ class ArxivFetcher {
         // Fallback to ORCID if arXiv author ID failed or not available
         if (!data && researcher.orcid) {
             try {
-                const url = `https://arxiv.org/a/${researcher.orcid}.json`;
+                const url = `${this.baseUrl}/a/${researcher.orcid}.json`;
                 data = await this.fetchJSON(url);
                 console.log(`    Fetched from ORCID`);
             } catch (error) {
@@ -71,37 +90,115 @@ class ArxivFetcher {
             }
         }
         
-        // Filter entries by date range
+        return data && data.entries ? data.entries : [];
+    }
+
+    async cachedMany(keys, fetchMissing) {
+        /**
+         * Batch counterpart of cached(): fetchMissing gets the uncached keys
+         * and resolves to a Map of key to value
+         */
+        if (!this.cache) {
+            const fetched = await fetchMissing(keys);
+            return new Map(keys.map(key => [key, fetched.has(key) ? fetched.get(key) : null]));
+        }
+        return await this.cache.wrapMany('arxiv', keys, fetchMissing);
+    }
+
+    async queryAllPages(params, pageSize, options = {}) {
+        /**
+         * Runs a query and follows start/max_results paging until the feed's
+         * totalResults are collected; returns all entries
+         * options.maxPages caps the requests, and options.onPage(entries) stops the
+         * paging by returning false
+         */
         const entries = [];
-        if (data && data.entries) {
-            for (const entry of data.entries) {
-                if (DateUtils.shouldIncludePublication(entry.published, researcher, entry.journal_ref)) {
-                    entries.push(entry);
-                }
-            }
+        let start = 0;
+        let pages = 0;
+
+        while (true) {
+            const feed = await this.queryFeed({ ...params, start, max_results: pageSize });
+            entries.push(...feed.entries);
+            start += feed.entries.length;
+            pages++;
+            const more = options.onPage ? options.onPage(feed.entries) !== false : true;
+
+            const total = feed.total_results !== null ? feed.total_results : entries.length;
+            if (!more || feed.entries.length === 0 || start >= total) break;
+            if (options.maxPages && pages >= options.maxPages) break;
         }
-        
         return entries;
     }
 
+    async queryFeed(params) {
+        /**
+         * Runs an arXiv API query and returns the parsed Atom feed
+         */
+        const query = Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+        const data = await this.http.getText(`${this.apiUrl}?${query}`);
+        const feed = AtomParser.parse(data);
+        if (feed.errors.length > 0) {
+            throw new Error(`arXiv API error: ${feed.errors.join('; ')}`);
+        }
+        return feed;
+    }
+
+    static extractId(entryId) {
+        /**
+         * Extracts the canonical (versioned) arXiv ID from an abs URL
+         */
+        const parsed = ArxivId.parse(entryId);
+        return parsed ? parsed.id : null;
+    }
+
+    toEntry(atomEntry) {
+        /**
+         * Converts a parsed Atom entry into the entry format used across the pipeline
+         */
+        const arxivId = ArxivFetcher.extractId(atomEntry.id);
+        const pdfLink = atomEntry.links.find(link => link.title === 'pdf');
+        const htmlLink = atomEntry.links.find(link => link.rel === 'alternate');
+
+        return {
+            id: `http://arxiv.org/abs/${arxivId}`,
+            published: atomEntry.published,
+            updated: atomEntry.updated,
+            title: atomEntry.title,
+            summary: atomEntry.summary,
+            authors: atomEntry.authors.map(a => a.name).join(', '),
+            author_list: AuthorList.fromArxiv(atomEntry.authors),
+            categories: atomEntry.categories,
+            primary_category: atomEntry.primary_category,
+            comment: atomEntry.comment,
+            journal_ref: atomEntry.journal_ref,
+            doi: atomEntry.doi,
+            formats: {
+                html: htmlLink ? htmlLink.href : `http://arxiv.org/abs/${arxivId}`,
+                pdf: pdfLink ? pdfLink.href : `http://arxiv.org/pdf/${arxivId}`
+            }
+        };
+    }
+
+    static normalizeTitle(title) {
+        return TitleUtils.titleKey(title);
+    }
+
     async searchByDOI(doi) {
         /**
          * Searches arXiv by DOI
          * Returns arXiv ID if found, null otherwise
+         * When several entries come back, the one whose arxiv:doi matches wins
          */
-        return new Promise((resolve, reject) => {
-            const cleanDoi = doi.replace('https://doi.org/', '').replace('http://doi.org/', '');
-            const query = encodeURIComponent(`doi:"${cleanDoi}"`);
-            const url = `http://export.arxiv.org/api/query?search_query=${query}&max_results=1`;
-            
-            http.get(url, (res) => {
-                let data = '';
-                res.on('data', (chunk) => { data += chunk; });
-                res.on('end', () => {
-                    const idMatch = data.match(/<id>http:\/\/arxiv\.org\/abs\/([\d.]+v?\d*)<\/id>/);
-                    resolve(idMatch ? idMatch[1] : null);
-                });
-            }).on('error', reject);
+        const cleanDoi = doi.replace(/^https?:\/\/(dx\.)?doi\.org\//, '').trim();
+
+        return await this.cached(`doi:${cleanDoi.toLowerCase()}`, async () => {
+            const feed = await this.queryFeed({ search_query: `doi:"${cleanDoi}"`, max_results: 5 });
+            if (feed.entries.length === 0) return null;
+
+            const exact = feed.entries.find(e => e.doi && e.doi.toLowerCase() === cleanDoi.toLowerCase());
+            return ArxivFetcher.extractId((exact || feed.entries[0]).id);
         });
     }
 
@@ -109,71 +206,123 @@ class ArxivFetcher {
         /**
          * Searches arXiv by title and author name
          * Returns the entry data if found, null otherwise
+         * Prefers an entry whose title matches exactly (ignoring case and punctuation)
+         */
+        // Clean and prepare search query
+        const cleanTitle = title.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+        const cleanAuthor = authorName.split(',')[0].trim(); // Take first author
+
+        try {
+            return await this.cached(`title:${cleanTitle.toLowerCase()}|${cleanAuthor.toLowerCase()}`, async () => {
+                // Search by title AND author
+                const feed = await this.queryFeed({
+                    search_query: `ti:"${cleanTitle}" AND au:"${cleanAuthor}"`,
+                    max_results: 5
+                });
+                if (feed.entries.length === 0) return null;
+
+                const wanted = ArxivFetcher.normalizeTitle(title);
+                const exact = feed.entries.find(e => ArxivFetcher.normalizeTitle(e.title) === wanted);
+                return this.toEntry(exact || feed.entries[0]);
+            });
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async fetchMetadataBatch(arxivIds) {
+        /**
+         * Fetches metadata for many arXiv IDs with comma-separated id_list
+         * requests of up to ID_BATCH_SIZE IDs each
+         * Returns a Map of requested ID to entry (null if arXiv has no such entry)
+         */
+        const ids = [...new Set(arxivIds.filter(id => id))];
+        const keys = ids.map(id => `id:${id}`);
+
+        const results = await this.cachedMany(keys, async (missingKeys) => {
+            // Malformed IDs would make arXiv reject the whole id_list
+            const missingIds = missingKeys
+                .map(key => key.slice('id:'.length))
+                .filter(id => ArxivId.parse(id));
+            const fetched = new Map();
+
+            for (let i = 0; i < missingIds.length; i += ID_BATCH_SIZE) {
+                const chunk = missingIds.slice(i, i + ID_BATCH_SIZE);
+                const idList = chunk.map(id => ArxivId.parse(id).id).join(',');
+                const entries = await this.queryAllPages({ id_list: idList }, chunk.length);
+
+                // Versionless requests come back as the latest version
+                const byId = new Map();
+                for (const atomEntry of entries) {
+                    const parsed = ArxivId.parse(atomEntry.id);
+                    if (!parsed) continue;
+                    byId.set(parsed.id, atomEntry);
+                    byId.set(parsed.base, atomEntry);
+                }
+                for (const id of chunk) {
+                    const atomEntry = byId.get(ArxivId.parse(id).id);
+                    if (atomEntry) fetched.set(`id:${id}`, this.toEntry(atomEntry));
+                }
+            }
+            return fetched;
+        });
+
+        return new Map(ids.map(id => [id, results.get(`id:${id}`)]));
+    }
+
+    async searchByDOIBatch(dois) {
+        /**
+         * Searches arXiv for many DOIs with OR-ed doi: queries of up to DOI_BATCH_SIZE each
+         * Paging stops after DOI_MAX_PAGES, or as soon as a page finds no new DOI of the chunk
+         * Returns a Map of cleaned, lowercased DOI to arXiv ID (null if not found)
          */
-        return new Promise((resolve) => {
-            // Clean and prepare search query
-            const cleanTitle = title.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-            const cleanAuthor = authorName.split(',')[0].trim(); // Take first author
-            
-            // Search by title AND author
-            const query = encodeURIComponent(`ti:"${cleanTitle}" AND au:"${cleanAuthor}"`);
-            const url = `http://export.arxiv.org/api/query?search_query=${query}&max_results=1`;
-            
-            http.get(url, { timeout: 10000 }, (res) => {
-                let data = '';
-                res.on('data', (chunk) => { data += chunk; });
-                res.on('end', async () => {
-                    try {
-                        const idMatch = data.match(/<id>http:\/\/arxiv\.org\/abs\/([\d.]+v?\d*)<\/id>/);
-                        if (idMatch) {
-                            // Fetch full metadata for this arXiv ID
-                            const metadata = await this.fetchMetadata(idMatch[1]);
-                            resolve(metadata);
-                        } else {
-                            resolve(null);
+        const cleanDois = [...new Set(dois
+            .filter(doi => doi)
+            .map(doi => doi.replace(/^https?:\/\/(dx\.)?doi\.org\//, '').trim().toLowerCase()))];
+        const keys = cleanDois.map(doi => `doi:${doi}`);
+
+        const results = await this.cachedMany(keys, async (missingKeys) => {
+            const missingDois = missingKeys.map(key => key.slice('doi:'.length));
+            const fetched = new Map();
+
+            for (let i = 0; i < missingDois.length; i += DOI_BATCH_SIZE) {
+                const chunk = missingDois.slice(i, i + DOI_BATCH_SIZE);
+                const query = chunk.map(doi => `doi:"${doi}"`).join(' OR ');
+
+                // Records each new DOI hit of a page; a page without any ends the paging
+                const collect = (entries) => {
+                    let found = 0;
+                    for (const atomEntry of entries) {
+                        const entryDoi = atomEntry.doi ? atomEntry.doi.toLowerCase() : null;
+                        if (entryDoi && chunk.includes(entryDoi) && !fetched.has(`doi:${entryDoi}`)) {
+                            fetched.set(`doi:${entryDoi}`, ArxivFetcher.extractId(atomEntry.id));
+                            found++;
                         }
-                    } catch (e) {
-                        resolve(null);
                     }
+                    return found > 0;
+                };
+                await this.queryAllPages({ search_query: query }, chunk.length * 2, {
+                    maxPages: DOI_MAX_PAGES,
+                    onPage: collect
                 });
-            }).on('error', () => resolve(null))
-              .on('timeout', () => resolve(null));
+            }
+            return fetched;
         });
+
+        return new Map(cleanDois.map(doi => [doi, results.get(`doi:${doi}`)]));
     }
 
     async fetchMetadata(arxivId) {
         /**
          * Fetches metadata for a specific arXiv ID
-         * Returns entry object with all metadata
+         * Returns entry object with all metadata, or null if arXiv has no such entry
          */
-        return new Promise((resolve, reject) => {
-            const url = `http://export.arxiv.org/api/query?id_list=${arxivId}&max_results=1`;
-            
-            http.get(url, (res) => {
-                let data = '';
-                res.on('data', (chunk) => { data += chunk; });
-                res.on('end', () => {
-                    try {
-                        const entry = {
-                            id: `http://arxiv.org/abs/${arxivId}`,
-                            published: XmlParser.extractXMLField(data, 'published'),
-                            updated: XmlParser.extractXMLField(data, 'updated'),
-                            title: XmlParser.extractXMLField(data, 'title').replace(/\s+/g, ' ').trim(),
-                            summary: XmlParser.extractXMLField(data, 'summary').replace(/\s+/g, ' ').trim(),
-                            authors: XmlParser.extractAuthors(data),
-                            categories: XmlParser.extractCategories(data),
-                            doi: XmlParser.extractDOI(data),
-                            formats: {
-                                html: `http://arxiv.org/abs/${arxivId.replace(/v\d+$/, '')}`,
-                                pdf: `http://arxiv.org/pdf/${arxivId.replace(/v\d+$/, '')}`
-                            }
-                        };
-                        resolve(entry);
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            }).on('error', reject);
+        const parsed = ArxivId.parse(arxivId);
+        if (!parsed) return null;
+
+        return await this.cached(`id:${arxivId}`, async () => {
+            const feed = await this.queryFeed({ id_list: parsed.id, max_results: 1 });
+            return feed.entries.length > 0 ? this.toEntry(feed.entries[0]) : null;
         });
     }
 }
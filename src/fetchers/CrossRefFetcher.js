@@ -2,159 +2,172 @@
  * CrossRefFetcher - Handles fetching from CrossRef API
  */
 
-const https = require('https');
+const HttpClient = require('../utils/HttpClient');
+const PublicationType = require('../utils/PublicationType');
+const JournalRefParser = require('../parsers/JournalRefParser');
+const AuthorList = require('../utils/AuthorList');
+const TextNormalizer = require('../utils/TextNormalizer');
+
+const API_URL = 'https://api.crossref.org';
+
+// Work record fields the lookups read; the rest (reference lists, licenses,
+// funders, links) is left out of the response cache
+const WORK_FIELDS = [
+    'DOI', 'type', 'title', 'author', 'abstract', 'ISBN', 'ISSN', 'container-title',
+    'short-container-title', 'volume', 'issue', 'page', 'article-number', 'issued', 'published'
+];
 
 class CrossRefFetcher {
-    constructor() {
-        // No state needed
+    /**
+     * @param {Object} options
+     * @param {HttpClient} options.httpClient - HTTP client (default: shared client)
+     * @param {ResponseCache} options.cache - Response cache for lookups (default: none)
+     * @param {string} options.apiUrl - CrossRef REST API root (default: https://api.crossref.org)
+     */
+    constructor(options = {}) {
+        this.http = options.httpClient || HttpClient.getDefault();
+        this.cache = options.cache || null;
+        this.apiUrl = options.apiUrl || API_URL;
+    }
+
+    async cached(key, fetchFn) {
+        /**
+         * Routes a lookup through the response cache when one is configured
+         */
+        if (!this.cache) return await fetchFn();
+        return await this.cache.wrap('crossref', key, fetchFn);
+    }
+
+    buildUrl(pathname, params = {}) {
+        /**
+         * Builds a CrossRef API URL, adding mailto so requests go to the polite pool
+         */
+        const query = new URLSearchParams(params);
+        if (this.http.mailto) {
+            query.set('mailto', this.http.mailto);
+        }
+        const queryString = query.toString();
+        return `${this.apiUrl}${pathname}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    /**
+     * Keeps only the WORK_FIELDS of a CrossRef work record
+     */
+    static slimWork(msg) {
+        if (!msg) return null;
+        const work = {};
+        for (const field of WORK_FIELDS) {
+            if (msg[field] !== undefined) work[field] = msg[field];
+        }
+        return work;
+    }
+
+    /**
+     * Builds a venue object (see JournalRefParser) from a CrossRef work record
+     * Whole books have no containing venue and get none
+     * @returns {Object|null} Venue, or null without container title
+     */
+    static venueFromWork(msg) {
+        if (!msg || PublicationType.fromCrossref(msg.type) === 'book') return null;
+        if (!msg['container-title'] || !msg['container-title'][0]) return null;
+
+        const date = (msg.issued || msg.published || {})['date-parts'];
+        const year = date && date[0] && date[0][0] ? parseInt(date[0][0], 10) : null;
+        const page = msg.page ? String(msg.page).replace(/\s*[-–—]+\s*/, '-') : null;
+
+        return {
+            ...JournalRefParser.emptyVenue(),
+            journal: msg['container-title'][0],
+            abbreviation: msg['short-container-title'] && msg['short-container-title'][0] || null,
+            issn: msg.ISSN && msg.ISSN[0] || null,
+            volume: msg.volume || null,
+            issue: msg.issue || null,
+            pages: page,
+            article_number: msg['article-number'] || null,
+            year: isNaN(year) ? null : year
+        };
+    }
+
+    async fetchWork(doi) {
+        /**
+         * Fetches the CrossRef work record for a DOI
+         * Returns the `message` object reduced to WORK_FIELDS, or null if CrossRef does not know the DOI
+         */
+        const cleanDoi = doi.replace('https://doi.org/', '').replace('http://doi.org/', '');
+        return await this.cached(`work:${cleanDoi.toLowerCase()}`, async () => {
+            try {
+                const json = await this.http.getJSON(this.buildUrl(`/works/${encodeURIComponent(cleanDoi)}`));
+                return CrossRefFetcher.slimWork(json.message);
+            } catch (error) {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }
+        });
     }
 
     async fetchMetadata(doi) {
         /**
          * Fetches authors and abstract from CrossRef API for a given DOI
-         * Returns { authors: string, summary: string } or { authors: null, summary: null }
+         * Returns { authors: string, author_list: Array, summary: string } (null where missing)
          */
-        if (!doi) return { authors: null, summary: null };
-        
+        if (!doi) return { authors: null, author_list: null, summary: null };
+
         try {
-            const cleanDoi = doi.replace('https://doi.org/', '').replace('http://doi.org/', '');
-            const url = `https://api.crossref.org/works/${cleanDoi}`;
-            
-            return new Promise((resolve) => {
-                const req = https.get(url, { timeout: 10000 }, (res) => {
-                    let data = '';
-                    res.on('data', (chunk) => { data += chunk; });
-                    res.on('end', () => {
-                        try {
-                            const json = JSON.parse(data);
-                            if (json.message) {
-                                const msg = json.message;
-                                const result = { authors: null, summary: null };
-                                
-                                // Extract authors
-                                if (msg.author && msg.author.length > 0) {
-                                    const authorsList = msg.author.map(a => {
-                                        if (a.literal) return a.literal;
-                                        const name = [];
-                                        if (a.given) name.push(a.given);
-                                        if (a.family) name.push(a.family);
-                                        return name.join(' ') || '';
-                                    }).filter(a => a).join(', ');
-                                    
-                                    if (authorsList) {
-                                        result.authors = authorsList;
-                                    }
-                                }
-                                
-                                // Extract abstract/summary
-                                if (msg.abstract) {
-                                    // Clean up the abstract (remove HTML tags if any)
-                                    let abstract = msg.abstract
-                                        .replace(/<[^>]*>/g, '') // Remove HTML tags
-                                        .replace(/&lt;/g, '<')
-                                        .replace(/&gt;/g, '>')
-                                        .replace(/&amp;/g, '&')
-                                        .trim();
-                                    
-                                    if (abstract && abstract.length > 50) {
-                                        result.summary = abstract;
-                                    }
-                                }
-                                
-                                resolve(result);
-                                return;
-                            }
-                            resolve({ authors: null, summary: null });
-                        } catch (e) {
-                            resolve({ authors: null, summary: null });
-                        }
-                    });
-                });
-                req.on('timeout', () => {
-                    req.destroy();
-                    resolve({ authors: null, summary: null });
-                });
-                req.on('error', () => resolve({ authors: null, summary: null }));
-            });
+            const msg = await this.fetchWork(doi);
+            if (!msg) return { authors: null, author_list: null, summary: null };
+
+            const result = { authors: null, author_list: null, summary: null };
+
+            // Extract authors
+            const authorList = AuthorList.fromCrossref(msg.author);
+            if (authorList.length > 0) {
+                result.author_list = authorList;
+                result.authors = AuthorList.toString(authorList);
+            }
+
+            // Extract abstract/summary, kept as JATS (the merger derives summary_text/summary_html)
+            if (msg.abstract) {
+                const abstract = msg.abstract.trim();
+                const text = TextNormalizer.toText(abstract);
+                if (text && text.length > 50) {
+                    result.summary = abstract;
+                }
+            }
+
+            return result;
         } catch (e) {
-            return { authors: null, summary: null };
+            return { authors: null, author_list: null, summary: null };
         }
     }
 
-    async inferJournalRef(doi, orcidEntry = null) {
+    async fetchType(doi) {
         /**
-         * Infers journal reference from DOI using CrossRef API
-         * If ISBN is present (and type is 'book'), return "ISBN: <code>"
+         * Fetches the publication type (PublicationType value) and ISBN of a DOI
+         * Returns { type, isbn } with null for what CrossRef does not know
+         */
+        if (!doi) return { type: null, isbn: null };
+
+        try {
+            const msg = await this.fetchWork(doi);
+            if (!msg) return { type: null, isbn: null };
+            return {
+                type: PublicationType.fromCrossref(msg.type),
+                isbn: msg.ISBN && msg.ISBN.length > 0 ? msg.ISBN[0] : null
+            };
+        } catch (e) {
+            return { type: null, isbn: null };
+        }
+    }
+
+    async fetchVenue(doi) {
+        /**
+         * Fetches the venue (journal, volume, issue, pages, year...) of a DOI
+         * Returns a venue object or null
          */
         if (!doi) return null;
-        
+
         try {
-            const cleanDoi = doi.replace('https://doi.org/', '').replace('http://doi.org/', '');
-            const url = `https://api.crossref.org/works/${cleanDoi}`;
-            
-            return new Promise((resolve) => {
-                const req = https.get(url, { timeout: 10000 }, (res) => {
-                    let data = '';
-                    res.on('data', (chunk) => { data += chunk; });
-                    res.on('end', () => {
-                        try {
-                            const json = JSON.parse(data);
-                            if (json.message) {
-                                const msg = json.message;
-                                
-                                // Check if this is a book or book chapter
-                                const isBook = msg.type === 'book' || 
-                                             msg.type === 'book-chapter' || 
-                                             msg.type === 'monograph' ||
-                                             msg.type === 'edited-book';
-                                
-                                // If it's a book, check for ISBN in ORCID entry
-                                if (isBook && orcidEntry && orcidEntry['external-ids']) {
-                                    const isbn = orcidEntry['external-ids'].find(e => e['external-id-type'] === 'isbn');
-                                    if (isbn && isbn['external-id-value']) {
-                                        resolve(`ISBN: ${isbn['external-id-value']}`);
-                                        return;
-                                    }
-                                }
-                                
-                                // Try container-title (journal name)
-                                if (msg['container-title'] && msg['container-title'].length > 0) {
-                                    const journal = msg['container-title'][0];
-                                    
-                                    // Format: "Journal Name vol(issue), page-page (year)"
-                                    let ref = journal;
-                                    
-                                    if (msg.volume) {
-                                        ref += ` ${msg.volume}`;
-                                        if (msg.issue) {
-                                            ref += `(${msg.issue})`;
-                                        }
-                                    }
-                                    
-                                    if (msg.page) {
-                                        ref += `, ${msg.page}`;
-                                    }
-                                    
-                                    if (msg.issued && msg.issued['date-parts'] && msg.issued['date-parts'][0]) {
-                                        ref += ` (${msg.issued['date-parts'][0][0]})`;
-                                    }
-                                    
-                                    resolve(ref);
-                                    return;
-                                }
-                            }
-                            resolve(null);
-                        } catch (e) {
-                            resolve(null);
-                        }
-                    });
-                });
-                req.on('timeout', () => {
-                    req.destroy();
-                    resolve(null);
-                });
-                req.on('error', () => resolve(null));
-            });
+            return CrossRefFetcher.venueFromWork(await this.fetchWork(doi));
         } catch (e) {
             return null;
         }
@@ -163,100 +176,72 @@ class CrossRefFetcher {
     async searchByTitleAndAuthor(title, authorName) {
         /**
          * Searches CrossRef by title and author name
-         * Returns { doi, authors, summary, journal_ref } if found, null otherwise
+         * Returns { doi, authors, author_list, summary, venue } if found, null otherwise
+         * (the merger renders journal_ref from the venue, as for fetchVenue)
          */
-        return new Promise((resolve) => {
-            const cleanTitle = title.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-            const lastName = authorName.split(',')[0].trim().split(' ').pop(); // Get last name
-            
-            const query = encodeURIComponent(`${cleanTitle} ${lastName}`);
-            const url = `https://api.crossref.org/works?query=${query}&rows=3`;
-            
-            https.get(url, { timeout: 10000 }, (res) => {
-                let data = '';
-                res.on('data', (chunk) => { data += chunk; });
-                res.on('end', () => {
-                    try {
-                        const json = JSON.parse(data);
-                        if (json.message && json.message.items && json.message.items.length > 0) {
-                            // Find best match by comparing titles
-                            const cleanSearchTitle = cleanTitle.toLowerCase();
-                            let bestMatch = null;
-                            let bestScore = 0;
-                            
-                            for (const item of json.message.items) {
-                                if (!item.title || !item.title[0]) continue;
-                                
-                                const itemTitle = item.title[0].toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-                                
-                                // Simple similarity: count matching words
-                                const searchWords = cleanSearchTitle.split(' ');
-                                const itemWords = itemTitle.split(' ');
-                                const matches = searchWords.filter(w => w.length > 3 && itemWords.some(iw => iw.includes(w) || w.includes(iw))).length;
-                                const score = matches / searchWords.length;
-                                
-                                if (score > bestScore && score > 0.6) {
-                                    bestScore = score;
-                                    bestMatch = item;
-                                }
-                            }
-                            
-                            if (bestMatch) {
-                                const result = {
-                                    doi: bestMatch.DOI ? `https://doi.org/${bestMatch.DOI}` : null,
-                                    authors: null,
-                                    summary: null,
-                                    journal_ref: null
-                                };
-                                
-                                // Extract authors
-                                if (bestMatch.author && bestMatch.author.length > 0) {
-                                    const authorsList = bestMatch.author.map(a => {
-                                        if (a.literal) return a.literal;
-                                        const name = [];
-                                        if (a.given) name.push(a.given);
-                                        if (a.family) name.push(a.family);
-                                        return name.join(' ') || '';
-                                    }).filter(a => a).join(', ');
-                                    result.authors = authorsList || null;
-                                }
-                                
-                                // Extract abstract
-                                if (bestMatch.abstract) {
-                                    result.summary = bestMatch.abstract
-                                        .replace(/<[^>]*>/g, '')
-                                        .replace(/&lt;/g, '<')
-                                        .replace(/&gt;/g, '>')
-                                        .replace(/&amp;/g, '&')
-                                        .trim() || null;
-                                }
-                                
-                                // Extract journal reference
-                                if (bestMatch['container-title'] && bestMatch['container-title'][0]) {
-                                    const journal = bestMatch['container-title'][0];
-                                    const volume = bestMatch.volume || '';
-                                    const page = bestMatch.page || '';
-                                    const year = bestMatch.published?.['date-parts']?.[0]?.[0] || '';
-                                    
-                                    let ref = journal;
-                                    if (volume) ref += ` ${volume}`;
-                                    if (page) ref += `, ${page}`;
-                                    if (year) ref += ` (${year})`;
-                                    result.journal_ref = ref;
-                                }
-                                
-                                resolve(result);
-                                return;
-                            }
-                        }
-                        resolve(null);
-                    } catch (e) {
-                        resolve(null);
+        const cleanTitle = title.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+        const lastName = authorName.split(',')[0].trim().split(' ').pop(); // Get last name
+
+        const url = this.buildUrl('/works', { query: `${cleanTitle} ${lastName}`, rows: 3 });
+
+        try {
+            const items = await this.cached(`search:${cleanTitle.toLowerCase()}|${lastName.toLowerCase()}`, async () => {
+                const json = await this.http.getJSON(url);
+                return json.message && json.message.items && json.message.items.length > 0
+                    ? json.message.items.map(item => CrossRefFetcher.slimWork(item))
+                    : null;
+            });
+            if (items) {
+                // Find best match by comparing titles
+                const cleanSearchTitle = cleanTitle.toLowerCase();
+                let bestMatch = null;
+                let bestScore = 0;
+
+                for (const item of items) {
+                    if (!item.title || !item.title[0]) continue;
+
+                    const itemTitle = item.title[0].toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+                    // Simple similarity: count matching words
+                    const searchWords = cleanSearchTitle.split(' ');
+                    const itemWords = itemTitle.split(' ');
+                    const matches = searchWords.filter(w => w.length > 3 && itemWords.some(iw => iw.includes(w) || w.includes(iw))).length;
+                    const score = matches / searchWords.length;
+
+                    if (score > bestScore && score > 0.6) {
+                        bestScore = score;
+                        bestMatch = item;
                     }
-                });
-            }).on('error', () => resolve(null))
-              .on('timeout', () => resolve(null));
-        });
+                }
+
+                if (bestMatch) {
+                    const result = {
+                        doi: bestMatch.DOI ? `https://doi.org/${bestMatch.DOI}` : null,
+                        authors: null,
+                        author_list: null,
+                        summary: null,
+                        venue: CrossRefFetcher.venueFromWork(bestMatch)
+                    };
+
+                    // Extract authors
+                    const authorList = AuthorList.fromCrossref(bestMatch.author);
+                    if (authorList.length > 0) {
+                        result.author_list = authorList;
+                        result.authors = AuthorList.toString(authorList);
+                    }
+
+                    // Extract abstract
+                    if (bestMatch.abstract) {
+                        result.summary = bestMatch.abstract.trim() || null;
+                    }
+
+                    return result;
+                }
+            }
+            return null;
+        } catch (e) {
+            return null;
+        }
     }
 }
 
@@ -0,0 +1,71 @@
+/**
+ * ManualFetcher - Reads manually curated publications from the config directory
+ *
+ * config/manual_publications.bib and config/manual_publications.ris hold works
+ * that neither arXiv nor ORCID list (book chapters, proceedings, reports) or that
+ * a member's ORCID record lacks. Both files are optional.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CitationParser = require('../parsers/CitationParser');
+const MemberMatcher = require('../merger/MemberMatcher');
+
+const FILES = [
+    { name: 'manual_publications.bib', format: 'bibtex' },
+    { name: 'manual_publications.ris', format: 'ris' }
+];
+
+class ManualFetcher {
+    /**
+     * @param {string} configPath - Directory holding the manual publication files
+     */
+    constructor(configPath) {
+        this.configPath = configPath;
+    }
+
+    readRecords() {
+        /**
+         * Parses the records of every manual publication file present
+         * Returns CitationParser results, each with the `format` it was read from
+         */
+        const records = [];
+        for (const file of FILES) {
+            const filePath = path.join(this.configPath, file.name);
+            if (!fs.existsSync(filePath)) continue;
+
+            const parsed = CitationParser.parseFile(fs.readFileSync(filePath, 'utf8'), file.format);
+            console.log(`    ${file.name}: ${parsed.length} records`);
+            records.push(...parsed.map(record => ({ ...record, format: file.format })));
+        }
+        return records;
+    }
+
+    fetchAll(basics) {
+        /**
+         * Reads the manual records and assigns each to the members among its authors
+         * Authors are recognized as in the merge (MemberMatcher: name variants, initials,
+         * ORCID iDs); the records themselves are not changed.
+         * Returns { memberId: [records] }; records without a member author are skipped
+         */
+        const matcher = new MemberMatcher(basics);
+        const byMember = {};
+        for (const record of this.readRecords()) {
+            const authors = (record.author_list || []).map(author => ({ ...author }));
+            const { memberIds } = matcher.assign(authors);
+            if (memberIds.length === 0) {
+                console.log(`    Skipping "${record.title || 'Untitled'}": no member among the authors`);
+                continue;
+            }
+            for (const id of memberIds) {
+                if (!byMember[id]) byMember[id] = [];
+                byMember[id].push(record);
+            }
+        }
+        return byMember;
+    }
+}
+
+ManualFetcher.FILES = FILES;
+
+module.exports = ManualFetcher;
@@ -2,51 +2,187 @@
  * OrcidFetcher - Handles fetching from ORCID API
  */
 
-const https = require('https');
-const DateUtils = require('../utils/DateUtils');
+const fs = require('fs');
+const HttpClient = require('../utils/HttpClient');
+
+const API_URL = 'https://pub.orcid.org';
+const DEFAULT_TOKEN_URL = 'https://orcid.org/oauth/token';
+
+// Renew tokens slightly before they actually expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
 
 class OrcidFetcher {
-    constructor(orcidOAuth) {
+    /**
+     * @param {Object} orcidOAuth - Credentials: client_id/client_secret/token_url and/or access_token
+     * @param {Object} options
+     * @param {HttpClient} options.httpClient - HTTP client (default: shared client)
+     * @param {string} options.tokenCachePath - File where exchanged tokens are cached
+     * @param {string} options.apiUrl - ORCID public API root (default: https://pub.orcid.org)
+     * @param {string} options.tokenUrl - Token endpoint used when credentials name none
+     */
+    constructor(orcidOAuth, options = {}) {
         this.orcidOAuth = orcidOAuth;
+        this.http = options.httpClient || HttpClient.getDefault();
+        this.apiUrl = options.apiUrl || API_URL;
+        this.tokenUrl = options.tokenUrl || DEFAULT_TOKEN_URL;
+        this.tokenCachePath = options.tokenCachePath || null;
+        this.token = null;
+    }
+
+    /**
+     * Merges credentials from the config file with ORCID_* environment variables
+     * Environment variables win, so CI can inject secrets without writing files.
+     * ORCID_OAUTH_JSON (the whole credentials file, the secret older workflows
+     * used) sits between the file and the single-field variables.
+     * Returns null if neither client credentials nor an access token are available
+     */
+    static resolveCredentials(fileConfig, env = process.env) {
+        const credentials = { ...(fileConfig || {}) };
+
+        if (env.ORCID_OAUTH_JSON) {
+            try {
+                Object.assign(credentials, JSON.parse(env.ORCID_OAUTH_JSON));
+            } catch (error) {
+                // The parser's message may quote the secret
+                throw new Error('ORCID_OAUTH_JSON is not valid JSON');
+            }
+        }
+
+        if (env.ORCID_CLIENT_ID) credentials.client_id = env.ORCID_CLIENT_ID;
+        if (env.ORCID_CLIENT_SECRET) credentials.client_secret = env.ORCID_CLIENT_SECRET;
+        if (env.ORCID_TOKEN_URL) credentials.token_url = env.ORCID_TOKEN_URL;
+        if (env.ORCID_ACCESS_TOKEN) credentials.access_token = env.ORCID_ACCESS_TOKEN;
+
+        const hasClientCredentials = credentials.client_id && credentials.client_secret;
+        if (!hasClientCredentials && !credentials.access_token) {
+            return null;
+        }
+        return credentials;
+    }
+
+    hasClientCredentials() {
+        return !!(this.orcidOAuth && this.orcidOAuth.client_id && this.orcidOAuth.client_secret);
+    }
+
+    isTokenValid(token) {
+        if (!token || !token.access_token) return false;
+        if (!token.expires_at) return true;
+        return Date.now() < token.expires_at - EXPIRY_MARGIN_MS;
+    }
+
+    loadCachedToken() {
+        /**
+         * Reads a previously exchanged token, ignoring tokens issued to another client
+         */
+        if (!this.tokenCachePath || !fs.existsSync(this.tokenCachePath)) return null;
+
+        try {
+            const cached = JSON.parse(fs.readFileSync(this.tokenCachePath, 'utf8'));
+            if (cached.client_id !== this.orcidOAuth.client_id) return null;
+            return cached;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    saveCachedToken(token) {
+        if (!this.tokenCachePath) return;
+
+        try {
+            fs.writeFileSync(this.tokenCachePath, JSON.stringify(token, null, 4), { mode: 0o600 });
+        } catch (err) {
+            console.log(`    Warning: could not cache ORCID token: ${err.message}`);
+        }
+    }
+
+    async exchangeToken() {
+        /**
+         * Performs the client-credentials exchange for a /read-public token
+         */
+        const tokenUrl = this.orcidOAuth.token_url || this.tokenUrl;
+        const response = await this.http.postForm(tokenUrl, {
+            client_id: this.orcidOAuth.client_id,
+            client_secret: this.orcidOAuth.client_secret,
+            grant_type: 'client_credentials',
+            scope: '/read-public'
+        });
+
+        if (!response.access_token) {
+            throw new Error('ORCID token exchange returned no access_token');
+        }
+
+        const token = {
+            client_id: this.orcidOAuth.client_id,
+            access_token: response.access_token,
+            token_type: response.token_type || 'bearer',
+            scope: response.scope || '/read-public',
+            expires_at: response.expires_in ? Date.now() + response.expires_in * 1000 : null
+        };
+        this.saveCachedToken(token);
+        return token;
+    }
+
+    async getAccessToken(forceRenew = false) {
+        /**
+         * Returns a usable access token, exchanging client credentials when
+         * there is no valid cached token (or when renewal is forced)
+         */
+        if (!this.orcidOAuth) {
+            throw new Error('ORCID OAuth credentials not available');
+        }
+
+        if (!this.hasClientCredentials()) {
+            if (!this.orcidOAuth.access_token) {
+                throw new Error('ORCID OAuth credentials not available');
+            }
+            return this.orcidOAuth.access_token;
+        }
+
+        if (!forceRenew) {
+            if (this.isTokenValid(this.token)) return this.token.access_token;
+
+            const cached = this.loadCachedToken();
+            if (this.isTokenValid(cached)) {
+                this.token = cached;
+                return cached.access_token;
+            }
+        }
+
+        this.token = await this.exchangeToken();
+        return this.token.access_token;
     }
 
     async request(endpoint) {
         /**
          * Makes an authenticated request to ORCID API
+         * A 401 triggers a single token renewal and retry
          */
-        if (!this.orcidOAuth || !this.orcidOAuth.access_token) {
-            throw new Error('ORCID OAuth credentials not available');
+        const accessToken = await this.getAccessToken();
+
+        try {
+            return await this.getWithToken(endpoint, accessToken);
+        } catch (error) {
+            if (error.statusCode !== 401 || !this.hasClientCredentials()) {
+                throw error;
+            }
+            const renewedToken = await this.getAccessToken(true);
+            return await this.getWithToken(endpoint, renewedToken);
         }
+    }
 
-        return new Promise((resolve, reject) => {
-            const options = {
-                hostname: 'pub.orcid.org',
-                path: endpoint,
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.orcidOAuth.access_token}`,
-                    'Accept': 'application/json'
-                }
-            };
-
-            https.get(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => { data += chunk; });
-                res.on('end', () => {
-                    try {
-                        resolve(JSON.parse(data));
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            }).on('error', reject);
+    async getWithToken(endpoint, accessToken) {
+        return await this.http.getJSON(`${this.apiUrl}${endpoint}`, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`
+            }
         });
     }
 
     async fetchForResearcher(researcher) {
         /**
          * Fetches publications for a single researcher from ORCID
-         * Returns an array of publication entries
+         * Returns an array of publication entries (all dated works; the merger
+         * decides which belong to the group)
          */
         const entries = [];
 
@@ -62,50 +198,48 @@ class OrcidFetcher {
                     const pubDate = workSummary['publication-date'];
                     if (!pubDate || !pubDate.year) continue;
 
-                    const dateStr = `${pubDate.year.value}-${String(pubDate.month?.value || 1).padStart(2, '0')}-${String(pubDate.day?.value || 1).padStart(2, '0')}`;
-
-                    if (DateUtils.shouldIncludePublication(dateStr, researcher)) {
-                        const entry = {
-                            title: workSummary.title?.title?.value || 'Untitled',
-                            'publication-date': pubDate,
-                            'external-ids': workSummary['external-ids']?.['external-id'] || []
-                        };
-                        
-                        // Check if this work needs full details (no DOI or arXiv ID)
-                        const hasDOI = entry['external-ids'].some(id => id['external-id-type'] === 'doi');
-                        const hasArxiv = entry['external-ids'].some(id => id['external-id-type'] === 'arxiv');
-                        
-                        if (!hasDOI && !hasArxiv && workSummary['put-code']) {
-                            // Fetch full work details to get contributors and citation
-                            try {
-                                const fullWorkEndpoint = `/v3.0/${researcher.orcid}/work/${workSummary['put-code']}`;
-                                const fullWork = await this.request(fullWorkEndpoint);
-                                
-                                // Add contributors if available
-                                if (fullWork.contributors && fullWork.contributors.contributor) {
-                                    entry.contributors = fullWork.contributors.contributor.map(c => {
-                                        const creditName = c['credit-name'];
-                                        return creditName ? creditName.value : null;
-                                    }).filter(n => n);
-                                }
-                                
-                                // Add citation if available
-                                if (fullWork.citation && fullWork.citation['citation-value']) {
-                                    entry.citation = {
-                                        type: fullWork.citation['citation-type'],
-                                        value: fullWork.citation['citation-value']
-                                    };
-                                }
-                                
-                                // Small delay to respect rate limits
-                                await new Promise(resolve => setTimeout(resolve, 500));
-                            } catch (err) {
-                                // Silently ignore errors fetching full details
+                    const entry = {
+                        title: workSummary.title?.title?.value || 'Untitled',
+                        type: workSummary.type || null,
+                        'publication-date': pubDate,
+                        'external-ids': workSummary['external-ids']?.['external-id'] || []
+                    };
+                    
+                    // Check if this work needs full details (no DOI or arXiv ID)
+                    const hasDOI = entry['external-ids'].some(id => id['external-id-type'] === 'doi');
+                    const hasArxiv = entry['external-ids'].some(id => id['external-id-type'] === 'arxiv');
+                    
+                    if (!hasDOI && !hasArxiv && workSummary['put-code']) {
+                        // Fetch full work details to get contributors and citation
+                        try {
+                            const fullWorkEndpoint = `/v3.0/${researcher.orcid}/work/${workSummary['put-code']}`;
+                            const fullWork = await this.request(fullWorkEndpoint);
+                            
+                            // Add contributors if available
+                            if (fullWork.contributors && fullWork.contributors.contributor) {
+                                entry.contributors = fullWork.contributors.contributor.map(c => {
+                                    const creditName = c['credit-name'];
+                                    const orcid = c['contributor-orcid'];
+                                    return creditName ? {
+                                        name: creditName.value,
+                                        orcid: orcid ? orcid.path || orcid.uri || null : null
+                                    } : null;
+                                }).filter(c => c);
+                            }
+                            
+                            // Add citation if available
+                            if (fullWork.citation && fullWork.citation['citation-value']) {
+                                entry.citation = {
+                                    type: fullWork.citation['citation-type'],
+                                    value: fullWork.citation['citation-value']
+                                };
                             }
+                        } catch (err) {
+                            // Silently ignore errors fetching full details
                         }
-                        
-                        entries.push(entry);
                     }
+                    
+                    entries.push(entry);
                 }
             }
         } catch (error) {
@@ -14,7 +14,13 @@ const PublicationFetcher = require('./PublicationFetcher');
  * @param {string} options.dataPath - Path to data directory (default: '../data')
  * @param {boolean} options.fetchArxiv - Whether to fetch from arXiv (default: true)
  * @param {boolean} options.fetchOrcid - Whether to fetch from ORCID (default: true)
+ * @param {boolean} options.fetchManual - Whether to read config/manual_publications.bib/.ris (default: true)
  * @param {boolean} options.returnData - Return data instead of writing to file (default: false)
+ * @param {boolean} options.useCache - Cache CrossRef/arXiv lookups in data/cache (default: true)
+ * @param {boolean} options.offline - Never touch the network; serve lookups from the cache only (default: false)
+ * @param {HttpClient} options.httpClient - HTTP client for all fetchers (default: shared client)
+ * @param {Object} options.endpoints - Base URL overrides: arxiv, arxivApi, crossrefApi, orcidApi, orcidToken
+ * @param {boolean} options.provenance - Record where each field came from in a per-entry provenance map (default: false)
  * @returns {Promise<Object|void>} Publications object if returnData=true, otherwise void
  */
 async function generatePublications(options = {}) {
@@ -23,16 +29,26 @@ async function generatePublications(options = {}) {
         dataPath = '../data',
         fetchArxiv = true,
         fetchOrcid = true,
-        returnData = false
+        fetchManual = true,
+        returnData = false,
+        useCache = true,
+        offline = false,
+        httpClient = null,
+        endpoints = {},
+        provenance = false
     } = options;
 
-    const fetcher = new PublicationFetcher(configPath, dataPath);
+    const fetcher = new PublicationFetcher(configPath, dataPath, { useCache, offline, httpClient, endpoints, provenance });
 
     try {
         console.log('=== QUDYMA Publications Database Generation ===\n');
 
+        if (offline && (fetchArxiv || fetchOrcid)) {
+            console.log('Offline mode: using cached source data and response cache only\n');
+        }
+
         // Step 1: Fetch from arXiv if enabled
-        if (fetchArxiv) {
+        if (fetchArxiv && !offline) {
             console.log('Step 1: Fetching from arXiv...');
             await fetcher.fetchArxiv();
         } else {
@@ -40,15 +56,23 @@ async function generatePublications(options = {}) {
         }
 
         // Step 2: Fetch from ORCID if enabled
-        if (fetchOrcid) {
+        if (fetchOrcid && !offline) {
             console.log('\nStep 2: Fetching from ORCID...');
             await fetcher.fetchOrcid();
         } else {
             console.log('\nStep 2: Skipping ORCID fetch (using cached data)');
         }
 
-        // Step 3: Merge and generate final database
-        console.log('\nStep 3: Merging and standardizing...');
+        // Step 3: Read the manually curated publications (local files, also offline)
+        if (fetchManual) {
+            console.log('\nStep 3: Reading manual publications...');
+            await fetcher.fetchManual();
+        } else {
+            console.log('\nStep 3: Skipping manual publications (using cached data)');
+        }
+
+        // Step 4: Merge and generate final database
+        console.log('\nStep 4: Merging and standardizing...');
         const publications = await fetcher.mergePublications();
 
         if (returnData) {
@@ -64,9 +88,37 @@ async function generatePublications(options = {}) {
     }
 }
 
+/**
+ * Keeps only the entries of the given publication types
+ * @param {Object} publications - Publications object ({ entries })
+ * @param {string|Array} types - Type, list of types or comma-separated types; empty keeps everything
+ * @returns {Object} Publications object with the matching entries
+ */
+function filterByType(publications, types) {
+    const wanted = (Array.isArray(types) ? types : String(types || '').split(','))
+        .map(type => type.trim())
+        .filter(type => type);
+    if (wanted.length === 0) return publications;
+    return { ...publications, entries: publications.entries.filter(entry => wanted.includes(entry.type)) };
+}
+
+/**
+ * Keeps only the entries with (or without) an author affiliated with the group
+ * @param {Object} publications - Publications object ({ entries })
+ * @param {boolean|string} affiliated - true/'true' or false/'false'; anything else keeps everything
+ * @returns {Object} Publications object with the matching entries
+ */
+function filterByAffiliation(publications, affiliated) {
+    if (![true, false, 'true', 'false'].includes(affiliated)) return publications;
+    const wanted = affiliated === true || affiliated === 'true';
+    return { ...publications, entries: publications.entries.filter(entry => !!entry.group_affiliated === wanted) };
+}
+
 /**
  * Express/Next.js compatible route handler
  * Usage: app.get('/api/publications', getPublicationsHandler);
+ * Query: ?refresh=true to fetch new data, ?type=book,thesis to filter by publication type,
+ * ?affiliated=true for the entries with a group affiliation
  */
 async function getPublicationsHandler(req, res) {
     try {
@@ -80,7 +132,7 @@ async function getPublicationsHandler(req, res) {
 
         const publications = await generatePublications(options);
         
-        res.json(publications);
+        res.json(filterByAffiliation(filterByType(publications, req.query.type), req.query.affiliated));
     } catch (error) {
         console.error('Error in publications handler:', error);
         res.status(500).json({ error: 'Failed to generate publications' });
@@ -89,8 +141,12 @@ async function getPublicationsHandler(req, res) {
 
 /**
  * Get cached publications without fetching new data
+ * @param {string} dataPath - Path to data directory
+ * @param {Object} options
+ * @param {string|Array} options.type - Only return entries of these publication types
+ * @param {boolean} options.affiliated - Only return entries with (true) or without (false) a group affiliation
  */
-function getCachedPublications(dataPath = '../data') {
+function getCachedPublications(dataPath = '../data', options = {}) {
     const fs = require('fs');
     const path = require('path');
     
@@ -106,13 +162,16 @@ function getCachedPublications(dataPath = '../data') {
         return null;
     }
     
-    return JSON.parse(fs.readFileSync(publicationsPath, 'utf8'));
+    const publications = filterByType(JSON.parse(fs.readFileSync(publicationsPath, 'utf8')), options.type);
+    return filterByAffiliation(publications, options.affiliated);
 }
 
 module.exports = {
     generatePublications,
     getPublicationsHandler,
-    getCachedPublications
+    getCachedPublications,
+    filterByType,
+    filterByAffiliation
 };
 
 // CLI Support
@@ -136,6 +195,12 @@ if (require.main === module) {
                     console.log('✅ ORCID fetch complete');
                     break;
                     
+                case 'manual':
+                    console.log('Reading manual publications...');
+                    await fetcher.fetchManual();
+                    console.log('✅ Manual publications read');
+                    break;
+                    
                 case 'merge':
                     console.log('Merging publications...');
                     await fetcher.mergePublications();
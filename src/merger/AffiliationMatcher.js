@@ -0,0 +1,74 @@
+/**
+ * AffiliationMatcher - Recognizes the group's institution in author affiliations
+ *
+ * config/affiliations.json lists the institutions that count as the group:
+ *   { "institutions": [{ "name": "...", "ror": "https://ror.org/...", "aliases": ["..."] }] }
+ * An affiliation matches by ROR ID (CrossRef records often carry one) or when
+ * the name or an alias appears in it as whole words, ignoring case, accents and
+ * punctuation ("ICMM-CSIC, Madrid" matches the alias "ICMM").
+ */
+
+const AuthorList = require('../utils/AuthorList');
+
+class AffiliationMatcher {
+    /**
+     * @param {Object} config - { institutions: [{ name, ror, aliases }] } (config/affiliations.json)
+     */
+    constructor(config = {}) {
+        this.institutions = (config.institutions || []).map(institution => ({
+            name: institution.name,
+            ror: AuthorList.normalizeRor(institution.ror),
+            phrases: [institution.name, ...(institution.aliases || [])]
+                .map(AffiliationMatcher.fold)
+                .filter(phrase => phrase.trim())
+        }));
+    }
+
+    /**
+     * Lower-case words without accents or punctuation, padded with spaces
+     */
+    static fold(text) {
+        const words = String(text || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+        return ` ${words} `;
+    }
+
+    /**
+     * Name of the institution an affiliation belongs to, or null
+     * @param {string} affiliation - Affiliation text (several joined with "; " are fine)
+     * @param {Array} rorIds - ROR IDs of the affiliation
+     */
+    match(affiliation, rorIds = []) {
+        const rors = new Set(rorIds.map(AuthorList.normalizeRor));
+        const byRor = this.institutions.find(institution => institution.ror && rors.has(institution.ror));
+        if (byRor) return byRor.name;
+
+        if (!affiliation) return null;
+        const text = AffiliationMatcher.fold(affiliation);
+        const byName = this.institutions.find(institution => institution.phrases.some(phrase => text.includes(phrase)));
+        return byName ? byName.name : null;
+    }
+
+    /**
+     * Sets group_affiliated on every author with affiliation data (changed in place)
+     * @returns {boolean} Whether any author is affiliated with the group
+     */
+    markAuthors(authors) {
+        let affiliated = false;
+        for (const author of authors) {
+            const rorIds = author.ror_ids || [];
+            if (!author.affiliation && rorIds.length === 0) {
+                author.group_affiliated = null;
+                continue;
+            }
+            author.group_affiliated = this.match(author.affiliation, rorIds) !== null;
+            if (author.group_affiliated) affiliated = true;
+        }
+        return affiliated;
+    }
+}
+
+module.exports = AffiliationMatcher;
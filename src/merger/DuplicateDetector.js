@@ -0,0 +1,330 @@
+/**
+ * DuplicateDetector - Scores how likely two publication entries are the same work
+ *
+ * The score is a weighted average of title similarity (token Jaccard or
+ * normalized edit distance on TitleUtils keys, whichever is higher), author
+ * overlap (shared last names) and year proximity. Components that cannot be
+ * computed (no authors, no date) are left out and the weights renormalized.
+ *
+ * Some pairs are never duplicates, whatever their score: two different arXiv
+ * IDs, two different DOIs, or titles that differ in a marker token, such as a
+ * number ("2D"/"3D"), a part ("Part I"/"Part II") or a chemical formula
+ * ("InAs"/"InSb"), while both titles have markers of that kind.
+ */
+
+const TitleUtils = require('../utils/TitleUtils');
+const TextNormalizer = require('../utils/TextNormalizer');
+const ArxivId = require('../utils/ArxivId');
+const PublicationId = require('../utils/PublicationId');
+
+const DEFAULT_CONFIG = {
+    threshold: 0.85,
+    min_title_similarity: 0.8,
+    borderline_margin: 0.1,
+    max_year_gap: 2,
+    weights: {
+        title: 0.7,
+        authors: 0.2,
+        year: 0.1
+    }
+};
+
+// Below this token overlap titles are too different to be worth an edit distance
+const EDIT_DISTANCE_FLOOR = 0.5;
+
+const ELEMENTS = new Set((
+    'H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn Ga Ge As Se ' +
+    'Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd Tb ' +
+    'Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu Am Cm ' +
+    'Bk Cf Es Fm Md No Lr Rf Db Sg Bh Hs Mt Ds Rg Cn Nh Fl Mc Lv Ts Og'
+).split(' '));
+
+// Words followed by the number of a part of a series
+const PART_WORDS = new Set(['part', 'paper', 'chapter', 'volume', 'vol', 'section']);
+const NUMERAL = /^(\d+(st|nd|rd|th|d)?|ii|iii|iv|vi|vii|viii|ix|xi|xii)$/;
+
+class DuplicateDetector {
+    /**
+     * @param {Object} config - Overrides for DEFAULT_CONFIG (config/dedup.json)
+     * @param {number} config.threshold - Minimum combined score for a duplicate
+     * @param {number} config.min_title_similarity - Minimum title similarity for a duplicate
+     * @param {number} config.borderline_margin - Pairs this close below the limits are reported
+     * @param {number} config.max_year_gap - Years apart at which the year score drops to 0
+     * @param {Object} config.weights - Weights of the title, authors and year scores
+     */
+    constructor(config = {}) {
+        this.threshold = config.threshold !== undefined ? config.threshold : DEFAULT_CONFIG.threshold;
+        this.minTitleSimilarity = config.min_title_similarity !== undefined
+            ? config.min_title_similarity
+            : DEFAULT_CONFIG.min_title_similarity;
+        this.borderlineMargin = config.borderline_margin !== undefined
+            ? config.borderline_margin
+            : DEFAULT_CONFIG.borderline_margin;
+        this.maxYearGap = config.max_year_gap !== undefined ? config.max_year_gap : DEFAULT_CONFIG.max_year_gap;
+        this.weights = { ...DEFAULT_CONFIG.weights, ...(config.weights || {}) };
+    }
+
+    static levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    static jaccard(setA, setB) {
+        if (setA.size === 0 || setB.size === 0) return 0;
+        let shared = 0;
+        for (const item of setA) {
+            if (setB.has(item)) shared++;
+        }
+        return shared / (setA.size + setB.size - shared);
+    }
+
+    /**
+     * Chemical formula tokens of a title ("InAs", "Bi2Se3", "Sr2RuO4"): two or
+     * more element symbols, or one with a count; every symbol must be an element
+     */
+    static formulas(title) {
+        const text = TextNormalizer.toText(title) || '';
+        const formulas = new Set();
+        for (const token of text.split(/[^A-Za-z0-9.]+/).map(word => word.replace(/\.+$/, ''))) {
+            const symbols = token.match(/[A-Z][a-z]?\d*(\.\d+)?/g);
+            if (!symbols || symbols.join('') !== token) continue;
+            if (!symbols.every(symbol => ELEMENTS.has(symbol.replace(/[\d.]+$/, '')))) continue;
+            if (symbols.length >= 2 || /\d/.test(token)) formulas.add(token);
+        }
+        return formulas;
+    }
+
+    /**
+     * Marker tokens of a title key: numerals ("2", "2d", "ii") and the number
+     * following a part word ("part:i")
+     */
+    static numerals(tokens) {
+        const markers = new Set();
+        tokens.forEach((token, i) => {
+            if (NUMERAL.test(token)) markers.add(token);
+            if (PART_WORDS.has(token) && tokens[i + 1]) markers.add(`${token}:${tokens[i + 1]}`);
+        });
+        return markers;
+    }
+
+    static sameSet(setA, setB) {
+        return setA.size === setB.size && [...setA].every(item => setB.has(item));
+    }
+
+    /**
+     * Why two profiles cannot be the same work, or null if they may be
+     * @returns {string|null} 'arxiv-id', 'doi', 'numeral' or 'formula'
+     */
+    static conflict(a, b) {
+        if (a.arxivId && b.arxivId && a.arxivId !== b.arxivId) return 'arxiv-id';
+        if (a.doi && b.doi && a.doi !== b.doi) return 'doi';
+        for (const kind of ['numeral', 'formula']) {
+            const setA = a.markers[kind];
+            const setB = b.markers[kind];
+            if (setA.size > 0 && setB.size > 0 && !DuplicateDetector.sameSet(setA, setB)) return kind;
+        }
+        return null;
+    }
+
+    static lastNames(authors) {
+        if (!authors) return new Set();
+        const names = authors.split(',')
+            .map(author => TitleUtils.titleKey(author).split(' ').pop())
+            .filter(name => name);
+        return new Set(names);
+    }
+
+    profile(entry) {
+        /**
+         * Precomputes what scoring needs from an entry
+         */
+        const key = TitleUtils.titleKey(entry.title);
+        const words = key ? key.split(' ') : [];
+        const year = entry.published ? parseInt(String(entry.published).slice(0, 4), 10) : NaN;
+        return {
+            key,
+            tokens: new Set(words),
+            authors: DuplicateDetector.lastNames(entry.authors),
+            year: isNaN(year) ? null : year,
+            arxivId: ArxivId.normalize(entry.id) || ArxivId.normalize(entry.arxiv_id),
+            doi: PublicationId.normalizeDoi(entry.doi),
+            markers: {
+                numeral: DuplicateDetector.numerals(words),
+                formula: DuplicateDetector.formulas(entry.title)
+            }
+        };
+    }
+
+    titleSimilarity(a, b) {
+        if (!a.key || !b.key) return 0;
+        if (a.key === b.key) return 1;
+
+        const jaccard = DuplicateDetector.jaccard(a.tokens, b.tokens);
+        if (jaccard < EDIT_DISTANCE_FLOOR) return jaccard;
+
+        const distance = DuplicateDetector.levenshtein(a.key, b.key);
+        return Math.max(jaccard, 1 - distance / Math.max(a.key.length, b.key.length));
+    }
+
+    /**
+     * Scores a pair of entries (or profiles from profile())
+     * @returns {Object} { score, title, authors, year } with null for unavailable components
+     */
+    score(entryA, entryB) {
+        const a = entryA.tokens ? entryA : this.profile(entryA);
+        const b = entryB.tokens ? entryB : this.profile(entryB);
+
+        const components = {
+            title: this.titleSimilarity(a, b),
+            authors: null,
+            year: null
+        };
+        if (a.authors.size > 0 && b.authors.size > 0) {
+            let shared = 0;
+            for (const name of a.authors) {
+                if (b.authors.has(name)) shared++;
+            }
+            components.authors = shared / Math.min(a.authors.size, b.authors.size);
+        }
+        if (a.year !== null && b.year !== null) {
+            components.year = Math.max(0, 1 - Math.abs(a.year - b.year) / (this.maxYearGap + 1));
+        }
+
+        let total = 0;
+        let weight = 0;
+        for (const [name, value] of Object.entries(components)) {
+            if (value === null) continue;
+            total += this.weights[name] * value;
+            weight += this.weights[name];
+        }
+
+        return { score: weight > 0 ? total / weight : 0, ...components };
+    }
+
+    classify(result) {
+        /**
+         * Returns 'duplicate', 'borderline' or 'distinct' for a score() result
+         */
+        if (result.score >= this.threshold && result.title >= this.minTitleSimilarity) {
+            return 'duplicate';
+        }
+        if (result.score >= this.threshold - this.borderlineMargin &&
+            result.title >= this.minTitleSimilarity - this.borderlineMargin) {
+            return 'borderline';
+        }
+        return 'distinct';
+    }
+
+    /**
+     * Groups entries that describe the same work
+     * Entries that conflict (see conflict()) are never grouped together, not even
+     * through other members of the group
+     * @param {Array} entries - Publication entries
+     * @returns {Object} { groups: Map(entry -> array of entries in its group, in input order),
+     *                     borderline: [{ a, b, score, title, authors, year }] }
+     */
+    group(entries) {
+        const profiles = entries.map(entry => this.profile(entry));
+        const parent = entries.map((_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        // Root -> indexes of its group, to keep conflicting entries apart
+        const components = new Map(entries.map((_, i) => [i, [i]]));
+        const compatible = (rootA, rootB) => components.get(rootA).every(i =>
+            components.get(rootB).every(j => !DuplicateDetector.conflict(profiles[i], profiles[j]))
+        );
+
+        const borderline = [];
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = profiles[i];
+                const b = profiles[j];
+                // Same arXiv ID or DOI is matched exactly elsewhere; conflicting pairs are distinct works
+                if ((a.arxivId && b.arxivId) || DuplicateDetector.conflict(a, b)) continue;
+
+                const result = this.score(a, b);
+                const verdict = this.classify(result);
+                if (verdict === 'duplicate') {
+                    const rootA = find(i);
+                    const rootB = find(j);
+                    if (rootA !== rootB && compatible(rootA, rootB)) {
+                        parent[rootB] = rootA;
+                        components.get(rootA).push(...components.get(rootB));
+                        components.delete(rootB);
+                    }
+                } else if (verdict === 'borderline') {
+                    borderline.push({ a: entries[i], b: entries[j], ...result });
+                }
+            }
+        }
+
+        const members = new Map();
+        entries.forEach((entry, i) => {
+            const root = find(i);
+            if (!members.has(root)) members.set(root, []);
+            members.get(root).push(entry);
+        });
+
+        const groups = new Map();
+        entries.forEach((entry, i) => groups.set(entry, members.get(find(i))));
+
+        // Pairs that ended up in one group through other members are not borderline
+        const open = borderline.filter(pair => groups.get(pair.a) !== groups.get(pair.b));
+        return { groups, borderline: open };
+    }
+
+    /**
+     * Finds the entry an erratum refers to
+     * @param {Object} erratum - The erratum entry
+     * @param {string} originalTitle - Title of the corrected work (erratum prefix removed)
+     * @param {Array} candidates - Entries to search
+     * @returns {Object|null} Best-scoring candidate that is a duplicate of the original title
+     */
+    findOriginal(erratum, originalTitle, candidates) {
+        // The erratum has its own DOI and arXiv ID; only the title is compared
+        return this.findDuplicate({ ...erratum, id: null, arxiv_id: null, doi: null, title: originalTitle }, candidates);
+    }
+
+    /**
+     * Finds the candidate that best duplicates an entry
+     * @returns {Object|null} Best-scoring non-conflicting candidate classified as a duplicate
+     */
+    findDuplicate(entry, candidates) {
+        const probe = this.profile(entry);
+        let best = null;
+        let bestScore = -1;
+
+        for (const candidate of candidates) {
+            const profile = this.profile(candidate);
+            if (DuplicateDetector.conflict(probe, profile)) continue;
+            const result = this.score(probe, profile);
+            if (this.classify(result) === 'duplicate' && result.score > bestScore) {
+                best = candidate;
+                bestScore = result.score;
+            }
+        }
+        return best;
+    }
+}
+
+DuplicateDetector.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,84 @@
+/**
+ * IdAliases - Persistent table of old publication IDs and the canonical ID they now mean
+ *
+ * Kept in data/id_aliases.json next to publications.json so links to former
+ * IDs (versioned arXiv URLs, "doi:"/"orcid:" source IDs, canonical IDs that
+ * changed when a work gained an arXiv ID or DOI) keep resolving. The table
+ * only grows; chains are flattened so every alias points at a current ID.
+ */
+
+const fs = require('fs');
+
+class IdAliases {
+    /**
+     * @param {string} filePath - Location of the alias table (JSON object alias -> ID)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.aliases = {};
+
+        if (fs.existsSync(filePath)) {
+            try {
+                this.aliases = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (err) {
+                console.log(`    Warning: ignoring unreadable alias table ${filePath}`);
+                this.aliases = {};
+            }
+        }
+    }
+
+    resolve(id) {
+        /**
+         * Current ID for an old one (the ID itself if it is not an alias)
+         */
+        const visited = new Set();
+        let current = id;
+        while (Object.prototype.hasOwnProperty.call(this.aliases, current) && !visited.has(current)) {
+            visited.add(current);
+            current = this.aliases[current];
+        }
+        return current;
+    }
+
+    /**
+     * Records the source IDs of the current publications
+     * A source ID that pointed at another canonical ID before makes that ID an alias too
+     * @param {Map} sourceIds - Canonical ID -> source IDs of the records merged into it
+     * @returns {number} Number of aliases added or changed
+     */
+    update(sourceIds) {
+        const before = { ...this.aliases };
+
+        for (const [canonicalId, ids] of sourceIds) {
+            for (const id of ids) {
+                if (!id || id === canonicalId) continue;
+                const previous = this.aliases[id];
+                if (previous && previous !== canonicalId && !sourceIds.has(previous)) {
+                    this.aliases[previous] = canonicalId;
+                }
+                this.aliases[id] = canonicalId;
+            }
+        }
+
+        // Current IDs are not aliases, and every alias points straight at a current ID
+        for (const canonicalId of sourceIds.keys()) {
+            delete this.aliases[canonicalId];
+        }
+        for (const alias of Object.keys(this.aliases)) {
+            this.aliases[alias] = this.resolve(this.aliases[alias]);
+            if (this.aliases[alias] === alias) delete this.aliases[alias];
+        }
+
+        return Object.keys(this.aliases).filter(alias => before[alias] !== this.aliases[alias]).length;
+    }
+
+    save() {
+        const sorted = {};
+        for (const alias of Object.keys(this.aliases).sort()) {
+            sorted[alias] = this.aliases[alias];
+        }
+        fs.writeFileSync(this.filePath, JSON.stringify(sorted, null, 4));
+    }
+}
+
+module.exports = IdAliases;
@@ -0,0 +1,113 @@
+/**
+ * InclusionRules - Decides after the merge which publications belong on the group's list
+ *
+ * Rules are tried in the order of config/inclusion.json; the first one that
+ * admits an entry is recorded as its `inclusion_reason`, and entries no rule
+ * admits are left out. Rules:
+ * - current-member:    a member with an ongoing (non-visitor) period is an author;
+ *                      current members bring their whole publication record
+ * - membership-period: the work was in the feed of a member who was in the group
+ *                      when it was published (periods and grace window as in DateUtils)
+ * - co-author:         another member among the authors was in the group when it
+ *                      was published ("co-authored with active members")
+ * - affiliation:       a member among the authors gives the group's institution as
+ *                      affiliation (group_affiliated, see AffiliationMatcher), even
+ *                      outside their membership periods; affiliated non-members
+ *                      do not count
+ */
+
+const DateUtils = require('../utils/DateUtils');
+
+const DEFAULT_RULES = [
+    { rule: 'current-member' },
+    { rule: 'membership-period' },
+    { rule: 'co-author' }
+];
+
+class InclusionRules {
+    /**
+     * @param {Object} basics - Member ID -> researcher (config/members.json)
+     * @param {Object} config - { rules: [{ rule, ...options }] } (config/inclusion.json)
+     * @param {Object} membership - { grace_days } (config/membership.json)
+     */
+    constructor(basics, config = {}, membership = {}) {
+        this.basics = basics || {};
+        this.graceDays = membership.grace_days || 0;
+        this.rules = (config.rules || DEFAULT_RULES).map(spec => {
+            if (!InclusionRules.RULES[spec.rule]) {
+                throw new Error(`Unknown inclusion rule "${spec.rule}" (expected ${Object.keys(InclusionRules.RULES).join(', ')})`);
+            }
+            return spec;
+        });
+    }
+
+    periods(memberId) {
+        return DateUtils.membershipPeriods(this.basics[memberId]);
+    }
+
+    /**
+     * Member period covering the publication, or null
+     */
+    activePeriod(memberId, entry) {
+        if (!entry.published) return null;
+        return this.periods(memberId).find(period =>
+            DateUtils.isInPeriod(entry.published, period, entry.journal_ref, { graceDays: this.graceDays })
+        ) || null;
+    }
+
+    static describePeriod(period) {
+        return `${period.status} ${period.from} – ${period.to || 'present'}`;
+    }
+
+    /**
+     * Finds the first rule admitting an entry
+     * @param {Object} entry - Merged entry (author_ids and author_list filled in)
+     * @param {Array} listedBy - Members whose own feed listed the work
+     * @returns {Object|null} { rule, member_id, detail }, or null if no rule admits it
+     */
+    decide(entry, listedBy = []) {
+        const memberIds = entry.author_ids || [];
+        for (const spec of this.rules) {
+            const reason = InclusionRules.RULES[spec.rule].call(this, entry, { memberIds, listedBy, spec });
+            if (reason) return { rule: spec.rule, ...reason };
+        }
+        return null;
+    }
+}
+
+InclusionRules.RULES = {
+    'current-member'(entry, { memberIds }) {
+        for (const id of memberIds) {
+            const current = this.periods(id).find(period => !period.to && period.status !== 'visitor');
+            if (current) return { member_id: id, detail: InclusionRules.describePeriod(current) };
+        }
+        return null;
+    },
+
+    'membership-period'(entry, { listedBy }) {
+        for (const id of listedBy) {
+            const period = this.activePeriod(id, entry);
+            if (period) return { member_id: id, detail: InclusionRules.describePeriod(period) };
+        }
+        return null;
+    },
+
+    'co-author'(entry, { memberIds, listedBy }) {
+        for (const id of memberIds) {
+            if (listedBy.includes(id)) continue;
+            const period = this.activePeriod(id, entry);
+            if (period) return { member_id: id, detail: InclusionRules.describePeriod(period) };
+        }
+        return null;
+    },
+
+    'affiliation'(entry) {
+        const author = (entry.author_list || []).find(a => a.group_affiliated === true && a.member_id);
+        if (!author) return null;
+        return { member_id: author.member_id, detail: `${author.name}: ${author.affiliation || (author.ror_ids || []).join(', ')}` };
+    }
+};
+
+InclusionRules.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = InclusionRules;
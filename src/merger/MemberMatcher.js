@@ -0,0 +1,204 @@
+/**
+ * MemberMatcher - Recognizes QUDYMA members in author lists
+ *
+ * Names are compared after folding diacritics, Unicode hyphens, dots and
+ * spacing ("Pablo San‐José" = "pablo san jose"), so only genuinely different
+ * spellings need a `name_variants` entry. Each author is scored against every
+ * member sharing the family name:
+ * - ORCID iD match:                         1.0 (always wins)
+ * - same given names:                       0.9
+ * - given names compatible by initials:     0.7 ("P. San-Jose", "Pablo S. San-Jose")
+ * plus context: +0.3 if the member's own feed listed the work, +0.1 if other
+ * members are among the co-authors. A bare family name is never a candidate, so
+ * same-surname co-authors are not claimed on context alone. The best candidate
+ * wins when it reaches `threshold` and no other candidate comes within
+ * `ambiguity_margin`; close calls are returned as ambiguous for review instead
+ * of being guessed.
+ */
+
+const AuthorList = require('../utils/AuthorList');
+
+const DEFAULT_CONFIG = {
+    threshold: 0.7,
+    ambiguity_margin: 0.15
+};
+
+const SCORES = { orcid: 1, full: 0.9, initials: 0.7 };
+const KNOWN_AUTHOR_BONUS = 0.3;
+const CO_AUTHOR_BONUS = 0.1;
+
+class MemberMatcher {
+    /**
+     * @param {Object} basics - Member ID -> researcher (config/members.json)
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {number} config.threshold - Minimum score for a match
+     * @param {number} config.ambiguity_margin - Candidates this close to the best make the match ambiguous
+     */
+    constructor(basics, config = {}) {
+        this.basics = basics || {};
+        this.threshold = config.threshold !== undefined ? config.threshold : DEFAULT_CONFIG.threshold;
+        this.ambiguityMargin = config.ambiguity_margin !== undefined
+            ? config.ambiguity_margin
+            : DEFAULT_CONFIG.ambiguity_margin;
+
+        // Family key -> [{ id, given }] over the canonical name and all listed variants
+        this.byFamily = new Map();
+        this.byOrcid = new Map();
+        for (const [id, researcher] of Object.entries(this.basics)) {
+            if (researcher.orcid) this.byOrcid.set(AuthorList.normalizeOrcid(researcher.orcid), id);
+            for (const name of [researcher.name, ...(researcher.name_variants || [])]) {
+                if (!name) continue;
+                const { given, family } = AuthorList.splitName(MemberMatcher.fold(name));
+                const key = MemberMatcher.familyKey(family);
+                if (!key) continue;
+                if (!this.byFamily.has(key)) this.byFamily.set(key, []);
+                this.byFamily.get(key).push({ id, given: MemberMatcher.givenTokens(given) });
+            }
+        }
+    }
+
+    /**
+     * Folds diacritics, Unicode hyphens and dots out of a name
+     */
+    static fold(name) {
+        return String(name || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\u2010-\u2015\u2212]/g, '-')
+            .replace(/\./g, '. ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static familyKey(family) {
+        return MemberMatcher.fold(family).toLowerCase().replace(/[^a-z]+/g, '');
+    }
+
+    static givenTokens(given) {
+        return MemberMatcher.fold(given).toLowerCase().split(/[\s.-]+/).filter(t => t);
+    }
+
+    /**
+     * How well given names agree: 'full', 'initials' or null (no evidence or a conflict)
+     * Given names only one side lists (a middle name) are unconfirmed, so they
+     * lower a full match to 'initials'
+     */
+    static compareGiven(authorTokens, memberTokens) {
+        if (authorTokens.length === 0 || memberTokens.length === 0) return null;
+
+        let level = 'full';
+        for (let i = 0; i < Math.min(authorTokens.length, memberTokens.length); i++) {
+            const a = authorTokens[i];
+            const m = memberTokens[i];
+            if (a === m) continue;
+            if ((a.length === 1 && m[0] === a) || (m.length === 1 && a[0] === m)) {
+                level = 'initials';
+                continue;
+            }
+            return null;
+        }
+        return authorTokens.length === memberTokens.length ? level : 'initials';
+    }
+
+    /**
+     * (given, family) readings of an author: the structured parts if present, and
+     * every split of the display name (so "Pablo San Jose" also reads as "San Jose")
+     */
+    static readings(author) {
+        const readings = [];
+        if (author.family) readings.push({ given: author.given, family: author.family });
+
+        const name = MemberMatcher.fold(author.name);
+        if (name.includes(',')) {
+            readings.push(AuthorList.splitName(name));
+        } else {
+            const parts = name.split(' ').filter(p => p);
+            for (let start = 0; start < parts.length; start++) {
+                readings.push({ given: parts.slice(0, start).join(' '), family: parts.slice(start).join(' ') });
+            }
+        }
+        return readings;
+    }
+
+    /**
+     * Name score of every member the author could be
+     * @returns {Map} Member ID -> score
+     */
+    nameScores(author) {
+        const scores = new Map();
+        const orcid = AuthorList.normalizeOrcid(author.orcid);
+        if (orcid && this.byOrcid.has(orcid)) {
+            scores.set(this.byOrcid.get(orcid), SCORES.orcid);
+            return scores;
+        }
+
+        for (const reading of MemberMatcher.readings(author)) {
+            const candidates = this.byFamily.get(MemberMatcher.familyKey(reading.family)) || [];
+            const authorGiven = MemberMatcher.givenTokens(reading.given);
+            for (const candidate of candidates) {
+                const level = MemberMatcher.compareGiven(authorGiven, candidate.given);
+                if (!level) continue;
+                scores.set(candidate.id, Math.max(scores.get(candidate.id) || 0, SCORES[level]));
+            }
+        }
+        return scores;
+    }
+
+    /**
+     * Sets member_id (and the canonical name) on the members of an author list
+     * @param {Array} authors - Author list (changed in place)
+     * @param {Array} knownIds - Members whose feed listed the work
+     * @returns {Object} { memberIds, ambiguous: [{ name, position, candidates: [{ id, score }] }] }
+     */
+    assign(authors, knownIds = []) {
+        const known = new Set(knownIds);
+        const scored = authors.map(author => this.nameScores(author));
+        const likelyMembers = scored.map(scores => [...scores].filter(([, score]) => score >= SCORES.initials).map(([id]) => id));
+        const hasMemberCoAuthor = (index, id) => likelyMembers.some((ids, other) => other !== index && ids.some(m => m !== id));
+
+        const ambiguous = [];
+        const taken = new Set();
+        authors.forEach((author, index) => {
+            author.member_id = null;
+            const ranked = [...scored[index]]
+                .filter(([id]) => !taken.has(id))
+                .map(([id, score]) => {
+                    if (score === SCORES.orcid) return { id, score, byOrcid: true };
+                    let total = score;
+                    if (known.has(id)) total += KNOWN_AUTHOR_BONUS;
+                    if (hasMemberCoAuthor(index, id)) total += CO_AUTHOR_BONUS;
+                    return { id, score: Math.round(total * 100) / 100 };
+                })
+                .sort((a, b) => b.score - a.score);
+
+            if (ranked.length === 0 || ranked[0].score < this.threshold) return;
+            const [best, second] = ranked;
+            if (!best.byOrcid && second && best.score - second.score < this.ambiguityMargin) {
+                ambiguous.push({
+                    name: author.name,
+                    position: author.position,
+                    candidates: ranked
+                        .filter(c => best.score - c.score < this.ambiguityMargin)
+                        .map(({ id, score }) => ({ id, score }))
+                });
+                return;
+            }
+
+            author.member_id = best.id;
+            taken.add(best.id);
+            const { given, family, name } = AuthorList.splitName(this.basics[best.id].name);
+            author.name = name;
+            author.given = given;
+            author.family = family;
+        });
+
+        // A member whose feed listed the work is an author even if no name matched
+        return {
+            memberIds: [...new Set([...taken, ...knownIds])].sort(),
+            ambiguous
+        };
+    }
+}
+
+MemberMatcher.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = MemberMatcher;
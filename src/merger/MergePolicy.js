@@ -0,0 +1,112 @@
+/**
+ * MergePolicy - Decides which source wins when several offer a value for a field
+ *
+ * Each field lists its sources from most to least trusted and a rule:
+ * - priority:  the value from the higher-ranked source wins
+ * - longest:   the longest value wins (more authors, fuller abstract; LaTeX and JATS
+ *              markup do not count); rank breaks ties
+ * - publisher: a value from the publisher's record (CrossRef) wins over any other;
+ *              otherwise as priority
+ * An empty field always takes the first value offered. Fields without a policy
+ * keep the first value they got. Sources: arxiv, orcid, crossref, config, manual.
+ * Manually curated values (config/manual_publications.bib/.ris) win every conflict,
+ * whatever the field's policy says.
+ */
+
+const TextNormalizer = require('../utils/TextNormalizer');
+
+const DEFAULT_POLICY = {
+    title: { sources: ['arxiv', 'orcid', 'crossref'], rule: 'priority' },
+    authors: { sources: ['arxiv', 'crossref', 'orcid', 'config'], rule: 'priority' },
+    journal_ref: { sources: ['crossref', 'arxiv', 'orcid'], rule: 'publisher' },
+    published: { sources: ['arxiv', 'orcid', 'crossref'], rule: 'priority' },
+    summary: { sources: ['arxiv', 'crossref', 'orcid'], rule: 'priority' },
+    doi: { sources: ['arxiv', 'orcid', 'crossref'], rule: 'priority' },
+    type: { sources: ['crossref', 'orcid', 'arxiv'], rule: 'priority' }
+};
+
+const RULES = ['priority', 'longest', 'publisher'];
+const PUBLISHER_SOURCES = new Set(['crossref']);
+const CURATED_SOURCES = new Set(['manual']);
+
+class MergePolicy {
+    /**
+     * @param {Object} config - Per-field overrides of DEFAULT_POLICY (config/merge_policy.json),
+     *                          e.g. { "summary": { "rule": "longest" } }
+     */
+    constructor(config = {}) {
+        this.fields = {};
+        for (const field of new Set([...Object.keys(DEFAULT_POLICY), ...Object.keys(config)])) {
+            const spec = { ...DEFAULT_POLICY[field], ...config[field] };
+            if (!Array.isArray(spec.sources)) spec.sources = [];
+            if (!spec.rule) spec.rule = 'priority';
+            if (!RULES.includes(spec.rule)) {
+                throw new Error(`Unknown merge rule "${spec.rule}" for ${field} (expected ${RULES.join(', ')})`);
+            }
+            this.fields[field] = spec;
+        }
+    }
+
+    static isEmpty(value) {
+        if (value === undefined || value === null) return true;
+        if (typeof value === 'string') return value.trim() === '';
+        if (Array.isArray(value)) return value.length === 0;
+        return false;
+    }
+
+    static size(value) {
+        if (typeof value === 'string') return (TextNormalizer.toText(value) || '').length;
+        if (Array.isArray(value)) return value.length;
+        return 0;
+    }
+
+    rank(field, source) {
+        /**
+         * Position of a source in the field's list (unlisted sources rank last)
+         */
+        const index = this.fields[field] ? this.fields[field].sources.indexOf(source) : -1;
+        return index === -1 ? Infinity : index;
+    }
+
+    /**
+     * True if a value from `source` could replace the current one, whatever the value
+     * (used to skip lookups that cannot change anything)
+     * @param {string} currentSource - Source of the current value (null if unknown)
+     */
+    accepts(field, source, currentValue, currentSource) {
+        if (MergePolicy.isEmpty(currentValue)) return true;
+        if (CURATED_SOURCES.has(source) !== CURATED_SOURCES.has(currentSource)) {
+            return CURATED_SOURCES.has(source);
+        }
+        const spec = this.fields[field];
+        if (!spec) return false;
+        if (spec.rule === 'longest') return true;
+        if (spec.rule === 'publisher' && PUBLISHER_SOURCES.has(source) !== PUBLISHER_SOURCES.has(currentSource)) {
+            return PUBLISHER_SOURCES.has(source);
+        }
+        return this.rank(field, source) < this.rank(field, currentSource);
+    }
+
+    /**
+     * True if `candidate` should replace `current`
+     * @param {Object} candidate - { value, source }
+     * @param {Object} current - { value, source }
+     */
+    prefers(field, candidate, current) {
+        if (MergePolicy.isEmpty(candidate.value)) return false;
+        if (MergePolicy.isEmpty(current.value)) return true;
+        if (JSON.stringify(candidate.value) === JSON.stringify(current.value)) return false;
+
+        const spec = this.fields[field];
+        if (spec && spec.rule === 'longest' && CURATED_SOURCES.has(candidate.source) === CURATED_SOURCES.has(current.source)) {
+            const difference = MergePolicy.size(candidate.value) - MergePolicy.size(current.value);
+            if (difference !== 0) return difference > 0;
+            return this.rank(field, candidate.source) < this.rank(field, current.source);
+        }
+        return this.accepts(field, candidate.source, current.value, current.source);
+    }
+}
+
+MergePolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = MergePolicy;
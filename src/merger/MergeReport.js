@@ -0,0 +1,310 @@
+/**
+ * MergeReport - Audit trail of a mergePublications() run
+ *
+ * Every input record (each arXiv entry, ORCID work and manual record per member) is listed
+ * with its fate: kept in the output, merged into another entry and why, or
+ * excluded because no inclusion rule admitted the entry or an override suppressed it.
+ * Overrides whose target no longer exists are listed as stale.
+ * Enrichment calls that changed an entry are listed with the fields they set,
+ * and authors that could be more than one member are listed for review.
+ * The report is written as data/merge_report.json (machine-readable) and
+ * data/merge_report.md (summary for reviewing the nightly update).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REASONS = {
+    'doi-known': 'same DOI as an earlier record',
+    'same-arxiv-id': 'same arXiv paper',
+    'same-doi': 'same DOI',
+    'similar-title': 'similar title',
+    'erratum': 'erratum of',
+    'doi-after-enrichment': 'DOI found during enrichment matches',
+    'no-inclusion-rule': 'no inclusion rule applies',
+    'suppressed': 'suppressed by an override:'
+};
+
+class MergeReport {
+    constructor() {
+        this.records = [];
+        this.entryTargets = new Map(); // Entry merged away as a whole -> entry it went into
+        this.enrichment = new Map(); // Entry -> [{ source, method, fields }]
+        this.borderline = [];
+        this.ambiguousAuthors = []; // [{ entry, name, position, candidates }]
+        this.excluded = new Map(); // Merged entries left out -> { reason, detail }
+        this.staleOverrides = []; // Override targets matching no entry
+    }
+
+    /**
+     * Registers an input record
+     * @param {string} source - arxiv | orcid | manual
+     * @param {string} researcherId - Member the record was fetched for
+     * @param {Object} fields - { id, doi, title } as given by the source
+     * @returns {Object} The record, to pass to the other methods
+     */
+    addRecord(source, researcherId, fields) {
+        const record = {
+            source,
+            researcher_id: researcherId,
+            id: fields.id || null,
+            doi: fields.doi || null,
+            title: fields.title || '',
+            fate: null,
+            reason: null,
+            detail: null,
+            entry: null,
+            target: null
+        };
+        this.records.push(record);
+        return record;
+    }
+
+    /**
+     * Links a record to the entry that represents it during deduplication
+     */
+    attach(record, entry) {
+        record.entry = entry;
+    }
+
+    keep(record) {
+        record.fate = 'kept';
+    }
+
+    /**
+     * Marks a merged entry as left out (with the records merged into it)
+     * @param {string} reason - no-inclusion-rule, or suppressed (detail: the override's reason)
+     */
+    exclude(entry, reason = 'no-inclusion-rule', detail = null) {
+        this.excluded.set(entry, { reason, detail });
+    }
+
+    addStaleOverride(target) {
+        this.staleOverrides.push(target);
+    }
+
+    /**
+     * Marks a record as merged into `target`
+     * @param {string} reason - Key of REASONS
+     * @param {string} detail - Extra explanation (e.g. similarity score)
+     */
+    merge(record, target, reason, detail = null) {
+        record.fate = 'merged';
+        record.reason = reason;
+        record.detail = detail;
+        record.target = target;
+        if (record.entry && target && record.entry !== target) {
+            this.entryTargets.set(record.entry, target);
+        }
+    }
+
+    recordEnrichment(entry, source, method, fields) {
+        if (!this.enrichment.has(entry)) this.enrichment.set(entry, []);
+        this.enrichment.get(entry).push({ source, method, fields });
+    }
+
+    setBorderline(pairs) {
+        this.borderline = pairs;
+    }
+
+    /**
+     * Records an author MemberMatcher could not attribute to a single member
+     * @param {Object} match - { name, position, candidates: [{ id, score }] }
+     */
+    addAmbiguousAuthor(entry, match) {
+        this.ambiguousAuthors.push({ entry, ...match });
+    }
+
+    resolve(entry, kept) {
+        /**
+         * Follows merges (A into B, B into C) to the entry that made it into the output
+         */
+        const visited = new Set();
+        let current = entry;
+        while (current && !kept.has(current) && !visited.has(current)) {
+            visited.add(current);
+            current = this.entryTargets.get(current);
+        }
+        return current && kept.has(current) ? current : null;
+    }
+
+    /**
+     * Builds the machine-readable report
+     * @param {Array} keptEntries - Entries written to publications.json
+     */
+    build(keptEntries, generatedAt = new Date().toISOString()) {
+        const kept = new Set(keptEntries);
+        const final = new Set([...keptEntries, ...this.excluded.keys()]);
+        const describe = (entry) => entry ? { id: entry.id || null, title: entry.title || '' } : null;
+
+        const records = this.records.map(record => {
+            let fate = record.fate;
+            let reason = record.reason;
+            let detail = record.detail;
+            let into = null;
+            if (fate === 'kept' && this.excluded.has(record.entry)) {
+                fate = 'excluded';
+                ({ reason, detail } = this.excluded.get(record.entry));
+            } else if (fate === 'merged') {
+                const target = this.resolve(record.target, final);
+                if (target && this.excluded.has(target)) {
+                    fate = 'excluded';
+                    ({ reason, detail } = this.excluded.get(target));
+                } else if (target) {
+                    into = describe(target);
+                } else {
+                    fate = 'dropped';
+                }
+            }
+
+            return {
+                source: record.source,
+                researcher_id: record.researcher_id,
+                id: record.id,
+                doi: record.doi,
+                title: record.title,
+                fate: fate || 'dropped',
+                reason,
+                detail,
+                into,
+                enrichment: record.entry ? (this.enrichment.get(record.entry) || []) : []
+            };
+        });
+
+        const byReason = {};
+        for (const record of records) {
+            if (record.fate !== 'merged') continue;
+            byReason[record.reason] = (byReason[record.reason] || 0) + 1;
+        }
+
+        return {
+            generated_at: generatedAt,
+            summary: {
+                input_records: records.length,
+                arxiv_records: records.filter(r => r.source === 'arxiv').length,
+                orcid_records: records.filter(r => r.source === 'orcid').length,
+                manual_records: records.filter(r => r.source === 'manual').length,
+                output_entries: keptEntries.length,
+                kept: records.filter(r => r.fate === 'kept').length,
+                merged: records.filter(r => r.fate === 'merged').length,
+                excluded: records.filter(r => r.fate === 'excluded').length,
+                suppressed: records.filter(r => r.reason === 'suppressed').length,
+                dropped: records.filter(r => r.fate === 'dropped').length,
+                merged_by_reason: byReason,
+                enriched_entries: keptEntries.filter(entry => this.enrichment.has(entry)).length,
+                group_affiliated: keptEntries.filter(entry => entry.group_affiliated).length,
+                possible_duplicates: this.borderline.length,
+                ambiguous_authors: this.ambiguousAuthors.length,
+                stale_overrides: this.staleOverrides.length
+            },
+            records,
+            possible_duplicates: this.borderline.map(pair => ({
+                score: Math.round(pair.score * 1000) / 1000,
+                a: describe(pair.a),
+                b: describe(pair.b)
+            })),
+            ambiguous_authors: this.ambiguousAuthors.map(match => ({
+                entry: describe(match.entry),
+                name: match.name,
+                position: match.position,
+                candidates: match.candidates
+            })),
+            stale_overrides: this.staleOverrides
+        };
+    }
+
+    /**
+     * Renders a built report as Markdown
+     */
+    static toMarkdown(report) {
+        const { summary } = report;
+        const lines = [
+            '# Merge report',
+            '',
+            `Generated ${report.generated_at}`,
+            '',
+            `- Input records: ${summary.input_records} (arXiv ${summary.arxiv_records}, ORCID ${summary.orcid_records}, manual ${summary.manual_records})`,
+            `- Output entries: ${summary.output_entries}`,
+            `- Records merged into another entry: ${summary.merged}`
+        ];
+        for (const [reason, count] of Object.entries(summary.merged_by_reason)) {
+            lines.push(`  - ${REASONS[reason] || reason}: ${count}`);
+        }
+        lines.push(`- Records excluded by the inclusion rules: ${summary.excluded - summary.suppressed}`);
+        lines.push(`- Records suppressed by overrides: ${summary.suppressed}`);
+        lines.push(`- Records dropped: ${summary.dropped}`);
+        lines.push(`- Entries changed by enrichment: ${summary.enriched_entries}`);
+        lines.push(`- Entries with a group affiliation: ${summary.group_affiliated}`);
+        lines.push(`- Possible duplicates to check: ${summary.possible_duplicates}`);
+        lines.push(`- Ambiguous author matches to check: ${summary.ambiguous_authors}`);
+        lines.push(`- Stale overrides to check: ${summary.stale_overrides}`);
+
+        const label = (record) => `[${record.source} ${record.researcher_id}] "${record.title}"`;
+
+        const merged = report.records.filter(r => r.fate !== 'kept');
+        if (merged.length > 0) {
+            lines.push('', '## Merged, excluded and dropped records', '');
+            for (const record of merged) {
+                const why = [REASONS[record.reason] || record.reason, record.detail].filter(part => part).join(' ');
+                const suffix = why ? ` (${why})` : '';
+                lines.push(record.fate === 'merged'
+                    ? `- ${label(record)} → "${record.into.title}"${suffix}`
+                    : `- ${label(record)} ${record.fate}${suffix}`);
+            }
+        }
+
+        if (report.possible_duplicates.length > 0) {
+            lines.push('', '## Possible duplicates', '');
+            for (const pair of report.possible_duplicates) {
+                lines.push(`- ${pair.score.toFixed(2)}: "${pair.a.title}" / "${pair.b.title}"`);
+            }
+        }
+
+        if (report.ambiguous_authors.length > 0) {
+            lines.push('', '## Ambiguous author matches', '');
+            for (const match of report.ambiguous_authors) {
+                const candidates = match.candidates.map(c => `${c.id} (${c.score.toFixed(2)})`).join(', ');
+                lines.push(`- "${match.name}" in "${match.entry.title}": ${candidates}`);
+            }
+        }
+
+        if (report.stale_overrides.length > 0) {
+            lines.push('', '## Stale overrides', '');
+            for (const target of report.stale_overrides) {
+                lines.push(`- "${target}" matches no publication`);
+            }
+        }
+
+        const enriched = report.records.filter(r => r.fate === 'kept' && r.enrichment.length > 0);
+        const seen = new Set();
+        if (enriched.length > 0) {
+            lines.push('', '## Enrichment', '');
+            for (const record of enriched) {
+                const key = `${record.id}|${record.title}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                const calls = record.enrichment
+                    .map(call => `${call.fields.join(', ')} from ${call.source} ${call.method}`)
+                    .join('; ');
+                lines.push(`- "${record.title}": ${calls}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Writes merge_report.json and merge_report.md to the data directory
+     * @returns {Object} The built report
+     */
+    write(dataPath, keptEntries) {
+        const report = this.build(keptEntries);
+        fs.writeFileSync(path.join(dataPath, 'merge_report.json'), JSON.stringify(report, null, 4));
+        fs.writeFileSync(path.join(dataPath, 'merge_report.md'), MergeReport.toMarkdown(report));
+        return report;
+    }
+}
+
+MergeReport.REASONS = REASONS;
+
+module.exports = MergeReport;
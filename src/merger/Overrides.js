@@ -0,0 +1,106 @@
+/**
+ * Overrides - Hand corrections applied to the merged publications
+ *
+ * config/overrides.json maps a DOI, arXiv ID or canonical ID to a correction:
+ *   {
+ *     "10.1103/PhysRevB.99.045301": { "fields": { "title": "..." } },
+ *     "arxiv:2101.01234": { "suppress": "Paper by a namesake" },
+ *     "doi:10.1007/xyz": { "include": true, "author_ids": ["0003"] }
+ *   }
+ * - fields:     values that replace whatever the sources said
+ * - author_ids: the members among the authors (replaces the matched ones)
+ * - include:    list the entry even if no inclusion rule admits it
+ * - suppress:   leave the entry out; the value is the reason
+ * - note:       free text, ignored
+ * Targets are looked up among all merged entries, included or not, and through
+ * data/id_aliases.json, so an override keeps working when a canonical ID changes.
+ */
+
+const ArxivId = require('../utils/ArxivId');
+const PublicationId = require('../utils/PublicationId');
+
+const KEYS = ['fields', 'author_ids', 'include', 'suppress', 'note'];
+
+// Fields an override may set; author_ids and inclusion_reason have their own keys
+const FIELDS = [
+    'title', 'authors', 'summary', 'doi', 'journal_ref', 'venue', 'published', 'updated',
+    'categories', 'comment', 'formats', 'arxiv_url', 'journal_url', 'coverage', 'awards',
+    'type', 'isbn'
+];
+
+class Overrides {
+    /**
+     * @param {Object} config - Target -> override (config/overrides.json)
+     */
+    constructor(config = {}) {
+        this.overrides = Object.entries(config).map(([target, override]) => {
+            const key = Overrides.targetKey(target);
+            if (!key) {
+                throw new Error(`Override target "${target}" is not a DOI, arXiv ID or canonical ID`);
+            }
+            const unknown = Object.keys(override).filter(name => !KEYS.includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`Override "${target}": unknown key "${unknown[0]}" (expected ${KEYS.join(', ')})`);
+            }
+            const fields = Object.keys(override.fields || {}).filter(field => !FIELDS.includes(field));
+            if (fields.length > 0) {
+                throw new Error(`Override "${target}": field "${fields[0]}" cannot be overridden`);
+            }
+            if (override.include && override.suppress) {
+                throw new Error(`Override "${target}": include and suppress exclude each other`);
+            }
+            return { target, key, ...override };
+        });
+    }
+
+    /**
+     * Canonical form of an override target: doi:<DOI>, arxiv:<versionless ID> or title:<hash>
+     * @returns {string|null} null if the target is none of them
+     */
+    static targetKey(target) {
+        const text = String(target || '').trim();
+        if (/^title:[0-9a-f]+$/i.test(text)) return text.toLowerCase();
+        if (/^(doi:|https?:\/\/(dx\.)?doi\.org\/|10\.)/i.test(text)) {
+            const doi = PublicationId.normalizeDoi(text);
+            return doi ? `doi:${doi}` : null;
+        }
+        const arxivId = ArxivId.normalize(text);
+        return arxivId ? `arxiv:${arxivId}` : null;
+    }
+
+    /**
+     * Keys under which an entry can be targeted: its canonical ID, DOI and arXiv ID
+     */
+    static entryKeys(entry) {
+        const keys = [entry.id];
+        const doi = PublicationId.normalizeDoi(entry.doi);
+        if (doi) keys.push(`doi:${doi}`);
+        const arxivId = ArxivId.normalize(entry.arxiv_url);
+        if (arxivId) keys.push(`arxiv:${arxivId}`);
+        return keys;
+    }
+
+    /**
+     * Pairs every override with the entry it targets
+     * @param {Array} entries - Merged entries with canonical IDs
+     * @param {IdAliases} aliases - Former IDs, tried when no entry has the key
+     * @returns {Array} [{ override, entry }], entry null for stale overrides
+     */
+    resolve(entries, aliases = null) {
+        const byKey = new Map();
+        for (const entry of entries) {
+            for (const key of Overrides.entryKeys(entry)) {
+                if (key && !byKey.has(key)) byKey.set(key, entry);
+            }
+        }
+        return this.overrides.map(override => {
+            let entry = byKey.get(override.key) || null;
+            if (!entry && aliases) entry = byKey.get(aliases.resolve(override.key)) || null;
+            return { override, entry };
+        });
+    }
+}
+
+Overrides.FIELDS = FIELDS;
+
+module.exports = Overrides;
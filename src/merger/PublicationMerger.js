@@ -7,24 +7,206 @@ const path = require('path');
 const ArxivFetcher = require('../fetchers/ArxivFetcher');
 const CrossRefFetcher = require('../fetchers/CrossRefFetcher');
 const CitationParser = require('../parsers/CitationParser');
-const AuthorUtils = require('../utils/AuthorUtils');
+const AuthorList = require('../utils/AuthorList');
 const UrlBuilder = require('../utils/UrlBuilder');
+const ArxivId = require('../utils/ArxivId');
+const PublicationId = require('../utils/PublicationId');
+const PublicationType = require('../utils/PublicationType');
+const DuplicateDetector = require('./DuplicateDetector');
+const RelationLinker = require('./RelationLinker');
+const MergeReport = require('./MergeReport');
+const MergePolicy = require('./MergePolicy');
+const IdAliases = require('./IdAliases');
+const VenueFormatter = require('./VenueFormatter');
+const MemberMatcher = require('./MemberMatcher');
+const AffiliationMatcher = require('./AffiliationMatcher');
+const InclusionRules = require('./InclusionRules');
+const Overrides = require('./Overrides');
+const TextNormalizer = require('../utils/TextNormalizer');
+
+// Output fields whose origin is recorded in the provenance map
+const PROVENANCE_FIELDS = [
+    'title', 'authors', 'summary', 'doi', 'journal_ref', 'published', 'updated',
+    'categories', 'comment', 'formats', 'arxiv_url', 'arxiv_version', 'journal_url',
+    'author_ids', 'coverage', 'awards', 'type', 'isbn', 'venue', 'group_affiliated', 'inclusion_reason',
+    'title_text', 'title_html', 'summary_text', 'summary_html'
+];
 const DateUtils = require('../utils/DateUtils');
 
 class PublicationMerger {
-    constructor(dataPath, basics, journalAbbreviations, normalizationPatterns, highlights) {
+    /**
+     * @param {Object} options
+     * @param {ResponseCache} options.cache - Response cache for enrichment lookups
+     * @param {HttpClient} options.httpClient - HTTP client for enrichment lookups
+     * @param {Object} options.endpoints - Base URL overrides (arxiv, arxivApi, crossrefApi)
+     * @param {ArxivFetcher} options.arxivFetcher - Use this fetcher instead of building one
+     * @param {CrossRefFetcher} options.crossrefFetcher - Use this fetcher instead of building one
+     * @param {Object} options.dedup - Duplicate detection settings (config/dedup.json)
+     * @param {Object} options.mergePolicy - Source priority per field (config/merge_policy.json)
+     * @param {Object} options.citationStyle - How journal refs are rendered (config/citation_style.json)
+     * @param {Object} options.membership - Membership settings such as grace_days (config/membership.json)
+     * @param {Object} options.inclusion - Rules deciding which entries are listed (config/inclusion.json)
+     * @param {Object} options.affiliations - Institutions that count as the group (config/affiliations.json)
+     * @param {Object} options.overrides - Hand corrections per publication (config/overrides.json)
+     * @param {boolean} options.provenance - Keep the per-field provenance map in the output (default: false)
+     */
+    constructor(dataPath, basics, journalAbbreviations, normalizationPatterns, highlights, options = {}) {
         this.dataPath = dataPath;
         this.basics = basics;
         this.journalAbbreviations = journalAbbreviations;
         this.normalizationPatterns = normalizationPatterns;
         this.highlights = highlights;
+        this.cache = options.cache || null;
+        
+        // Initialize fetchers (lookups go through the response cache when provided)
+        const endpoints = options.endpoints || {};
+        this.arxivFetcher = options.arxivFetcher || new ArxivFetcher({
+            cache: this.cache,
+            httpClient: options.httpClient,
+            baseUrl: endpoints.arxiv,
+            apiUrl: endpoints.arxivApi
+        });
+        this.crossrefFetcher = options.crossrefFetcher || new CrossRefFetcher({
+            cache: this.cache,
+            httpClient: options.httpClient,
+            apiUrl: endpoints.crossrefApi
+        });
         
-        // Initialize fetchers
-        this.arxivFetcher = new ArxivFetcher();
-        this.crossrefFetcher = new CrossRefFetcher();
+        this.memberMatcher = new MemberMatcher(basics);
+        this.affiliationMatcher = new AffiliationMatcher(options.affiliations || {});
+        this.inclusionRules = new InclusionRules(basics, options.inclusion || {}, options.membership || {});
+        this.overrides = new Overrides(options.overrides || {});
         
-        // Build name variants map
-        this.nameVariantsMap = AuthorUtils.buildNameVariantsMap(basics);
+        this.duplicateDetector = new DuplicateDetector(options.dedup || {});
+        this.policy = new MergePolicy(options.mergePolicy || {});
+        this.venueFormatter = new VenueFormatter({
+            abbreviations: journalAbbreviations,
+            normalizationPatterns,
+            style: options.citationStyle
+        });
+        this.borderlinePairs = [];
+        this.includeProvenance = !!options.provenance;
+        this.mergedAt = null;
+        this.report = null;
+    }
+
+    static snapshotFields(entry) {
+        const snapshot = {};
+        for (const field of PROVENANCE_FIELDS) {
+            snapshot[field] = JSON.stringify(entry[field]);
+        }
+        return snapshot;
+    }
+
+    static isEmptyValue(value) {
+        if (value === undefined || value === null || value === '') return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === 'object') return Object.values(value).every(v => v === null || v === undefined);
+        return false;
+    }
+
+    trackProvenance(entry, source, method, timestamp = this.mergedAt) {
+        /**
+         * Records the origin of every filled field that has none yet
+         * (used for the records a source delivered as a whole)
+         */
+        if (!entry._provenance) entry._provenance = {};
+        for (const field of PROVENANCE_FIELDS) {
+            if (entry._provenance[field] || PublicationMerger.isEmptyValue(entry[field])) continue;
+            entry._provenance[field] = { source, method, timestamp };
+        }
+    }
+
+    recordChanges(entry, before, source, method, timestamp = this.mergedAt) {
+        /**
+         * Records the origin of the fields that changed since snapshotFields()
+         * and reports lookups that changed something in the merge report
+         */
+        if (!entry._provenance) entry._provenance = {};
+        const changed = [];
+        for (const field of PROVENANCE_FIELDS) {
+            if (JSON.stringify(entry[field]) === before[field]) continue;
+            changed.push(field);
+            if (PublicationMerger.isEmptyValue(entry[field])) {
+                delete entry._provenance[field];
+            } else {
+                entry._provenance[field] = { source, method, timestamp };
+            }
+        }
+
+        // Derived fields (URLs, author IDs) follow from the others and are not worth reporting
+        if (this.report && changed.length > 0 && source !== 'derived') {
+            this.report.recordEnrichment(entry, source, method, changed);
+        }
+    }
+
+    fieldSource(entry, field) {
+        const origin = entry._provenance && entry._provenance[field];
+        return origin ? origin.source : null;
+    }
+
+    accepts(entry, field, source) {
+        /**
+         * True if the merge policy would let a value from `source` replace the field
+         */
+        return this.policy.accepts(field, source, entry[field], this.fieldSource(entry, field));
+    }
+
+    setField(entry, field, value, source) {
+        /**
+         * Sets a field if the merge policy prefers the value from `source` over the
+         * current one; returns true if the field was changed
+         * (the caller records the change with recordChanges())
+         */
+        const current = { value: entry[field], source: this.fieldSource(entry, field) };
+        if (!this.policy.prefers(field, { value, source }, current)) return false;
+        entry[field] = value;
+        return true;
+    }
+
+    applyValues(entry, values, source, method, timestamp = this.mergedAt) {
+        /**
+         * Offers the values of another record of the same work to an entry
+         */
+        const before = PublicationMerger.snapshotFields(entry);
+        for (const [field, value] of Object.entries(values)) {
+            this.setField(entry, field, value, source);
+        }
+        this.recordChanges(entry, before, source, method, timestamp);
+    }
+
+    applyManual(entry, manualEntry, timestamp = this.mergedAt) {
+        /**
+         * Offers the fields of a manually curated record to an entry (they win every
+         * conflict, see MergePolicy) and marks the entry as curated
+         */
+        const before = PublicationMerger.snapshotFields(entry);
+        this.setField(entry, 'title', manualEntry.title, 'manual');
+        this.setAuthors(entry, manualEntry.author_list || [], 'manual');
+        this.setJournalRef(entry, manualEntry.venue, manualEntry.journal_ref, 'manual');
+        for (const field of ['doi', 'published', 'summary', 'type', 'isbn']) {
+            this.setField(entry, field, manualEntry[field], 'manual');
+        }
+        entry.curated = true;
+        this.recordChanges(entry, before, 'manual', `${manualEntry.format || 'bibtex'}-file`, timestamp);
+    }
+
+    orcidValues(orcidEntry, doi) {
+        return {
+            title: orcidEntry.title || null,
+            journal_ref: orcidEntry.journal || null,
+            doi: doi || null,
+            published: DateUtils.formatOrcidDate(orcidEntry['publication-date']),
+            type: PublicationType.fromOrcid(orcidEntry.type),
+            isbn: this.extractIsbnFromExternalIds(orcidEntry['external-ids'])
+        };
+    }
+
+    sourceTimestamp(fileName) {
+        /**
+         * When the raw source data was fetched (modification time of its data file)
+         */
+        return fs.statSync(path.join(this.dataPath, fileName)).mtime.toISOString();
     }
 
     normalizeDoi(doi) {
@@ -51,18 +233,90 @@ class PublicationMerger {
         return standardized;
     }
 
+    formatJournalRef(journalRef) {
+        /**
+         * Display form of a free-text journal ref: rendered in the citation style
+         * if it parses completely, standardized as written otherwise
+         */
+        if (!journalRef) return null;
+        const venue = this.venueFormatter.fromText(journalRef);
+        return venue ? this.venueFormatter.render(venue) : this.standardizeJournalRef(journalRef);
+    }
+
+    setJournalRef(entry, venue, journalRef, source) {
+        /**
+         * Sets journal_ref from a structured venue (rendered) or, without one, from
+         * the text; the venue is kept for finishVenue() if the policy takes the value
+         */
+        const completed = venue && venue.journal ? this.venueFormatter.complete(venue) : null;
+        const value = completed ? this.venueFormatter.render(completed) : journalRef;
+        if (!this.setField(entry, 'journal_ref', value, source)) return false;
+        entry._venue = completed;
+        return true;
+    }
+
+    finishVenue(entry) {
+        /**
+         * Fills `venue` from the structured venue the journal ref came from, or by
+         * parsing the journal ref, and renders journal_ref from it in the citation style
+         * (journal refs that do not parse completely are only standardized)
+         */
+        const venue = entry._venue || this.venueFormatter.fromText(entry.journal_ref);
+        delete entry._venue;
+
+        if (!venue) {
+            entry.venue = null;
+            if (entry.journal_ref) entry.journal_ref = this.standardizeJournalRef(entry.journal_ref);
+            return;
+        }
+
+        entry.venue = venue;
+        entry.journal_ref = this.venueFormatter.render(venue);
+        if (entry._provenance && entry._provenance.journal_ref) {
+            entry._provenance.venue = { ...entry._provenance.journal_ref };
+        }
+    }
+
     findHighlights(doi) {
         if (!doi || !this.highlights.entries) return null;
         const cleanDoi = doi.toLowerCase();
         return this.highlights.entries.find(h => h.doi.toLowerCase() === cleanDoi);
     }
 
-    normalizeAuthorNames(authorsString) {
-        return AuthorUtils.normalizeAuthorNames(authorsString, this.nameVariantsMap);
+    setAuthors(entry, authors, source) {
+        /**
+         * Sets authors from an author list (or a free-text string, split into one);
+         * the list is kept in author_list if the policy takes the value
+         */
+        const authorList = Array.isArray(authors) ? authors : AuthorList.fromString(authors);
+        if (!this.setField(entry, 'authors', AuthorList.toString(authorList), source)) return false;
+        entry.author_list = authorList;
+        return true;
     }
 
-    findQudymaAuthorIdsByName(authorsString) {
-        return AuthorUtils.findQudymaAuthorIdsByName(authorsString, this.nameVariantsMap, this.basics);
+    finishAuthors(entry, knownIds) {
+        /**
+         * Marks the members in author_list (canonical names, member IDs) and the authors
+         * affiliated with the group, renders the legacy authors string from it and
+         * returns the member IDs of the entry
+         * Entries from older caches get their list from the authors string; ambiguous
+         * matches are left unassigned and listed in the merge report
+         */
+        const authorList = (entry.author_list || AuthorList.fromString(entry.authors)).map(a => ({ ...a }));
+        const { memberIds, ambiguous } = this.memberMatcher.assign(authorList, knownIds);
+        for (const match of ambiguous) {
+            const candidates = match.candidates.map(c => this.basics[c.id].name).join(' / ');
+            console.log(`    Ambiguous author "${match.name}" in "${entry.title}": ${candidates}`);
+            if (this.report) this.report.addAmbiguousAuthor(entry, match);
+        }
+        this.affiliationMatcher.markAuthors(authorList);
+
+        entry.author_list = authorList;
+        if (authorList.length > 0) entry.authors = AuthorList.toString(authorList);
+        if (entry._provenance && entry._provenance.authors) {
+            entry._provenance.author_list = { ...entry._provenance.authors };
+        }
+        return memberIds;
     }
 
     extractDOIFromExternalIds(externalIds) {
@@ -80,12 +334,21 @@ class PublicationMerger {
         return null;
     }
 
+    extractIsbnFromExternalIds(externalIds) {
+        if (!externalIds) return null;
+        
+        const isbnEntry = externalIds.find(id => id['external-id-type'] === 'isbn');
+        return isbnEntry && isbnEntry['external-id-value'] ? isbnEntry['external-id-value'].trim() : null;
+    }
+
     extractArxivIdFromExternalIds(externalIds) {
         if (!externalIds) return null;
         
         const arxivEntry = externalIds.find(id => id['external-id-type'] === 'arxiv');
         if (arxivEntry && arxivEntry['external-id-value']) {
-            return arxivEntry['external-id-value'];
+            // ORCID values come as "arXiv:...", bare IDs or abs URLs
+            const parsed = ArxivId.parse(arxivEntry['external-id-value']);
+            return parsed ? parsed.id : null;
         }
         return null;
     }
@@ -94,9 +357,17 @@ class PublicationMerger {
         // Load cached data
         const arxivPubs = JSON.parse(fs.readFileSync(path.join(this.dataPath, 'arxiv_publications.json'), 'utf8'));
         const orcidPubs = JSON.parse(fs.readFileSync(path.join(this.dataPath, 'orcid_publications.json'), 'utf8'));
+        const manualPath = path.join(this.dataPath, 'manual_publications.json');
+        const manualPubs = fs.existsSync(manualPath) ? JSON.parse(fs.readFileSync(manualPath, 'utf8')) : {};
 
         const merged = {};
-        const processedDOIs = new Set();
+        const processedDOIs = new Map(); // Normalized DOI -> entry that brought it
+        const report = new MergeReport();
+        this.report = report;
+        this.mergedAt = new Date().toISOString();
+        const arxivFetchedAt = this.sourceTimestamp('arxiv_publications.json');
+        const orcidFetchedAt = this.sourceTimestamp('orcid_publications.json');
+        const manualReadAt = fs.existsSync(manualPath) ? this.sourceTimestamp('manual_publications.json') : this.mergedAt;
 
         // Step 1: Process arXiv publications
         console.log('  Step 1: Processing arXiv publications...');
@@ -104,17 +375,22 @@ class PublicationMerger {
             if (!merged[researcherId]) {
                 merged[researcherId] = {
                     name: data.name,
-                    entries: []
+                    entries: [],
+                    records: [] // Merge report record of each entry, same order
                 };
             }
             
             if (data.entries) {
                 merged[researcherId].entries.push(...data.entries);
                 for (const entry of data.entries) {
+                    const record = report.addRecord('arxiv', researcherId, entry);
+                    report.attach(record, entry);
+                    merged[researcherId].records.push(record);
+                    this.trackProvenance(entry, 'arxiv', 'author-feed', arxivFetchedAt);
                     if (entry.doi) {
                         const normalizedDoi = this.normalizeDoi(entry.doi);
-                        if (normalizedDoi) {
-                            processedDOIs.add(normalizedDoi);
+                        if (normalizedDoi && !processedDOIs.has(normalizedDoi)) {
+                            processedDOIs.set(normalizedDoi, entry);
                         }
                     }
                 }
@@ -123,6 +399,8 @@ class PublicationMerger {
 
         // Step 2: Process ORCID publications
         console.log('  Step 2: Processing ORCID publications...');
+        const arxivLookups = await this.prefetchArxivMetadata(orcidPubs, processedDOIs);
+
         for (const [researcherId, data] of Object.entries(orcidPubs)) {
             if (!data.entries) continue;
             
@@ -132,35 +410,29 @@ class PublicationMerger {
             for (const orcidEntry of data.entries) {
                 const doi = this.extractDOIFromExternalIds(orcidEntry['external-ids']);
                 const arxivId = this.extractArxivIdFromExternalIds(orcidEntry['external-ids']);
+                const record = report.addRecord('orcid', researcherId, { id: arxivId, doi, title: orcidEntry.title });
                 
                 // Skip if this DOI was already added from arXiv
                 if (doi) {
                     const normalizedDoi = this.normalizeDoi(doi);
                     if (normalizedDoi && processedDOIs.has(normalizedDoi)) {
+                        const known = processedDOIs.get(normalizedDoi);
+                        this.applyValues(known, this.orcidValues(orcidEntry, doi), 'orcid', 'work-summary', orcidFetchedAt);
+                        report.merge(record, known, 'doi-known', normalizedDoi);
                         skippedCount++;
                         continue;
                     }
                 }
 
-                // Try to get or fetch arXiv metadata
-                let arxivEntry = null;
-                
-                if (arxivId) {
-                    try {
-                        arxivEntry = await this.arxivFetcher.fetchMetadata(arxivId);
-                    } catch (e) {
-                        // Ignore errors
-                    }
-                }
+                // Use the arXiv metadata resolved up front (by arXiv ID, then by DOI)
+                let arxivEntry = arxivId ? arxivLookups.byId.get(arxivId) || null : null;
+                let arxivMethod = 'id-lookup';
                 
                 if (!arxivEntry && doi) {
-                    try {
-                        const foundArxivId = await this.arxivFetcher.searchByDOI(doi);
-                        if (foundArxivId) {
-                            arxivEntry = await this.arxivFetcher.fetchMetadata(foundArxivId);
-                        }
-                    } catch (e) {
-                        // Ignore errors
+                    const foundArxivId = arxivLookups.idByDoi.get(this.normalizeDoi(doi));
+                    if (foundArxivId) {
+                        arxivEntry = arxivLookups.byId.get(foundArxivId) || null;
+                        arxivMethod = 'doi-search';
                     }
                 }
 
@@ -169,14 +441,19 @@ class PublicationMerger {
                     if (!merged[researcherId]) {
                         merged[researcherId] = {
                             name: data.name,
-                            entries: []
+                            entries: [],
+                            records: []
                         };
                     }
+                    this.trackProvenance(arxivEntry, 'arxiv', arxivMethod);
+                    this.applyValues(arxivEntry, this.orcidValues(orcidEntry, doi), 'orcid', 'work-summary', orcidFetchedAt);
+                    report.attach(record, arxivEntry);
                     merged[researcherId].entries.push(arxivEntry);
+                    merged[researcherId].records.push(record);
                     if (doi) {
                         const normalizedDoi = this.normalizeDoi(doi);
                         if (normalizedDoi) {
-                            processedDOIs.add(normalizedDoi);
+                            processedDOIs.set(normalizedDoi, arxivEntry);
                         }
                     }
                     addedCount++;
@@ -193,8 +470,8 @@ class PublicationMerger {
                         authors: '',
                         categories: [],
                         formats: { html: null, pdf: null },
-                        // Store ORCID external-ids for later ISBN/ISSN detection
-                        _orcid_external_ids: orcidEntry['external-ids'],
+                        type: PublicationType.fromOrcid(orcidEntry.type),
+                        isbn: this.extractIsbnFromExternalIds(orcidEntry['external-ids']),
                         // Store contributors and citation if available (for entries without DOI/arXiv)
                         _orcid_contributors: orcidEntry.contributors || null,
                         _orcid_citation: orcidEntry.citation || null
@@ -203,14 +480,18 @@ class PublicationMerger {
                     if (!merged[researcherId]) {
                         merged[researcherId] = {
                             name: data.name,
-                            entries: []
+                            entries: [],
+                            records: []
                         };
                     }
+                    this.trackProvenance(orcidOnlyEntry, 'orcid', 'work-summary', orcidFetchedAt);
+                    report.attach(record, orcidOnlyEntry);
                     merged[researcherId].entries.push(orcidOnlyEntry);
+                    merged[researcherId].records.push(record);
                     if (doi) {
                         const normalizedDoi = this.normalizeDoi(doi);
                         if (normalizedDoi) {
-                            processedDOIs.add(normalizedDoi);
+                            processedDOIs.set(normalizedDoi, orcidOnlyEntry);
                         }
                     }
                     addedCount++;
@@ -220,24 +501,39 @@ class PublicationMerger {
             console.log(`    ${data.name}: Added ${addedCount}, skipped ${skippedCount}`);
         }
 
-        // Step 3: Flatten and enrich
-        console.log('  Step 3: Flattening and enriching...');
+        // Step 3: Process manually curated publications
+        console.log('  Step 3: Processing manual publications...');
+        this.processManualPublications(manualPubs, merged, processedDOIs, manualReadAt);
+
+        // Step 4: Flatten and enrich
+        console.log('  Step 4: Flattening and enriching...');
         const allPublications = { entries: [] };
-        const seenIds = new Set();
-        const seenDOIs = new Set();
-        const titleMap = {};
+        const seenIds = new Map(); // Versionless arXiv ID -> kept entry
+        const seenDOIs = new Map(); // Normalized DOI -> kept entry
+        const linker = new RelationLinker({
+            normalizeDoi: (doi) => this.normalizeDoi(doi),
+            formatVenue: (journalRef) => this.formatJournalRef(journalRef)
+        });
+        const mergedEntries = [];
         const publicationAuthors = {}; // Maps publication ID to set of researcher IDs
+        const listedBy = new Map(); // Entry -> members whose records were merged into it
+        
+        // Merged-away records are linked to the kept entry and explained in the report
+        const mergeInto = (entry, record, target, reason, detail = null, relation = null) => {
+            linker.link(entry, target, relation);
+            report.merge(record, target, reason, detail);
+            if (relation === 'erratum') return;
+            if (!listedBy.has(target)) listedBy.set(target, new Set());
+            listedBy.get(target).add(record.researcher_id);
+        };
 
-        // Build a map of titles for duplicate detection
+        // Collect entries for duplicate detection
         for (const [researcherId, data] of Object.entries(merged)) {
             if (!data.entries || data.entries.length === 0) continue;
             
             for (const entry of data.entries) {
                 const title = entry.title ? entry.title.toLowerCase().trim() : '';
-                if (!titleMap[title]) {
-                    titleMap[title] = [];
-                }
-                titleMap[title].push({ researcherId, entry });
+                mergedEntries.push(entry);
                 
                 // Track author IDs for this publication
                 let pubKey;
@@ -247,7 +543,7 @@ class PublicationMerger {
                 } else if (entry.id && entry.id.startsWith('orcid:')) {
                     pubKey = title;
                 } else {
-                    pubKey = entry.id || title;
+                    pubKey = ArxivId.normalize(entry.id) || entry.id || title;
                 }
                 
                 if (!publicationAuthors[pubKey]) {
@@ -257,42 +553,72 @@ class PublicationMerger {
             }
         }
 
+        // Errata are attached to the paper they correct rather than listed on their own
+        const errataTargets = this.findErrataTargets(mergedEntries);
+
+        // Group entries describing the same work (title similarity, authors, year)
+        const { groups: titleGroups, borderline } = this.duplicateDetector.group(
+            mergedEntries.filter(entry => !errataTargets.has(entry))
+        );
+        this.borderlinePairs = borderline;
+        report.setBorderline(borderline);
+        for (const pair of borderline) {
+            console.log(`    Possible duplicate (score ${pair.score.toFixed(2)}): "${pair.a.title}" / "${pair.b.title}"`);
+        }
+
         // Process each researcher's entries
         for (const [researcherId, data] of Object.entries(merged)) {
             if (!data.entries || data.entries.length === 0) continue;
             
-            for (const entry of data.entries) {
-                const arxivIdMatch = entry.id ? entry.id.match(/arxiv\.org\/abs\/([\d.]+v?\d*)/) : null;
-                const arxivId = arxivIdMatch ? arxivIdMatch[1] : null;
+            for (const [index, entry] of data.entries.entries()) {
+                const record = data.records[index];
+                const arxivId = ArxivId.normalize(entry.id);
                 const doi = entry.doi ? this.normalizeDoi(entry.doi) : null;
                 
                 let isDuplicate = false;
-                if (arxivId && seenIds.has(arxivId)) isDuplicate = true;
-                if (doi && seenDOIs.has(doi)) isDuplicate = true;
+                if (errataTargets.has(entry)) {
+                    isDuplicate = true;
+                    mergeInto(entry, record, errataTargets.get(entry), 'erratum', null, 'erratum');
+                }
+                if (!isDuplicate && arxivId && seenIds.has(arxivId)) {
+                    isDuplicate = true;
+                    // Another version of a paper we already kept: remember the latest one
+                    const kept = seenIds.get(arxivId);
+                    mergeInto(entry, record, kept, 'same-arxiv-id', arxivId);
+                    const version = ArxivId.version(entry.id);
+                    if (version !== null && (kept.arxiv_version === null || version > kept.arxiv_version)) {
+                        kept.arxiv_version = version;
+                    }
+                }
+                if (!isDuplicate && doi && seenDOIs.has(doi)) {
+                    isDuplicate = true;
+                    mergeInto(entry, record, seenDOIs.get(doi), 'same-doi', doi);
+                }
                 
                 // Check for title-based duplicates (for ORCID entries with no arXiv ID)
                 if (!isDuplicate && !arxivId) {
-                    const titleKey = entry.title ? entry.title.toLowerCase().trim() : '';
-                    const duplicateEntries = titleMap[titleKey];
+                    const duplicateEntries = titleGroups.get(entry);
                     
                     if (duplicateEntries && duplicateEntries.length > 1) {
                         const completeEntries = duplicateEntries.filter(d => 
-                            d.entry.id && 
-                            (d.entry.id.includes('arxiv.org') || d.entry.authors) &&
-                            (d.entry.summary || d.entry.journal_ref)
+                            d.id && 
+                            (d.id.includes('arxiv.org') || d.authors) &&
+                            (d.summary || d.journal_ref)
                         );
                         
                         if (completeEntries.length > 0) {
-                            const bestEntry = completeEntries[0].entry;
+                            const bestEntry = completeEntries[0];
                             if (bestEntry === entry) {
                                 isDuplicate = false;
                             } else {
                                 isDuplicate = true;
+                                mergeInto(entry, record, bestEntry, 'similar-title', this.similarityDetail(entry, bestEntry));
                             }
                         } else {
-                            const firstEntry = duplicateEntries[0].entry;
+                            const firstEntry = duplicateEntries[0];
                             if (firstEntry !== entry) {
                                 isDuplicate = true;
+                                mergeInto(entry, record, firstEntry, 'similar-title', this.similarityDetail(entry, firstEntry));
                             }
                         }
                     }
@@ -305,112 +631,437 @@ class PublicationMerger {
                     const enrichedDoi = entry.doi ? this.normalizeDoi(entry.doi) : null;
                     if (enrichedDoi && seenDOIs.has(enrichedDoi)) {
                         // Skip this entry - it's a duplicate that was discovered during enrichment
+                        mergeInto(entry, record, seenDOIs.get(enrichedDoi), 'doi-after-enrichment', enrichedDoi);
                         continue;
                     }
                     
                     allPublications.entries.push(entry);
-                    if (arxivId) seenIds.add(arxivId);
-                    if (enrichedDoi) seenDOIs.add(enrichedDoi);
+                    report.keep(record);
+                    if (arxivId) seenIds.set(arxivId, entry);
+                    if (enrichedDoi) seenDOIs.set(enrichedDoi, entry);
                 }
             }
         }
 
+        // Step 5: Decide inclusion now that the authors of every entry are known
+        console.log('  Step 5: Applying inclusion rules...');
+        const feeds = new Map(); // Entry -> members whose feed listed it
+        for (const entry of allPublications.entries) {
+            feeds.set(entry, [...new Set([...(entry._listed_by || []), ...(listedBy.get(entry) || [])])]);
+            delete entry._listed_by;
+            this.decideInclusion(entry, feeds.get(entry));
+        }
+        const includedCount = allPublications.entries.filter(entry => entry.inclusion_reason).length;
+        console.log(`    Included ${includedCount}, excluded ${allPublications.entries.length - includedCount} publications`);
+
+        // Attach merged-away records (other versions, errata) to the merged entries
+        const linkedCount = linker.apply(allPublications.entries);
+        console.log(`    Linked ${linkedCount} related records`);
+
+        // Replace source IDs by canonical ones (included entries first, so they keep unsuffixed IDs)
+        const aliases = new IdAliases(path.join(this.dataPath, 'id_aliases.json'));
+        allPublications.entries.sort((a, b) => (b.inclusion_reason ? 1 : 0) - (a.inclusion_reason ? 1 : 0));
+        const sourceIds = this.assignCanonicalIds(allPublications.entries, linker);
+
+        // Step 6: Apply the hand corrections of config/overrides.json
+        console.log('  Step 6: Applying overrides...');
+        this.applyOverrides(allPublications.entries, feeds, aliases);
+
+        const included = [];
+        for (const entry of allPublications.entries) {
+            if (entry.inclusion_reason) {
+                included.push(entry);
+            } else if (!entry._suppressed) {
+                report.exclude(entry);
+            }
+            delete entry._suppressed;
+        }
+        allPublications.entries = included;
+
+        // Plain-text and HTML titles and abstracts, from the final (overridden) values
+        for (const entry of allPublications.entries) {
+            this.normalizeText(entry);
+        }
+
+        // Former IDs of the listed entries become aliases
+        const aliasCount = aliases.update(new Map(included.map(entry => [entry.id, sourceIds.get(entry.id)])));
+        aliases.save();
+        console.log(`    Assigned canonical IDs (${aliasCount} new aliases)`);
+
+        // Provenance is internal unless requested (timestamps would change the file on every run)
+        for (const entry of allPublications.entries) {
+            if (this.includeProvenance) {
+                entry.provenance = entry._provenance || {};
+            }
+            delete entry._provenance;
+        }
+
         // Save to data directory
         const outputPath = path.join(this.dataPath, 'publications.json');
         fs.writeFileSync(outputPath, JSON.stringify(allPublications, null, 4));
         console.log(`  Saved ${allPublications.entries.length} publications to ${outputPath}`);
 
+        const { summary } = report.write(this.dataPath, allPublications.entries);
+        console.log(`  Merge report: ${summary.input_records} input records, ${summary.kept} kept, ${summary.merged} merged, ${summary.excluded} excluded, ${summary.dropped} dropped (data/merge_report.md)`);
+
+        if (this.cache) {
+            this.cache.save();
+            console.log(`  Response cache: ${this.cache.hits} hits, ${this.cache.misses} misses${this.cache.offline ? ' (offline)' : ''}`);
+        }
+
         return allPublications;
     }
 
+    decideInclusion(entry, members) {
+        /**
+         * Sets inclusion_reason from the inclusion rules (null if no rule admits the entry)
+         */
+        const before = PublicationMerger.snapshotFields(entry);
+        entry.inclusion_reason = this.inclusionRules.decide(entry, members);
+        this.recordChanges(entry, before, 'derived', 'inclusion-rules');
+    }
+
+    normalizeText(entry) {
+        /**
+         * Sets title_text/summary_text (plain Unicode, for search and display without
+         * markup) and title_html/summary_html (escaped HTML keeping math,
+         * sub/superscripts and italics) from the LaTeX or JATS of title and summary
+         * of the final entries; duplicate detection reads TitleUtils.titleKey instead
+         */
+        const before = PublicationMerger.snapshotFields(entry);
+        const title = TextNormalizer.normalize(entry.title);
+        const summary = TextNormalizer.normalize(entry.summary);
+        entry.title_text = title.text;
+        entry.title_html = title.html;
+        entry.summary_text = summary.text;
+        entry.summary_html = summary.html;
+        this.recordChanges(entry, before, 'derived', 'text-normalization');
+    }
+
+    applyOverrides(entries, feeds, aliases) {
+        /**
+         * Applies config/overrides.json to the merged entries (canonical IDs assigned,
+         * inclusion decided): field patches and author_ids are set as given and the
+         * inclusion rules run again, unless the override forces inclusion or suppresses
+         * the entry (marked _suppressed). Overrides whose target is gone are warned about.
+         */
+        let applied = 0;
+        for (const { override, entry } of this.overrides.resolve(entries, aliases)) {
+            if (!entry) {
+                console.log(`    Warning: override for "${override.target}" matches no publication`);
+                this.report.addStaleOverride(override.target);
+                continue;
+            }
+
+            const fields = override.fields || {};
+            const before = PublicationMerger.snapshotFields(entry);
+            Object.assign(entry, fields);
+            if (fields.authors !== undefined) {
+                // The author list follows the corrected string (members matched again)
+                entry.author_list = AuthorList.fromString(fields.authors);
+                entry.author_ids = this.finishAuthors(entry, feeds.get(entry) || []);
+                entry.group_affiliated = entry.author_list.some(author => author.group_affiliated === true);
+            }
+            if (fields.journal_ref !== undefined && fields.venue === undefined) {
+                entry.venue = fields.journal_ref ? this.venueFormatter.fromText(fields.journal_ref) : null;
+            }
+            if (override.author_ids) {
+                entry.author_ids = [...new Set(override.author_ids)].sort();
+                for (const author of entry.author_list || []) {
+                    if (author.member_id && !entry.author_ids.includes(author.member_id)) author.member_id = null;
+                }
+            }
+            if (override.include) {
+                entry.inclusion_reason = { rule: 'override', member_id: null, detail: override.note || null };
+            }
+            this.recordChanges(entry, before, 'config', 'overrides');
+
+            if (override.suppress) {
+                entry.inclusion_reason = null;
+                entry._suppressed = true;
+                this.report.exclude(entry, 'suppressed', override.suppress);
+            } else if (!override.include) {
+                this.decideInclusion(entry, feeds.get(entry) || []);
+            }
+            applied++;
+        }
+        console.log(`    Applied ${applied} of ${this.overrides.overrides.length} overrides`);
+    }
+
+    assignCanonicalIds(entries, linker) {
+        /**
+         * Sets each entry's id to its canonical ID (PublicationId); entries that
+         * would share one get a numbered suffix
+         * Returns a Map of canonical ID to the source IDs it replaces (the entry's
+         * own and those of the records merged into it)
+         */
+        const dropped = linker.mergedInto(entries);
+        const sourceIds = new Map();
+
+        for (const entry of entries) {
+            const base = PublicationId.canonical(entry) || 'untitled';
+            let canonicalId = base;
+            for (let n = 2; sourceIds.has(canonicalId); n++) {
+                canonicalId = `${base}-${n}`;
+            }
+
+            const ids = [entry.id, ...(dropped.get(entry) || []).map(record => record.id)];
+            sourceIds.set(canonicalId, [...new Set(ids.filter(id => id && id !== canonicalId))]);
+            entry.id = canonicalId;
+        }
+        return sourceIds;
+    }
+
+    processManualPublications(manualPubs, merged, processedDOIs, timestamp) {
+        /**
+         * Adds the records of config/manual_publications.bib/.ris: a record of a work
+         * already known (same DOI, arXiv ID or a duplicate title) curates that entry,
+         * any other becomes an entry of its own
+         */
+        const report = this.report;
+        const known = [];
+        const byArxivId = new Map();
+        for (const data of Object.values(merged)) {
+            for (const entry of data.entries) {
+                known.push(entry);
+                const arxivId = ArxivId.normalize(entry.id);
+                if (arxivId && !byArxivId.has(arxivId)) byArxivId.set(arxivId, entry);
+            }
+        }
+
+        for (const [researcherId, data] of Object.entries(manualPubs)) {
+            if (!data.entries) continue;
+
+            let addedCount = 0;
+            let curatedCount = 0;
+
+            for (const manualEntry of data.entries) {
+                const doi = this.normalizeDoi(manualEntry.doi);
+                const arxivId = ArxivId.normalize(manualEntry.arxiv_id);
+                const record = report.addRecord('manual', researcherId, { id: arxivId, doi, title: manualEntry.title });
+
+                let target = null;
+                let reason = null;
+                let detail = null;
+                if (doi && processedDOIs.has(doi)) {
+                    [target, reason, detail] = [processedDOIs.get(doi), 'doi-known', doi];
+                } else if (arxivId && byArxivId.has(arxivId)) {
+                    [target, reason, detail] = [byArxivId.get(arxivId), 'same-arxiv-id', arxivId];
+                } else if (manualEntry.title) {
+                    target = this.duplicateDetector.findDuplicate(manualEntry, known);
+                    if (target) [reason, detail] = ['similar-title', this.similarityDetail(manualEntry, target)];
+                }
+
+                if (target) {
+                    this.applyManual(target, manualEntry, timestamp);
+                    report.merge(record, target, reason, detail);
+                    curatedCount++;
+                    continue;
+                }
+
+                const manualOnlyEntry = {
+                    id: arxivId ? ArxivId.absUrl(arxivId, 'http') : doi ? `doi:${doi}` : `manual:${researcherId}-${manualEntry.title}`,
+                    title: '',
+                    journal_ref: null,
+                    doi: null,
+                    published: null,
+                    updated: null,
+                    summary: '',
+                    authors: '',
+                    categories: [],
+                    formats: { html: null, pdf: null },
+                    type: null,
+                    isbn: null
+                };
+                this.applyManual(manualOnlyEntry, manualEntry, timestamp);
+                manualOnlyEntry.updated = manualOnlyEntry.published;
+
+                if (!merged[researcherId]) {
+                    merged[researcherId] = {
+                        name: data.name,
+                        entries: [],
+                        records: []
+                    };
+                }
+                report.attach(record, manualOnlyEntry);
+                merged[researcherId].entries.push(manualOnlyEntry);
+                merged[researcherId].records.push(record);
+                known.push(manualOnlyEntry);
+                if (doi) processedDOIs.set(doi, manualOnlyEntry);
+                if (arxivId) byArxivId.set(arxivId, manualOnlyEntry);
+                addedCount++;
+            }
+
+            console.log(`    ${data.name}: Added ${addedCount}, curated ${curatedCount}`);
+        }
+    }
+
+    similarityDetail(entry, other) {
+        /**
+         * Similarity score of a title-duplicate pair, for the merge report
+         */
+        return `score ${this.duplicateDetector.score(entry, other).score.toFixed(2)}`;
+    }
+
+    findErrataTargets(entries) {
+        /**
+         * Matches errata (by title prefix) to the paper they correct
+         * Returns a Map of erratum entry to original entry; unmatched errata are left out
+         */
+        const targets = new Map();
+        const candidates = entries.filter(entry => !RelationLinker.erratumOf(entry.title));
+
+        for (const entry of entries) {
+            const originalTitle = RelationLinker.erratumOf(entry.title);
+            if (!originalTitle) continue;
+
+            const original = this.duplicateDetector.findOriginal(entry, originalTitle, candidates);
+            if (original) targets.set(entry, original);
+        }
+        return targets;
+    }
+
+    async prefetchArxivMetadata(orcidPubs, processedDOIs) {
+        /**
+         * Resolves, in a few batched arXiv requests, the metadata Step 2 needs:
+         * first every arXiv ID listed in ORCID, then DOI searches for works whose
+         * ID lookup failed or that have no arXiv ID, then the IDs those searches found
+         * Returns { byId: Map(arxivId -> entry), idByDoi: Map(normalized DOI -> arxivId) }
+         */
+        const byId = new Map();
+        const idByDoi = new Map();
+        const works = [];
+
+        for (const data of Object.values(orcidPubs)) {
+            for (const orcidEntry of data.entries || []) {
+                const doi = this.extractDOIFromExternalIds(orcidEntry['external-ids']);
+                const normalizedDoi = doi ? this.normalizeDoi(doi) : null;
+                if (normalizedDoi && processedDOIs.has(normalizedDoi)) continue;
+                works.push({
+                    arxivId: this.extractArxivIdFromExternalIds(orcidEntry['external-ids']),
+                    doi: normalizedDoi
+                });
+            }
+        }
+
+        const addMetadata = async (arxivIds) => {
+            const pending = [...new Set(arxivIds)].filter(id => !byId.has(id));
+            if (pending.length === 0) return;
+            try {
+                const results = await this.arxivFetcher.fetchMetadataBatch(pending);
+                for (const [id, entry] of results) {
+                    if (entry) byId.set(id, entry);
+                }
+            } catch (e) {
+                console.log(`    arXiv metadata batch failed: ${e.message}`);
+            }
+        };
+
+        await addMetadata(works.filter(w => w.arxivId).map(w => w.arxivId));
+
+        const dois = works.filter(w => w.doi && !(w.arxivId && byId.has(w.arxivId))).map(w => w.doi);
+        if (dois.length > 0) {
+            try {
+                const results = await this.arxivFetcher.searchByDOIBatch(dois);
+                for (const [doi, arxivId] of results) {
+                    if (arxivId) idByDoi.set(doi, arxivId);
+                }
+            } catch (e) {
+                console.log(`    arXiv DOI batch search failed: ${e.message}`);
+            }
+        }
+
+        await addMetadata([...idByDoi.values()]);
+
+        console.log(`    Resolved ${byId.size} arXiv records for ${works.length} ORCID works`);
+        return { byId, idByDoi };
+    }
+
     async enrichEntry(entry, researcherId, publicationAuthors) {
         /**
          * Enriches a single publication entry with missing metadata
          */
         
+        let before = PublicationMerger.snapshotFields(entry);
+        
         // For ORCID entries with missing authors, add the researcher's name
         if (entry.id && entry.id.startsWith('orcid:') && (!entry.authors || entry.authors.trim() === '')) {
             const orcidIdMatch = entry.id.match(/^orcid:(\d+)-/);
             if (orcidIdMatch) {
                 const researcherId = orcidIdMatch[1];
                 if (this.basics[researcherId]) {
-                    entry.authors = this.basics[researcherId].name;
+                    this.setAuthors(entry, this.basics[researcherId].name, 'config');
                 }
             }
         }
+        this.recordChanges(entry, before, 'config', 'member-name');
         
         // For ORCID entries with missing data, try to extract from contributors and citation
         if (entry.id && entry.id.startsWith('orcid:')) {
-            const needsMetadata = !entry.authors || !entry.journal_ref || !entry.doi;
+            const needsMetadata = ['authors', 'journal_ref', 'doi'].some(field => this.accepts(entry, field, 'orcid'));
             
             if (needsMetadata) {
                 // Extract from contributors
+                before = PublicationMerger.snapshotFields(entry);
                 if (entry._orcid_contributors && entry._orcid_contributors.length > 0) {
-                    if (!entry.authors || entry.authors.trim() === '') {
-                        entry.authors = entry._orcid_contributors.join(', ');
-                    } else {
-                        const allAuthors = [entry.authors, ...entry._orcid_contributors];
-                        entry.authors = [...new Set(allAuthors)].join(', ');
-                    }
+                    const contributors = AuthorList.fromOrcidContributors(entry._orcid_contributors);
+                    const current = entry.author_list || AuthorList.fromString(entry.authors);
+                    this.setAuthors(entry, AuthorList.union(current, contributors), 'orcid');
                 }
+                this.recordChanges(entry, before, 'orcid', 'contributors');
                 
                 // Extract from citation
                 if (entry._orcid_citation) {
+                    before = PublicationMerger.snapshotFields(entry);
                     const citationData = CitationParser.parseCitationData(entry._orcid_citation);
                     
-                    if (citationData.authors && (!entry.authors || entry.authors.trim() === '')) {
-                        entry.authors = citationData.authors;
-                    }
-                    
-                    if (citationData.journal_ref && !entry.journal_ref) {
-                        entry.journal_ref = citationData.journal_ref;
-                    }
-                    
-                    if (citationData.doi && !entry.doi) {
-                        entry.doi = citationData.doi;
-                    }
+                    this.setField(entry, 'title', citationData.title, 'orcid');
+                    this.setAuthors(entry, citationData.author_list || citationData.authors, 'orcid');
+                    this.setJournalRef(entry, citationData.venue, citationData.journal_ref, 'orcid');
+                    this.setField(entry, 'doi', citationData.doi, 'orcid');
+                    this.setField(entry, 'type', citationData.type, 'orcid');
+                    this.setField(entry, 'summary', citationData.summary, 'orcid');
+                    this.setField(entry, 'isbn', citationData.isbn, 'orcid');
+                    this.recordChanges(entry, before, 'orcid', `${entry._orcid_citation.type || 'unknown'}-citation`);
                 }
             }
         }
         
-        // Normalize author names
-        if (entry.authors) {
-            entry.authors = this.normalizeAuthorNames(entry.authors);
+        // arXiv comments mention theses, errata and proceedings
+        if (entry.comment) {
+            before = PublicationMerger.snapshotFields(entry);
+            this.setField(entry, 'type', PublicationType.fromArxivComment(entry.comment), 'arxiv');
+            this.recordChanges(entry, before, 'arxiv', 'comment');
         }
         
-        // Fetch missing authors and summary from CrossRef if needed
-        if (entry.doi && ((!entry.authors || entry.authors.trim() === '') || (!entry.summary || entry.summary.trim() === ''))) {
+        // Fetch authors and summary from CrossRef if the policy would take them
+        if (entry.doi && (this.accepts(entry, 'authors', 'crossref') || this.accepts(entry, 'summary', 'crossref'))) {
+            before = PublicationMerger.snapshotFields(entry);
             const crossrefData = await this.crossrefFetcher.fetchMetadata(entry.doi);
-            if (crossrefData.authors && (!entry.authors || entry.authors.trim() === '')) {
-                entry.authors = crossrefData.authors;
-            }
-            if (crossrefData.summary && (!entry.summary || entry.summary.trim() === '')) {
-                entry.summary = crossrefData.summary;
-            }
+            this.setAuthors(entry, crossrefData.author_list || crossrefData.authors, 'crossref');
+            this.setField(entry, 'summary', crossrefData.summary, 'crossref');
+            this.recordChanges(entry, before, 'crossref', 'doi-lookup');
         }
         
-        // For ORCID entries with missing data and no DOI (or DOI lookup failed), try searching by title + author
-        if (entry.id && entry.id.startsWith('orcid:') && entry.title && entry.authors) {
+        // For ORCID and manual entries with missing data and no DOI (or DOI lookup failed), try searching by title + author
+        if (entry.id && /^(orcid|manual):/.test(entry.id) && entry.title && entry.authors) {
             const needsEnrichment = !entry.doi || !entry.summary || !entry.arxiv_url || !entry.journal_ref;
             
             if (needsEnrichment) {
                 // Try arXiv first
+                before = PublicationMerger.snapshotFields(entry);
                 try {
                     const arxivResult = await this.arxivFetcher.searchByTitleAndAuthor(entry.title, entry.authors);
                     if (arxivResult) {
-                        if (!entry.doi && arxivResult.doi) entry.doi = arxivResult.doi;
-                        if (!entry.summary && arxivResult.summary) entry.summary = arxivResult.summary;
-                        if (!entry.authors || entry.authors.trim() === '') entry.authors = arxivResult.authors;
-                        if (arxivResult.id) {
-                            const arxivId = arxivResult.id.match(/arxiv\.org\/abs\/(.+)$/)?.[1];
-                            if (arxivId) {
-                                const arxivIdClean = arxivId.replace(/v\d+$/, '');
-                                if (!entry.formats || !entry.formats.html) {
-                                    entry.formats = {
-                                        html: `http://arxiv.org/abs/${arxivIdClean}`,
-                                        pdf: `http://arxiv.org/pdf/${arxivIdClean}`
-                                    };
-                                }
+                        this.setField(entry, 'doi', arxivResult.doi, 'arxiv');
+                        this.setField(entry, 'summary', arxivResult.summary, 'arxiv');
+                        this.setAuthors(entry, arxivResult.author_list || arxivResult.authors, 'arxiv');
+                        if (ArxivId.parse(arxivResult.id)) {
+                            if (!entry.formats || !entry.formats.html) {
+                                entry.formats = {
+                                    html: ArxivId.absUrl(arxivResult.id, 'http'),
+                                    pdf: ArxivId.pdfUrl(arxivResult.id, 'http')
+                                };
                             }
                         }
                         if (arxivResult.categories && (!entry.categories || entry.categories.length === 0)) {
@@ -420,82 +1071,111 @@ class PublicationMerger {
                 } catch (e) {
                     // Ignore arXiv search errors
                 }
+                this.recordChanges(entry, before, 'arxiv', 'title-search');
                 
                 // Try CrossRef if still missing data
                 if (!entry.doi || !entry.summary || !entry.journal_ref) {
+                    before = PublicationMerger.snapshotFields(entry);
                     try {
                         const crossrefResult = await this.crossrefFetcher.searchByTitleAndAuthor(entry.title, entry.authors);
                         if (crossrefResult) {
-                            if (!entry.doi && crossrefResult.doi) entry.doi = crossrefResult.doi;
-                            if (!entry.summary && crossrefResult.summary) entry.summary = crossrefResult.summary;
-                            if (!entry.authors || entry.authors.trim() === '') entry.authors = crossrefResult.authors;
-                            if (!entry.journal_ref && crossrefResult.journal_ref) entry.journal_ref = crossrefResult.journal_ref;
+                            this.setField(entry, 'doi', crossrefResult.doi, 'crossref');
+                            this.setField(entry, 'summary', crossrefResult.summary, 'crossref');
+                            this.setAuthors(entry, crossrefResult.author_list || crossrefResult.authors, 'crossref');
+                            this.setJournalRef(entry, crossrefResult.venue, null, 'crossref');
                         }
                     } catch (e) {
                         // Ignore CrossRef search errors
                     }
+                    this.recordChanges(entry, before, 'crossref', 'title-search');
                 }
             }
         }
         
-        // Add QUDYMA author IDs
+        // Mark QUDYMA members in the author list and take author IDs from it
         let pubKey;
         if (entry.doi) {
-            pubKey = entry.doi.toLowerCase();
+            pubKey = this.normalizeDoi(entry.doi) || entry.doi.toLowerCase();
         } else if (entry.id && entry.id.startsWith('orcid:')) {
             pubKey = entry.title ? entry.title.toLowerCase().trim() : '';
         } else {
-            pubKey = entry.id || (entry.title ? entry.title.toLowerCase().trim() : '');
+            pubKey = ArxivId.normalize(entry.id) || entry.id || (entry.title ? entry.title.toLowerCase().trim() : '');
         }
         
         const trackedIds = publicationAuthors[pubKey] ? Array.from(publicationAuthors[pubKey]) : [];
-        const nameMatchedIds = this.findQudymaAuthorIdsByName(entry.authors);
-        const allIds = new Set([...trackedIds, ...nameMatchedIds]);
-        entry.author_ids = Array.from(allIds).sort();
+        const memberIds = this.finishAuthors(entry, trackedIds);
+        before = PublicationMerger.snapshotFields(entry);
+        entry.author_ids = memberIds;
+        entry._listed_by = trackedIds;
+        this.recordChanges(entry, before, 'derived', 'member-matching');
+        before = PublicationMerger.snapshotFields(entry);
+        entry.group_affiliated = entry.author_list.some(author => author.group_affiliated === true);
+        this.recordChanges(entry, before, 'derived', 'affiliation-matching');
         
-        // Standardize journal ref, or infer from DOI if missing
-        if (entry.journal_ref) {
-            entry.journal_ref = this.standardizeJournalRef(entry.journal_ref);
-        } else if (entry.doi) {
-            const inferredRef = await this.crossrefFetcher.inferJournalRef(
-                entry.doi, 
-                entry._orcid_external_ids ? { 'external-ids': entry._orcid_external_ids } : null
-            );
-            if (inferredRef) {
-                entry.journal_ref = inferredRef;
-            }
+        // Ask CrossRef for the venue if the policy prefers its reference, then render the journal ref
+        if (entry.doi && this.accepts(entry, 'journal_ref', 'crossref')) {
+            before = PublicationMerger.snapshotFields(entry);
+            const venue = await this.crossrefFetcher.fetchVenue(entry.doi);
+            this.setJournalRef(entry, venue, null, 'crossref');
+            this.recordChanges(entry, before, 'crossref', 'doi-lookup');
+        }
+        this.finishVenue(entry);
+        
+        // Publication type (and ISBN) from CrossRef, then from the title and journal ref
+        if (entry.doi && this.accepts(entry, 'type', 'crossref')) {
+            before = PublicationMerger.snapshotFields(entry);
+            const { type, isbn } = await this.crossrefFetcher.fetchType(entry.doi);
+            this.setField(entry, 'type', type, 'crossref');
+            this.setField(entry, 'isbn', isbn, 'crossref');
+            this.recordChanges(entry, before, 'crossref', 'doi-lookup');
+        }
+        before = PublicationMerger.snapshotFields(entry);
+        if (RelationLinker.erratumOf(entry.title)) {
+            entry.type = 'erratum';
+        } else if (!entry.type) {
+            entry.type = entry.journal_ref ? 'journal-article' : 'preprint';
         }
+        if (entry.isbn === undefined) entry.isbn = null;
+        if (entry.curated === undefined) entry.curated = false;
+        this.recordChanges(entry, before, 'derived', 'classification');
         
-        // Add URLs
+        // Add URLs (versionless; the version is recorded in arxiv_version)
+        before = PublicationMerger.snapshotFields(entry);
         entry.arxiv_url = UrlBuilder.buildArxivUrl(entry);
+        entry.arxiv_version = ArxivId.version(entry.id);
+        this.recordChanges(entry, before, 'derived', 'from-id');
         
         // If no arXiv URL yet but we have a DOI, try to find the arXiv version
         if (!entry.arxiv_url && entry.doi) {
+            before = PublicationMerger.snapshotFields(entry);
             try {
                 const foundArxivId = await this.arxivFetcher.searchByDOI(entry.doi);
-                if (foundArxivId) {
-                    const arxivIdClean = foundArxivId.replace(/v\d+$/, '');
-                    entry.arxiv_url = `https://arxiv.org/abs/${arxivIdClean}`;
+                if (ArxivId.parse(foundArxivId)) {
+                    entry.arxiv_url = ArxivId.absUrl(foundArxivId);
+                    entry.arxiv_version = ArxivId.version(foundArxivId);
                     if (!entry.formats || !entry.formats.html) {
                         entry.formats = {
-                            html: `http://arxiv.org/abs/${arxivIdClean}`,
-                            pdf: `http://arxiv.org/pdf/${arxivIdClean}`
+                            html: ArxivId.absUrl(foundArxivId, 'http'),
+                            pdf: ArxivId.pdfUrl(foundArxivId, 'http')
                         };
                     }
                 }
             } catch (e) {
                 // Ignore errors
             }
+            this.recordChanges(entry, before, 'arxiv', 'doi-search');
         }
         
+        before = PublicationMerger.snapshotFields(entry);
         entry.journal_url = entry.doi ? UrlBuilder.buildJournalUrl(entry.doi) : null;
+        this.recordChanges(entry, before, 'derived', 'from-doi');
         
         // Remove internal metadata fields
-        delete entry._orcid_external_ids;
         delete entry._orcid_contributors;
         delete entry._orcid_citation;
         
         // Add highlights
+        before = PublicationMerger.snapshotFields(entry);
         const highlightData = this.findHighlights(entry.doi);
         if (highlightData) {
             if (highlightData.coverage && highlightData.coverage.length > 0) {
@@ -505,6 +1185,7 @@ class PublicationMerger {
                 entry.awards = highlightData.awards;
             }
         }
+        this.recordChanges(entry, before, 'config', 'highlights');
     }
 }
 
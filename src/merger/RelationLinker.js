@@ -0,0 +1,158 @@
+/**
+ * RelationLinker - Keeps track of records merged away during deduplication
+ *
+ * Instead of disappearing, every dropped record is attached to the entry that
+ * was kept in its place, as an item of that entry's `related` list:
+ *   { relation, id, doi, venue }
+ * `id` is the record's canonical ID (arxiv:, doi: or title:, see PublicationId),
+ * never a source ID such as an ORCID put-code.
+ * Relations describe the related record as seen from the kept entry:
+ * - preprint-of:        arXiv preprint of the kept (published) work
+ * - published-as:       published version of the kept preprint
+ * - conference-version: version that appeared in proceedings/at a conference
+ * - erratum:            erratum, corrigendum, addendum or publisher's note
+ * - duplicate:          another record of the same version from a different source
+ */
+
+const ArxivId = require('../utils/ArxivId');
+const PublicationId = require('../utils/PublicationId');
+
+const ERRATUM_PREFIX = /^\s*(errat(um|a)|corrigend(um|a)|addend(um|a)|publisher[’']?s\s+note|correction)\b(\s+(to|on|for|of))?\s*[:.\-–—]?\s*/i;
+const CONFERENCE_VENUE = /\bproceedings\b|\bproc\.|\bconference\b|\bconf\.|\bsymposium\b|\bworkshop\b|\bcongress\b/i;
+
+class RelationLinker {
+    /**
+     * @param {Object} options
+     * @param {Function} options.normalizeDoi - DOI normalization used for comparisons
+     * @param {Function} options.formatVenue - Turns a journal_ref into the displayed venue
+     */
+    constructor(options = {}) {
+        this.normalizeDoi = options.normalizeDoi || (doi => doi ? doi.toLowerCase() : null);
+        this.formatVenue = options.formatVenue || (venue => venue);
+
+        // Dropped entry -> { target, relation } (relation null = classify later)
+        this.links = new Map();
+    }
+
+    /**
+     * Original title of an erratum-like title, or null for regular titles
+     * e.g. "Erratum: Majorana modes [Phys. Rev. B 1, 1 (2020)]" -> "Majorana modes"
+     */
+    static erratumOf(title) {
+        if (!title || !ERRATUM_PREFIX.test(title)) return null;
+        const original = title.replace(ERRATUM_PREFIX, '').replace(/\s*\[[^\]]*\]\s*$/, '').trim();
+        return original || null;
+    }
+
+    static isConferenceVenue(venue) {
+        return !!venue && CONFERENCE_VENUE.test(venue);
+    }
+
+    static isPreprint(entry) {
+        return !!ArxivId.normalize(entry.id) && !entry.doi && !entry.journal_ref;
+    }
+
+    /**
+     * Records that `dropped` was merged into `target`
+     */
+    link(dropped, target, relation = null) {
+        if (!dropped || !target || dropped === target || this.links.has(dropped)) return;
+        this.links.set(dropped, { target, relation });
+    }
+
+    resolve(entry, kept) {
+        /**
+         * Follows merge chains (A merged into B, B merged into C) to a kept entry
+         */
+        const visited = new Set();
+        let current = entry;
+        while (!kept.has(current) && this.links.has(current) && !visited.has(current)) {
+            visited.add(current);
+            current = this.links.get(current).target;
+        }
+        return kept.has(current) ? current : null;
+    }
+
+    /**
+     * Groups the dropped records by the kept entry they ended up in
+     * @param {Array} keptEntries - Entries that made it into the output
+     * @returns {Map} Kept entry -> dropped entries
+     */
+    mergedInto(keptEntries) {
+        const kept = new Set(keptEntries);
+        const groups = new Map();
+        for (const dropped of this.links.keys()) {
+            const target = this.resolve(dropped, kept);
+            if (!target) continue;
+            if (!groups.has(target)) groups.set(target, []);
+            groups.get(target).push(dropped);
+        }
+        return groups;
+    }
+
+    classify(kept, record) {
+        if (RelationLinker.erratumOf(record.title)) return 'erratum';
+        if (RelationLinker.isConferenceVenue(record.journal_ref)) return 'conference-version';
+
+        const recordPreprint = RelationLinker.isPreprint(record);
+        const keptPreprint = RelationLinker.isPreprint(kept);
+        if (recordPreprint && !keptPreprint) return 'preprint-of';
+        if (!recordPreprint && keptPreprint) return 'published-as';
+        return 'duplicate';
+    }
+
+    isDistinct(kept, record, relation) {
+        /**
+         * Copies of the kept record (same arXiv paper, same DOI, no other venue)
+         * carry nothing worth listing
+         */
+        if (relation === 'erratum') return true;
+
+        const recordArxiv = ArxivId.normalize(record.id);
+        if (recordArxiv && ArxivId.equals(recordArxiv, kept.id)) {
+            return !!record.doi && this.normalizeDoi(record.doi) !== this.normalizeDoi(kept.doi);
+        }
+        if (recordArxiv) return true;
+
+        const recordDoi = record.doi ? this.normalizeDoi(record.doi) : null;
+        if (recordDoi && recordDoi !== (kept.doi ? this.normalizeDoi(kept.doi) : null)) return true;
+
+        const venue = record.journal_ref ? this.formatVenue(record.journal_ref) : null;
+        return !!venue && venue !== kept.journal_ref;
+    }
+
+    /**
+     * Attaches the `related` lists to the kept entries
+     * @param {Array} keptEntries - Entries that made it into the output
+     * @returns {number} Number of related records attached
+     */
+    apply(keptEntries) {
+        const kept = new Set(keptEntries);
+        let attached = 0;
+
+        for (const [dropped, { relation }] of this.links) {
+            const target = this.resolve(dropped, kept);
+            if (!target) continue;
+
+            const type = relation || this.classify(target, dropped);
+            if (!this.isDistinct(target, dropped, type)) continue;
+
+            const record = {
+                relation: type,
+                id: PublicationId.canonical(dropped),
+                doi: dropped.doi ? this.normalizeDoi(dropped.doi) : null,
+                venue: dropped.journal_ref ? this.formatVenue(dropped.journal_ref) : null
+            };
+
+            if (!target.related) target.related = [];
+            const exists = target.related.some(r => r.id === record.id && r.doi === record.doi);
+            if (!exists) {
+                target.related.push(record);
+                attached++;
+            }
+        }
+        return attached;
+    }
+}
+
+module.exports = RelationLinker;
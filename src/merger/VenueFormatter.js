@@ -0,0 +1,112 @@
+/**
+ * VenueFormatter - Completes venue objects and renders them as journal references
+ *
+ * Journal names are matched against config/journal_abbreviations.json (by full
+ * name or abbreviation, ignoring case, spaces and dots) after the fixes of
+ * config/journal_normalization_patterns.json, so every venue carries both forms.
+ * The display string follows config/citation_style.json:
+ *   { "journal": "abbreviation" | "full",
+ *     "template": "{journal}[ {volume}][({issue})][, {pages}][ ({year})]" }
+ * Placeholders: journal, volume, issue, pages (falls back to the article number),
+ * article_number, year, issn. A [bracketed] part is left out unless all of its
+ * placeholders have a value.
+ */
+
+const JournalRefParser = require('../parsers/JournalRefParser');
+
+const DEFAULT_STYLE = {
+    journal: 'abbreviation',
+    template: '{journal}[ {volume}][({issue})][, {pages}][ ({year})]'
+};
+
+class VenueFormatter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.abbreviations - Full journal name -> abbreviation
+     * @param {Object} options.normalizationPatterns - Regex source -> replacement for misspelled names
+     * @param {Object} options.style - Overrides for DEFAULT_STYLE (config/citation_style.json)
+     */
+    constructor(options = {}) {
+        this.style = { ...DEFAULT_STYLE, ...(options.style || {}) };
+        this.patterns = Object.entries(options.normalizationPatterns || {})
+            .map(([pattern, replacement]) => [new RegExp(`\\b${pattern}\\b`, 'gi'), replacement]);
+
+        this.journals = new Map();
+        const abbreviations = Object.entries(options.abbreviations || {});
+        for (const [full, abbreviation] of abbreviations) {
+            this.journals.set(VenueFormatter.key(full), { journal: full, abbreviation });
+        }
+        for (const [full, abbreviation] of abbreviations) {
+            const key = VenueFormatter.key(abbreviation);
+            if (!this.journals.has(key)) this.journals.set(key, { journal: full, abbreviation });
+        }
+    }
+
+    static key(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+    }
+
+    resolveJournal(name) {
+        /**
+         * Full name and abbreviation for a journal name written either way
+         */
+        let fixed = name;
+        for (const [regex, replacement] of this.patterns) {
+            fixed = fixed.replace(regex, replacement);
+        }
+        return this.journals.get(VenueFormatter.key(fixed)) || { journal: fixed, abbreviation: null };
+    }
+
+    /**
+     * Fills the journal full name and abbreviation of a venue
+     * @returns {Object} New venue object
+     */
+    complete(venue) {
+        const completed = { ...JournalRefParser.emptyVenue(), ...venue };
+        if (completed.journal) {
+            const { journal, abbreviation } = this.resolveJournal(completed.journal);
+            completed.journal = journal;
+            completed.abbreviation = abbreviation || completed.abbreviation || null;
+        }
+        return completed;
+    }
+
+    /**
+     * Parses a free-text journal reference into a completed venue; null unless the
+     * whole reference was understood, so that rendering it loses nothing
+     */
+    fromText(text) {
+        const venue = JournalRefParser.parse(text, { complete: true });
+        return venue ? this.complete(venue) : null;
+    }
+
+    render(venue) {
+        const journal = this.style.journal === 'full'
+            ? venue.journal
+            : venue.abbreviation || venue.journal;
+        const values = {
+            journal,
+            volume: venue.volume,
+            issue: venue.issue,
+            pages: venue.pages || venue.article_number,
+            article_number: venue.article_number,
+            year: venue.year,
+            issn: venue.issn
+        };
+        const has = (name) => values[name] !== null && values[name] !== undefined && values[name] !== '';
+        const fill = (part) => part.replace(/\{(\w+)\}/g, (match, name) => has(name) ? String(values[name]) : '');
+
+        return this.style.template
+            .replace(/\[([^\]]*)\]/g, (match, part) => {
+                const names = [...part.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+                return names.every(has) ? fill(part) : '';
+            })
+            .replace(/\{(\w+)\}/g, (match) => fill(match))
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+VenueFormatter.DEFAULT_STYLE = DEFAULT_STYLE;
+
+module.exports = VenueFormatter;
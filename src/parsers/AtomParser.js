@@ -0,0 +1,187 @@
+/**
+ * Atom feed parser for arXiv API responses
+ *
+ * Builds structured feed and entry objects on top of the streaming XmlParser,
+ * resolving namespace prefixes, so arXiv (arxiv:*) and OpenSearch
+ * (opensearch:*) extension elements are recognized whatever prefix the feed uses.
+ */
+
+const XmlParser = require('./XmlParser');
+
+const NS = {
+    atom: 'http://www.w3.org/2005/Atom',
+    arxiv: 'http://arxiv.org/schemas/atom',
+    opensearch: 'http://a9.com/-/spec/opensearch/1.1/'
+};
+
+class AtomParser {
+    constructor() {
+        this.feed = {
+            title: null,
+            id: null,
+            updated: null,
+            total_results: null,
+            start_index: null,
+            items_per_page: null,
+            entries: [],
+            errors: []
+        };
+
+        this.namespaces = [{ xml: 'http://www.w3.org/XML/1998/namespace' }];
+        this.path = [];
+        this.entry = null;
+        this.author = null;
+        this.text = '';
+
+        this.xml = new XmlParser({
+            onOpenTag: (name, attributes) => this.onOpenTag(name, attributes),
+            onCloseTag: (name) => this.onCloseTag(name),
+            onText: (text) => { this.text += text; }
+        });
+    }
+
+    /**
+     * Parses a complete feed document
+     * @returns {Object} { title, id, updated, total_results, start_index, items_per_page, entries, errors }
+     */
+    static parse(xml) {
+        return new AtomParser().write(xml).end();
+    }
+
+    static collapse(text) {
+        return text ? text.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    write(chunk) {
+        this.xml.write(chunk);
+        return this;
+    }
+
+    end() {
+        this.xml.end();
+        return this.feed;
+    }
+
+    resolve(qualifiedName, attributes) {
+        /**
+         * Resolves a prefixed name to { ns, local } using the xmlns declarations in scope
+         */
+        const scope = { ...this.namespaces[this.namespaces.length - 1] };
+        for (const [attr, value] of Object.entries(attributes || {})) {
+            if (attr === 'xmlns') scope[''] = value;
+            else if (attr.startsWith('xmlns:')) scope[attr.slice(6)] = value;
+        }
+
+        const colon = qualifiedName.indexOf(':');
+        const prefix = colon === -1 ? '' : qualifiedName.slice(0, colon);
+        const local = colon === -1 ? qualifiedName : qualifiedName.slice(colon + 1);
+        return { scope, ns: scope[prefix] || null, local };
+    }
+
+    onOpenTag(name, attributes) {
+        const { scope, ns, local } = this.resolve(name, attributes);
+        this.namespaces.push(scope);
+        this.path.push({ ns, local });
+        this.text = '';
+
+        if (ns === NS.atom && local === 'entry') {
+            this.entry = {
+                id: null,
+                title: '',
+                summary: '',
+                published: null,
+                updated: null,
+                authors: [],
+                doi: null,
+                comment: null,
+                journal_ref: null,
+                primary_category: null,
+                categories: [],
+                links: []
+            };
+        } else if (this.entry && ns === NS.atom && local === 'author') {
+            this.author = { name: '', affiliations: [] };
+        } else if (this.entry && ns === NS.atom && local === 'link') {
+            const link = { href: attributes.href || null, rel: attributes.rel || 'alternate' };
+            if (attributes.type) link.type = attributes.type;
+            if (attributes.title) link.title = attributes.title;
+            this.entry.links.push(link);
+        } else if (this.entry && ns === NS.atom && local === 'category') {
+            if (attributes.term && !this.entry.categories.includes(attributes.term)) {
+                this.entry.categories.push(attributes.term);
+            }
+        } else if (this.entry && ns === NS.arxiv && local === 'primary_category') {
+            this.entry.primary_category = attributes.term || null;
+        }
+    }
+
+    onCloseTag() {
+        const { ns, local } = this.path.pop();
+        this.namespaces.pop();
+        const text = this.text;
+        this.text = '';
+
+        if (this.author) {
+            if (ns === NS.atom && local === 'name') {
+                this.author.name = AtomParser.collapse(text);
+            } else if (ns === NS.arxiv && local === 'affiliation') {
+                this.author.affiliations.push(AtomParser.collapse(text));
+            } else if (ns === NS.atom && local === 'author') {
+                if (this.author.name) this.entry.authors.push(this.author);
+                this.author = null;
+            }
+            return;
+        }
+
+        if (this.entry) {
+            this.closeEntryElement(ns, local, text);
+            return;
+        }
+
+        // Feed-level elements (only direct children of <feed>)
+        if (this.path.length !== 1) return;
+        if (ns === NS.atom && local === 'title') this.feed.title = AtomParser.collapse(text);
+        else if (ns === NS.atom && local === 'id') this.feed.id = text.trim();
+        else if (ns === NS.atom && local === 'updated') this.feed.updated = text.trim();
+        else if (ns === NS.opensearch && local === 'totalResults') this.feed.total_results = parseInt(text, 10);
+        else if (ns === NS.opensearch && local === 'startIndex') this.feed.start_index = parseInt(text, 10);
+        else if (ns === NS.opensearch && local === 'itemsPerPage') this.feed.items_per_page = parseInt(text, 10);
+    }
+
+    closeEntryElement(ns, local, text) {
+        const entry = this.entry;
+
+        if (ns === NS.atom) {
+            switch (local) {
+                case 'id': entry.id = text.trim(); break;
+                case 'title': entry.title = AtomParser.collapse(text); break;
+                case 'summary': entry.summary = AtomParser.collapse(text); break;
+                case 'published': entry.published = text.trim(); break;
+                case 'updated': entry.updated = text.trim(); break;
+                case 'entry': this.finishEntry(); break;
+            }
+        } else if (ns === NS.arxiv) {
+            switch (local) {
+                case 'doi': entry.doi = text.trim() || null; break;
+                case 'comment': entry.comment = AtomParser.collapse(text) || null; break;
+                case 'journal_ref': entry.journal_ref = AtomParser.collapse(text) || null; break;
+            }
+        }
+    }
+
+    finishEntry() {
+        const entry = this.entry;
+        this.entry = null;
+
+        // arXiv reports query errors as entries pointing at /api/errors
+        if (entry.id && entry.id.includes('/api/errors')) {
+            this.feed.errors.push(entry.summary || entry.title);
+            return;
+        }
+        this.feed.entries.push(entry);
+    }
+}
+
+AtomParser.NS = NS;
+
+module.exports = AtomParser;
@@ -0,0 +1,376 @@
+/**
+ * BibTeX parser
+ *
+ * Reads a BibTeX file (or a single citation) with a small tokenizer instead of
+ * per-field regexes, so it copes with what real files contain:
+ * - entries written @type{key, ...} or @type(key, ...), any number per file
+ * - values in {nested {braces}}, "quotes" or bare numbers, joined with #
+ * - @string macros and the predefined month macros (jan ... dec)
+ * - @comment, @preamble and text between entries, which are skipped
+ * Each entry is returned as
+ *   { type, key, fields: { name: text }, raw: { name: value } }
+ * with field names lower-cased, `raw` the value as written (macros expanded,
+ * braces kept, needed to split names) and `fields` the value decoded to plain
+ * Unicode text (LaTeX accents and commands resolved, grouping braces removed;
+ * math in $...$ is left as written). Identifiers (url, doi, eprint) are taken
+ * verbatim, only without enclosing braces: "~" and "--" in them are not text.
+ * Malformed entries are skipped.
+ */
+
+const MONTH_MACROS = {
+    jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+};
+
+// Fields holding identifiers, which are not decoded as LaTeX text
+const VERBATIM_FIELDS = new Set(['url', 'doi', 'eprint']);
+
+// Accent commands -> combining character
+const ACCENTS = {
+    '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304', 'u': '\u0306',
+    '.': '\u0307', '"': '\u0308', 'r': '\u030a', 'H': '\u030b', 'v': '\u030c', 'd': '\u0323',
+    'c': '\u0327', 'k': '\u0328', 'b': '\u0331'
+};
+
+// Control words that stand for a character
+const SYMBOLS = {
+    ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å',
+    l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ', dh: 'ð', DH: 'Ð', th: 'þ', TH: 'Þ',
+    textendash: '–', textemdash: '—', textquoteleft: '‘', textquoteright: '’',
+    textquotedblleft: '“', textquotedblright: '”', textbullet: '•', textdegree: '°',
+    S: '§', P: '¶', copyright: '©', dag: '†', ddag: '‡', ldots: '…', dots: '…',
+    textregistered: '®', texttrademark: '™', euro: '€', pounds: '£'
+};
+
+// Font switches ({\it text}), dropped
+const SWITCHES = new Set(['it', 'bf', 'em', 'rm', 'sc', 'sf', 'tt', 'sl', 'itshape', 'bfseries', 'upshape', 'scshape', 'normalfont']);
+
+// Commands whose braced argument is kept as text
+const TEXT_COMMANDS = [
+    'emph', 'textit', 'textbf', 'textrm', 'textsf', 'texttt', 'textsc', 'textup', 'textsl',
+    'textnormal', 'textsuperscript', 'textsubscript', 'mbox', 'text', 'url', 'NoCaseChange'
+];
+
+const NAME_CHARS = /[^\s"#%'(),={}]/;
+
+class BibTeXParser {
+    /**
+     * @param {Object} macros - Extra @string macros (name -> raw value)
+     */
+    constructor(macros = {}) {
+        this.macros = { ...MONTH_MACROS };
+        for (const [name, value] of Object.entries(macros)) {
+            this.macros[name.toLowerCase()] = value;
+        }
+        this.text = '';
+        this.pos = 0;
+    }
+
+    /**
+     * Parses every entry of a BibTeX text
+     * @returns {Array} [{ type, key, fields, raw }]
+     */
+    static parse(text, macros = {}) {
+        return new BibTeXParser(macros).parse(text);
+    }
+
+    parse(text) {
+        this.text = String(text || '');
+        this.pos = 0;
+        const entries = [];
+
+        while (true) {
+            const at = this.text.indexOf('@', this.pos);
+            if (at === -1) break;
+            this.pos = at + 1;
+            try {
+                const entry = this.readEntry();
+                if (entry) entries.push(entry);
+            } catch (err) {
+                // Malformed entry: resume at the next @ after where it started
+                this.pos = at + 1;
+            }
+        }
+        return entries;
+    }
+
+    readEntry() {
+        const type = this.readName().toLowerCase();
+        this.skipSpace();
+        const open = this.text[this.pos];
+        if (open !== '{' && open !== '(') throw new Error(`Expected { or ( after @${type}`);
+        const close = open === '{' ? '}' : ')';
+        this.pos++;
+
+        if (type === 'comment') {
+            this.pos = this.closingIndex(this.pos - 1, close) + 1;
+            return null;
+        }
+        if (type === 'preamble') {
+            this.readValue();
+            this.expect(close);
+            return null;
+        }
+        if (type === 'string') {
+            const name = this.readName().toLowerCase();
+            this.expect('=');
+            this.macros[name] = this.readValue();
+            this.skipSpace();
+            if (this.text[this.pos] === ',') this.pos++;
+            this.expect(close);
+            return null;
+        }
+
+        const entry = { type, key: null, fields: {}, raw: {} };
+        this.skipSpace();
+        const keyEnd = this.text.slice(this.pos).search(new RegExp(`[,\\s${close === '}' ? '}' : ')'}]`));
+        if (keyEnd === -1) throw new Error(`Unterminated @${type} entry`);
+        entry.key = this.text.slice(this.pos, this.pos + keyEnd) || null;
+        this.pos += keyEnd;
+
+        while (true) {
+            this.skipSpace();
+            const char = this.text[this.pos];
+            if (char === close) {
+                this.pos++;
+                break;
+            }
+            if (char === ',') {
+                this.pos++;
+                continue;
+            }
+            if (char === undefined) throw new Error(`Unterminated @${type} entry`);
+
+            const name = this.readName().toLowerCase();
+            this.expect('=');
+            const value = this.readValue();
+            if (!(name in entry.raw)) {
+                entry.raw[name] = value;
+                entry.fields[name] = VERBATIM_FIELDS.has(name) ? BibTeXParser.verbatim(value) : BibTeXParser.decode(value);
+            }
+        }
+        return entry;
+    }
+
+    skipSpace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) this.pos++;
+    }
+
+    expect(char) {
+        this.skipSpace();
+        if (this.text[this.pos] !== char) throw new Error(`Expected ${char} at ${this.pos}`);
+        this.pos++;
+    }
+
+    readName() {
+        this.skipSpace();
+        const start = this.pos;
+        while (this.pos < this.text.length && NAME_CHARS.test(this.text[this.pos])) this.pos++;
+        if (this.pos === start) throw new Error(`Expected a name at ${start}`);
+        return this.text.slice(start, this.pos);
+    }
+
+    /**
+     * A field value: {braced}, "quoted", number or macro parts joined with #
+     */
+    readValue() {
+        let value = '';
+        while (true) {
+            this.skipSpace();
+            const char = this.text[this.pos];
+            if (char === '{') {
+                const end = this.closingIndex(this.pos, '}');
+                value += this.text.slice(this.pos + 1, end);
+                this.pos = end + 1;
+            } else if (char === '"') {
+                const end = this.closingQuote(this.pos);
+                value += this.text.slice(this.pos + 1, end);
+                this.pos = end + 1;
+            } else if (/\d/.test(char || '')) {
+                const digits = this.text.slice(this.pos).match(/^\d+/)[0];
+                value += digits;
+                this.pos += digits.length;
+            } else {
+                const name = this.readName().toLowerCase();
+                value += this.macros[name] !== undefined ? this.macros[name] : '';
+            }
+
+            this.skipSpace();
+            if (this.text[this.pos] !== '#') return value;
+            this.pos++;
+        }
+    }
+
+    /**
+     * Index of the `close` character matching the group opened at `open`,
+     * counting nested braces and skipping backslash escapes
+     */
+    closingIndex(open, close) {
+        let depth = 0;
+        for (let i = open + 1; i < this.text.length; i++) {
+            const char = this.text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+            } else if (char === close && depth === 0) {
+                return i;
+            }
+        }
+        throw new Error(`Unbalanced group at ${open}`);
+    }
+
+    closingQuote(open) {
+        let depth = 0;
+        for (let i = open + 1; i < this.text.length; i++) {
+            const char = this.text[i];
+            if (char === '\\') i++;
+            else if (char === '{') depth++;
+            else if (char === '}') depth--;
+            else if (char === '"' && depth === 0) return i;
+        }
+        throw new Error(`Unterminated string at ${open}`);
+    }
+
+    /**
+     * Splits a raw value at the top-level occurrences of a separator (not inside braces)
+     */
+    static splitTopLevel(value, separator) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            } else if (depth === 0) {
+                const match = value.slice(i).match(separator);
+                if (match && match.index === 0) {
+                    parts.push(value.slice(start, i));
+                    i += match[0].length - 1;
+                    start = i + 1;
+                }
+            }
+        }
+        parts.push(value.slice(start));
+        return parts;
+    }
+
+    /**
+     * A raw value as written, without the brace groups enclosing all of it
+     */
+    static verbatim(raw) {
+        let value = String(raw).trim();
+        while (BibTeXParser.isGroup(value)) value = value.slice(1, -1).trim();
+        return value || null;
+    }
+
+    /**
+     * Whether a raw value is a single brace group ("{QUDYMA Collaboration}")
+     */
+    static isGroup(value) {
+        if (!value.startsWith('{')) return false;
+        let depth = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '\\') i++;
+            else if (value[i] === '{') depth++;
+            else if (value[i] === '}' && --depth === 0) return i === value.length - 1;
+        }
+        return false;
+    }
+
+    /**
+     * Splits a raw author/editor value into names
+     * @returns {Array} { literal } for names written in one brace group
+     *   ("{QUDYMA Collaboration}"), { given, family, suffix } for "von Last, Jr, First",
+     *   { given, family } for "Last, First", { name } for "First Last"; "and others"
+     *   is left out
+     */
+    static splitNames(raw) {
+        if (!raw) return [];
+        return BibTeXParser.splitTopLevel(raw.trim(), /^\s+and\s+/i)
+            .map(name => name.trim())
+            .filter(name => name && name.toLowerCase() !== 'others')
+            .map(name => {
+                if (BibTeXParser.isGroup(name)) return { literal: BibTeXParser.decode(name) };
+                const parts = BibTeXParser.splitTopLevel(name, /^,/).map(part => BibTeXParser.decode(part));
+                if (parts.length === 1) return { name: parts[0] };
+                const split = { given: parts[parts.length - 1] || null, family: parts[0] };
+                if (parts.length > 2 && parts[1]) split.suffix = parts[1];
+                return split;
+            });
+    }
+
+    /**
+     * Decodes a raw value to plain Unicode text: accents (\"{u}, {\'e}, \c c),
+     * control words (\ss, \o, \textendash), escaped specials (\&, \%), text commands
+     * (\emph{...}), ligatures (--, ---, ``, '') and ties; grouping braces are removed
+     * and spaces collapsed. Math ($...$) is kept as written.
+     */
+    static decode(raw) {
+        if (raw === null || raw === undefined) return null;
+        const segments = String(raw).split(/((?<!\\)\$\$?(?:\\.|[^$\\])*\$\$?)/s);
+        const text = segments
+            .map((segment, index) => index % 2 === 1 ? segment : BibTeXParser.decodeText(segment))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return text.normalize('NFC');
+    }
+
+    /**
+     * Whether decodeText resolves a control word: a symbol, font switch, text
+     * command, letter accent or \href
+     */
+    static decodesCommand(name) {
+        return SYMBOLS[name] !== undefined || SWITCHES.has(name) || TEXT_COMMANDS.includes(name)
+            || /^[uvHckrdb]$/.test(name) || name === 'href';
+    }
+
+    static decodeText(text) {
+        const base = (letter) => letter === '\\i' ? 'i' : letter === '\\j' ? 'j' : letter;
+        let result = text
+            // Symbol accents: \"u, \"{u}, \'{\i}
+            .replace(/\\([`'^"~=.])\s*(?:\{\s*(\\[ij]|[A-Za-z])\s*\}|(\\[ij](?![A-Za-z])|[A-Za-z]))/g,
+                (m, accent, braced, bare) => base(braced || bare) + ACCENTS[accent])
+            // Letter accents: \c{c}, \v s
+            .replace(/\\([uvHckrdb])(?:\s*\{\s*(\\[ij]|[A-Za-z])\s*\}|\s+(\\[ij](?![A-Za-z])|[A-Za-z]))/g,
+                (m, accent, braced, bare) => base(braced || bare) + ACCENTS[accent])
+            // Control words; unknown ones are kept as written
+            .replace(/\\([A-Za-z]+)(?![A-Za-z])(?:\s*\{\})?\s*/g, (m, name) => {
+                if (SWITCHES.has(name)) return '';
+                return SYMBOLS[name] !== undefined ? SYMBOLS[name] : m;
+            })
+            .replace(new RegExp(`\\\\(?:${TEXT_COMMANDS.join('|')})\\s*(?=\\{)`, 'g'), '')
+            .replace(/\\href\s*\{[^{}]*\}/g, '')
+            .replace(/---/g, '—')
+            .replace(/--/g, '–')
+            .replace(/``/g, '“')
+            .replace(/''/g, '”');
+
+        // Escaped specials, ties and braces
+        let out = '';
+        for (let i = 0; i < result.length; i++) {
+            const char = result[i];
+            if (char === '\\' && i + 1 < result.length && /[&%$#_{}\s,;]/.test(result[i + 1])) {
+                const next = result[++i];
+                out += /[\s,;]/.test(next) ? ' ' : next;
+            } else if (char === '~') {
+                out += ' ';
+            } else if (char !== '{' && char !== '}') {
+                out += char;
+            }
+        }
+        return out;
+    }
+}
+
+BibTeXParser.MONTH_MACROS = MONTH_MACROS;
+
+module.exports = BibTeXParser;
@@ -2,15 +2,33 @@
  * Citation parser for BibTeX and RIS formats
  */
 
+const PublicationType = require('../utils/PublicationType');
+const JournalRefParser = require('./JournalRefParser');
+const AuthorList = require('../utils/AuthorList');
+const ArxivId = require('../utils/ArxivId');
+const BibTeXParser = require('./BibTeXParser');
+const RISParser = require('./RISParser');
+const VenueFormatter = require('../merger/VenueFormatter');
+
+// Renders journal_ref from the venue in the default citation style
+const DEFAULT_FORMATTER = new VenueFormatter();
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
 class CitationParser {
     /**
      * Parses citation data (BibTeX, RIS, etc.) to extract metadata
-     * Returns { authors: string, journal_ref: string, doi: string }
+     * Returns { authors, author_list, journal_ref, doi, type, venue, title, summary,
+     *           published, url, isbn, series, arxiv_id, entry_type, citation_key, fields }
+     * (type is a PublicationType value, venue a JournalRefParser venue and journal_ref
+     * that venue in the default citation style (the merger renders the venue in the
+     * configured one), author_list an AuthorList, published an ISO date; entry_type,
+     * citation_key and fields are the BibTeX entry type, key and decoded fields, or
+     * the RIS TY, ID and tag values)
      */
     static parseCitationData(citation) {
-        if (!citation || !citation.value) return { authors: null, journal_ref: null, doi: null };
+        if (!citation || !citation.value) return CitationParser.emptyResult();
         
-        const result = { authors: null, journal_ref: null, doi: null };
         const citationText = citation.value;
         const citationType = citation.type ? citation.type.toLowerCase() : '';
         
@@ -23,122 +41,231 @@ class CitationParser {
         }
     }
 
-    static parseBibTeX(citationText) {
-        const result = { authors: null, journal_ref: null, doi: null };
-        
-        // Extract authors
-        const authorMatch = citationText.match(/author\s*=\s*\{([^}]+)\}/is);
-        if (authorMatch) {
-            // BibTeX uses "and" as separator
-            const authors = authorMatch[1].split(' and ').map(a => a.trim()).filter(a => a);
-            result.authors = authors.join(', ');
+    static emptyResult() {
+        return {
+            authors: null,
+            author_list: null,
+            journal_ref: null,
+            doi: null,
+            type: null,
+            venue: null,
+            title: null,
+            summary: null,
+            published: null,
+            url: null,
+            isbn: null,
+            series: null,
+            arxiv_id: null,
+            entry_type: null,
+            citation_key: null,
+            fields: null
+        };
+    }
+
+    /**
+     * Parses every record of a BibTeX or RIS file
+     * @param {string} format - 'bibtex' or 'ris'
+     * @returns {Array} One parseCitationData() result per record
+     */
+    static parseFile(text, format) {
+        if (format === 'ris') {
+            return RISParser.parse(text).map(record => this.fromRIS(record));
         }
-        
-        // Extract journal or booktitle (for conferences)
-        // Handle both {...} and "..." formats, including nested content
-        let journalMatch = citationText.match(/journal\s*=\s*\{([^}]+)\}/is);
-        if (!journalMatch) {
-            journalMatch = citationText.match(/journal\s*=\s*"([^"]+)"/is);
+        // One parser for the whole file, so @string macros apply to every entry
+        return BibTeXParser.parse(text).map(entry => this.fromBibTeX(entry));
+    }
+
+    /**
+     * ISO date from citation date parts (month as number or name); null without a year
+     */
+    static isoDate(year, month = null, day = null) {
+        const y = parseInt(year, 10);
+        if (isNaN(y)) return null;
+        let m = parseInt(month, 10);
+        if (isNaN(m) && month) m = MONTHS.indexOf(String(month).trim().slice(0, 3).toLowerCase()) + 1;
+        const d = parseInt(day, 10);
+        return new Date(Date.UTC(y, m >= 1 && m <= 12 ? m - 1 : 0, d >= 1 && d <= 31 ? d : 1)).toISOString();
+    }
+
+    /**
+     * Author list and legacy string from individual names ("Family, Given" or "Given Family")
+     */
+    static setAuthors(result, names) {
+        const authorList = AuthorList.fromNames(names);
+        if (authorList.length === 0) return;
+        result.author_list = authorList;
+        result.authors = AuthorList.toString(authorList);
+    }
+
+    /**
+     * Venue object from the separate fields of a citation
+     */
+    static buildVenue(journal, volume, issue, pages, year) {
+        const venue = JournalRefParser.emptyVenue();
+        venue.journal = journal;
+        venue.volume = volume || null;
+        venue.issue = issue || null;
+        if (pages) {
+            const locator = pages.replace(/\s*[-–—]+\s*/, '-');
+            if (JournalRefParser.isArticleNumber(locator)) {
+                venue.article_number = locator;
+            } else {
+                venue.pages = locator;
+            }
         }
-        if (!journalMatch) {
-            journalMatch = citationText.match(/booktitle\s*=\s*\{([^}]+)\}/is);
+        const parsedYear = year ? parseInt(year, 10) : NaN;
+        venue.year = isNaN(parsedYear) ? null : parsedYear;
+        return venue;
+    }
+
+    /**
+     * Sets the venue and the journal_ref rendered from it
+     */
+    static setVenue(result, venue) {
+        result.venue = venue;
+        result.journal_ref = DEFAULT_FORMATTER.render(venue);
+    }
+
+    /**
+     * Parses the first entry of a BibTeX citation (see BibTeXParser)
+     */
+    static parseBibTeX(citationText) {
+        const [entry] = BibTeXParser.parse(citationText);
+        return entry ? this.fromBibTeX(entry) : this.emptyResult();
+    }
+
+    /**
+     * Result of a BibTeXParser entry; `fields` keeps every decoded field
+     */
+    static fromBibTeX(entry) {
+        const result = this.emptyResult();
+        const field = (name) => entry.fields[name] || null;
+
+        result.entry_type = entry.type;
+        result.citation_key = entry.key;
+        result.fields = { ...entry.fields };
+        result.type = PublicationType.fromBibtex(entry.type);
+
+        const names = BibTeXParser.splitNames(entry.raw.author);
+        if (names.length > 0) {
+            result.author_list = AuthorList.numbered(names.map(name => AuthorList.author(name)));
+            result.authors = AuthorList.toString(result.author_list);
         }
-        if (!journalMatch) {
-            journalMatch = citationText.match(/booktitle\s*=\s*"([^"]+)"/is);
+
+        // Extract journal or booktitle (for conferences); biblatex writes journaltitle
+        const journal = field('journal') || field('journaltitle') || field('booktitle');
+        const volume = field('volume');
+        const number = field('number');
+        const pages = field('pages');
+        const date = field('date') ? field('date').split(/[/-]/) : [];
+        const year = field('year') || date[0] || null;
+        
+        if (journal) {
+            this.setVenue(result, this.buildVenue(journal, volume, number, pages, year));
         }
         
-        const volumeMatch = citationText.match(/volume\s*=\s*[{"{}]([^"{}]+)[}"{}]/is);
-        const numberMatch = citationText.match(/number\s*=\s*[{"{}]([^"{}]+)[}"{}]/is);
-        const pagesMatch = citationText.match(/pages\s*=\s*[{"{}]([^"{}]+)[}"{}]/is);
-        const yearMatch = citationText.match(/year\s*=\s*[{"{}]([^"{}]+)[}"{}]/is);
+        result.title = field('title');
+        result.summary = field('abstract');
+        result.published = this.isoDate(year, field('month') || date[1], field('day') || date[2]);
+        result.url = field('url');
+        result.isbn = field('isbn');
+        result.series = field('series');
         
-        if (journalMatch) {
-            let ref = journalMatch[1].trim();
-            if (volumeMatch) {
-                ref += ` ${volumeMatch[1].trim()}`;
-                if (numberMatch) {
-                    ref += `(${numberMatch[1].trim()})`;
-                }
-            }
-            if (pagesMatch) {
-                ref += `, ${pagesMatch[1].trim()}`;
-            }
-            if (yearMatch) {
-                ref += ` (${yearMatch[1].trim()})`;
-            }
-            result.journal_ref = ref;
-        } else if (yearMatch) {
-            // If no journal/booktitle but we have a year, at least include the year
-            result.journal_ref = `(${yearMatch[1].trim()})`;
+        // Extract DOI
+        const doi = field('doi');
+        if (doi) {
+            result.doi = `https://doi.org/${doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')}`;
         }
         
-        // Extract DOI
-        const doiMatch = citationText.match(/doi\s*=\s*[{"{}]([^"{}]+)[}"{}]/is);
-        if (doiMatch) {
-            result.doi = `https://doi.org/${doiMatch[1].trim()}`;
+        // arXiv ID from eprint (archivePrefix/eprinttype arXiv or none), else from the URL or the arXiv DOI
+        const eprint = field('eprint');
+        const archive = field('archiveprefix') || field('eprinttype');
+        if (eprint && (!archive || /arxiv/i.test(archive))) {
+            result.arxiv_id = ArxivId.normalize(eprint);
+        }
+        if (!result.arxiv_id) {
+            result.arxiv_id = this.arxivIdFrom(result.url ? [result.url] : [], result.doi);
         }
         
         return result;
     }
 
+    /**
+     * Parses the first record of a RIS citation (see RISParser)
+     */
     static parseRIS(citationText) {
-        const result = { authors: null, journal_ref: null, doi: null };
-        const lines = citationText.split('\n');
-        const authors = [];
-        let journal = null;
-        let volume = null;
-        let issue = null;
-        let pages = null;
-        let year = null;
-        
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('AU  - ') || trimmed.startsWith('A1  - ')) {
-                authors.push(trimmed.substring(6).trim());
-            } else if (trimmed.startsWith('JO  - ') || trimmed.startsWith('T2  - ')) {
-                journal = trimmed.substring(6).trim();
-            } else if (trimmed.startsWith('VL  - ')) {
-                volume = trimmed.substring(6).trim();
-            } else if (trimmed.startsWith('IS  - ')) {
-                issue = trimmed.substring(6).trim();
-            } else if (trimmed.startsWith('SP  - ')) {
-                const startPage = trimmed.substring(6).trim();
-                pages = startPage;
-            } else if (trimmed.startsWith('EP  - ') && pages) {
-                pages += `-${trimmed.substring(6).trim()}`;
-            } else if (trimmed.startsWith('PY  - ') || trimmed.startsWith('Y1  - ')) {
-                year = trimmed.substring(6).trim().substring(0, 4); // Take just the year
-            } else if (trimmed.startsWith('DO  - ')) {
-                result.doi = `https://doi.org/${trimmed.substring(6).trim()}`;
-            }
-        }
-        
-        if (authors.length > 0) {
-            result.authors = authors.join(', ');
-        }
+        const [record] = RISParser.parse(citationText);
+        return record ? this.fromRIS(record) : this.emptyResult();
+    }
+
+    /**
+     * Result of a RISParser record; `fields` keeps every tag with its values
+     */
+    static fromRIS(record) {
+        const result = this.emptyResult();
+        const tag = (...tags) => RISParser.first(record, ...tags);
+
+        result.entry_type = record.type;
+        result.citation_key = tag('ID');
+        result.fields = { ...record.tags };
+        result.type = PublicationType.fromRis(record.type);
+
+        this.setAuthors(result, RISParser.all(record, 'AU', 'A1'));
+
+        // Books have their title in BT; for chapters and proceedings papers BT is the container
+        result.title = tag('TI', 'T1', 'CT') || (record.type === 'BOOK' ? tag('BT') : null);
+        const journal = tag('JF', 'JO', 'T2', 'JA', 'J2') || (record.type !== 'BOOK' ? tag('BT') : null);
+        const volume = tag('VL');
+        const issue = tag('IS');
+        const startPage = tag('SP');
+        const endPage = tag('EP');
+        const pages = startPage && endPage && !/[-–]/.test(startPage) ? `${startPage}-${endPage}` : startPage;
+
+        // PY often only has the year; DA has the full date
+        const published = RISParser.dateParts(tag('PY', 'Y1'));
+        const dated = RISParser.dateParts(tag('DA'));
+        const date = dated.year && (!published.year || (dated.year === published.year && !published.month)) ? dated : published;
+        const year = date.year;
         
+        result.published = this.isoDate(year, date.month, date.day);
+
+        const { isbn, issn } = RISParser.standardNumbers(record);
+        result.isbn = isbn[0] || null;
         if (journal) {
-            let ref = journal;
-            if (volume) {
-                ref += ` ${volume}`;
-                if (issue) {
-                    ref += `(${issue})`;
-                }
-            }
-            if (pages) {
-                ref += `, ${pages}`;
-            }
-            if (year) {
-                ref += ` (${year})`;
-            }
-            result.journal_ref = ref;
+            const venue = this.buildVenue(journal, volume, issue, pages, year);
+            if (issn.length > 0) venue.issn = issn[0];
+            this.setVenue(result, venue);
         }
+        result.series = tag('T3');
+        result.summary = tag('AB', 'N2');
+
+        const links = RISParser.all(record, 'UR', 'L2');
+        result.url = links.find(link => !/doi\.org\//i.test(link)) || links[0] || null;
+
+        const doiLink = links.find(link => /doi\.org\/10\./i.test(link));
+        const doi = tag('DO') || (doiLink ? doiLink : null);
+        if (doi) {
+            const bare = doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '').replace(/^doi:\s*/i, '');
+            result.doi = `https://doi.org/${bare}`;
+        }
+        result.arxiv_id = this.arxivIdFrom(links, result.doi);
         
         return result;
     }
 
+    /**
+     * arXiv ID from arxiv.org links or an arXiv DOI (10.48550/arXiv.*), or null
+     */
+    static arxivIdFrom(links, doi) {
+        for (const link of links) {
+            if (/arxiv\.org/i.test(link) && ArxivId.normalize(link)) return ArxivId.normalize(link);
+        }
+        const arxivDoi = doi ? doi.match(/10\.48550\/arxiv\.(.+)$/i) : null;
+        return arxivDoi ? ArxivId.normalize(arxivDoi[1]) : null;
+    }
+
     static parseGeneric(citationText) {
-        const result = { authors: null, journal_ref: null, doi: null };
+        const result = this.emptyResult();
         
         // Try generic parsing for other formats
         // Look for common patterns in the text
@@ -0,0 +1,110 @@
+/**
+ * Journal reference parser for free-text (arXiv-style) references
+ *
+ * Understands the usual layouts, e.g.
+ *   "Phys. Rev. B 100, 035401 (2019)"
+ *   "Nature Physics 20(3), 100-105 (2024)"
+ *   "J. Phys.: Condens. Matter 31 (2019) 123456"
+ *   "Nano Letters, 2019, 19 (9), pp 6036–6042"
+ *   "Phys. Rev. B 88, 121408(R) (2013)", "Nanotechnology 30(24), 24LT01 (2019)"
+ * and returns a venue object:
+ *   { journal, abbreviation, issn, volume, issue, pages, article_number, year }
+ * Only journal, volume, issue, pages/article_number and year can come from the
+ * text; the journal name is left as written (see VenueFormatter for names).
+ * Text the layouts do not cover (a title after the volume, a conference name
+ * with a number in it) is ignored unless `complete` is asked for, in which case
+ * such references do not parse at all.
+ */
+
+const YEAR_IN_PARENS = /\(\s*((?:19|20)\d{2})\s*\)/;
+const BARE_YEAR = /(?:^|[\s,;])((?:19|20)\d{2})\s*(?=[,;]|$)/;
+const JOURNAL_AND_VOLUME = /^(.*?[A-Za-z].*?)[\s,]+(?:vol(?:ume)?\.?\s*)?(\d+[A-Za-z]?)(?=[\s,:(]|$)(.*)$/i;
+const ISSUE = /^\s*(?:\(\s*([\w-]+)\s*\)|,?\s*(?:no\.?|issue)\s*([\w-]+))/i;
+// Page range or article number: "100-105", "035401", "L041101", "24LT01", "121408(R)"
+const LOCATOR = /^\s*[,:]?\s*(?:pp?\.?\s*)?([A-Za-z]{0,2}\d+(?:[A-Za-z]+\d+)?[A-Za-z]?(?:\s*[-–—]+\s*[A-Za-z]{0,2}\d+[A-Za-z]?|\([A-Z]\))?)(?![\w(])/;
+// What may be left over by a reference that was fully understood
+const LEFTOVER = /^[\s.,;:]*$/;
+
+class JournalRefParser {
+    static emptyVenue() {
+        return {
+            journal: null,
+            abbreviation: null,
+            issn: null,
+            volume: null,
+            issue: null,
+            pages: null,
+            article_number: null,
+            year: null
+        };
+    }
+
+    /**
+     * Parses a free-text journal reference
+     * @param {string} text - Journal reference
+     * @param {Object} options
+     * @param {boolean} options.complete - Only accept references understood to the end
+     * @returns {Object|null} Venue object, or null if no journal name was found
+     *                        (or, with `complete`, if some of the text was not understood)
+     */
+    static parse(text, options = {}) {
+        if (!text || typeof text !== 'string') return null;
+
+        let rest = text.replace(/\s+/g, ' ').trim();
+        const venue = JournalRefParser.emptyVenue();
+        // "ISBN: 978..." is a book, not a journal with a volume
+        if (/^ISBN\b/i.test(rest)) return null;
+
+        let yearMatch = rest.match(YEAR_IN_PARENS);
+        if (!yearMatch) yearMatch = rest.match(BARE_YEAR);
+        if (yearMatch) {
+            venue.year = parseInt(yearMatch[1], 10);
+            rest = (rest.slice(0, yearMatch.index) + ' ' + rest.slice(yearMatch.index + yearMatch[0].length))
+                .replace(/\s+/g, ' ')
+                .replace(/\s*,\s*,/g, ',')
+                .trim();
+        }
+
+        const main = rest.match(JOURNAL_AND_VOLUME);
+        if (!main) {
+            // A bare journal name ("Physical Review B") is still a venue
+            if (/\d/.test(rest) || !/[A-Za-z]/.test(rest)) return null;
+            venue.journal = rest.replace(/[\s,;:]+$/, '');
+            return venue;
+        }
+
+        venue.journal = main[1].replace(/[\s,;:]+$/, '').trim();
+        venue.volume = main[2];
+        rest = main[3];
+
+        const issueMatch = rest.match(ISSUE);
+        if (issueMatch) {
+            venue.issue = issueMatch[1] || issueMatch[2];
+            rest = rest.slice(issueMatch[0].length);
+        }
+
+        const locatorMatch = rest.match(LOCATOR);
+        if (locatorMatch) {
+            const locator = locatorMatch[1].replace(/\s*[-–—]+\s*/, '-');
+            if (JournalRefParser.isArticleNumber(locator)) {
+                venue.article_number = locator;
+            } else {
+                venue.pages = locator;
+            }
+            rest = rest.slice(locatorMatch[0].length);
+        }
+
+        if (options.complete && !LEFTOVER.test(rest)) return null;
+        return venue.journal ? venue : null;
+    }
+
+    /**
+     * Tells article numbers ("035401", "L041101", "e2021", "24LT01") from page numbers
+     */
+    static isArticleNumber(locator) {
+        if (locator.includes('-')) return false;
+        return /[A-Za-z]/.test(locator) || /^0/.test(locator) || locator.replace(/\D/g, '').length >= 5;
+    }
+}
+
+module.exports = JournalRefParser;
@@ -0,0 +1,114 @@
+/**
+ * RIS parser
+ *
+ * Reads RIS files (or a single citation) record by record. A record runs from
+ * its TY line to its ER line; lines are "XX  - value", and lines without a tag
+ * continue the previous value (wrapped abstracts). Files from reference managers
+ * may start with a byte order mark, use CRLF and be loose about the spacing
+ * around the dash; a record missing its ER line ends at the next TY line.
+ * Each record is returned as
+ *   { type, tags: { TAG: [values] } }
+ * with `type` the TY value and every tag's values in file order (AU, KW, UR
+ * and SN often repeat).
+ */
+
+const TAG_LINE = /^([A-Z][A-Z0-9])\s{1,2}-(?:\s(.*))?$/;
+
+class RISParser {
+    /**
+     * Parses every record of a RIS text
+     * @returns {Array} [{ type, tags }]
+     */
+    static parse(text) {
+        const records = [];
+        let record = null;
+        let last = null;
+
+        const finish = () => {
+            if (record && record.type) records.push(record);
+            record = null;
+            last = null;
+        };
+
+        for (const line of String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const match = line.trim().match(TAG_LINE);
+            if (!match) {
+                // Continuation of a wrapped value
+                if (record && last && line.trim()) {
+                    const values = record.tags[last];
+                    values[values.length - 1] = `${values[values.length - 1]} ${line.trim()}`.trim();
+                }
+                continue;
+            }
+
+            const [, tag, rawValue] = match;
+            const value = (rawValue || '').trim();
+            if (tag === 'TY') {
+                finish();
+                record = { type: value.toUpperCase() || null, tags: {} };
+                continue;
+            }
+            if (tag === 'ER') {
+                finish();
+                continue;
+            }
+            if (!record) continue;
+            if (!record.tags[tag]) record.tags[tag] = [];
+            record.tags[tag].push(value);
+            last = tag;
+        }
+        finish();
+        return records;
+    }
+
+    /**
+     * First non-empty value among the given tags, in order
+     */
+    static first(record, ...tags) {
+        for (const tag of tags) {
+            const value = (record.tags[tag] || []).find(v => v);
+            if (value) return value;
+        }
+        return null;
+    }
+
+    /**
+     * All non-empty values of the given tags
+     */
+    static all(record, ...tags) {
+        return tags.flatMap(tag => record.tags[tag] || []).filter(v => v);
+    }
+
+    /**
+     * Date parts of a RIS date ("2020/05/12/", "2020/05//", "2020-05-12", "2020")
+     * @returns {Object} { year, month, day } (null when missing)
+     */
+    static dateParts(value) {
+        const [year, month, day] = String(value || '').split(/[/-]/).map(part => part.trim() || null);
+        return {
+            year: year && /^\d{4}/.test(year) ? year.slice(0, 4) : null,
+            month: month || null,
+            day: day || null
+        };
+    }
+
+    /**
+     * Splits SN values into ISBNs and ISSNs (one SN line may list several, separated by ; or ,)
+     */
+    static standardNumbers(record) {
+        const isbn = [];
+        const issn = [];
+        for (const value of RISParser.all(record, 'SN')) {
+            for (const number of value.split(/[;,]|\s{2,}/).map(n => n.trim()).filter(n => n)) {
+                // "ISBN: 978-3-16-148410-0 (print)" -> "978-3-16-148410-0"
+                const clean = number.replace(/^(ISBN|ISSN)(-1[03])?:?\s*/i, '').split(/\s/)[0];
+                const digits = clean.replace(/-/g, '');
+                if (/^\d{7}[\dX]$/i.test(digits)) issn.push(clean.toUpperCase());
+                else if (/^[\dX]{10}$|^\d{13}$/i.test(digits)) isbn.push(clean);
+            }
+        }
+        return { isbn, issn };
+    }
+}
+
+module.exports = RISParser;
@@ -1,36 +1,204 @@
 /**
- * XML Parser for arXiv API responses
+ * Streaming XML parser (SAX-style)
+ *
+ * Feed it text in chunks of any size with write() and finish with end();
+ * it reports open tags, close tags and text through callbacks. Handles
+ * attributes, self-closing tags, comments, CDATA, processing instructions,
+ * DOCTYPE declarations and character/entity references. It does not
+ * validate: it is meant for well-formed API responses such as Atom feeds.
  */
 
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
 class XmlParser {
-    static extractXMLField(xml, tag) {
-        const match = xml.match(new RegExp(`<${tag}>([^<]+)<\/${tag}>`));
-        return match ? match[1] : '';
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.onOpenTag - (name, attributes, selfClosing)
+     * @param {Function} handlers.onCloseTag - (name)
+     * @param {Function} handlers.onText - (text) with entities decoded
+     */
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.buffer = '';
+        this.depth = 0;
     }
 
-    static extractAuthors(xml) {
-        const authors = [];
-        const regex = /<name>([^<]+)<\/name>/g;
+    static decodeEntities(text) {
+        if (!text || text.indexOf('&') === -1) return text;
+
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+            if (ref[0] === '#') {
+                const code = ref[1] === 'x' || ref[1] === 'X'
+                    ? parseInt(ref.slice(2), 16)
+                    : parseInt(ref.slice(1), 10);
+                try {
+                    return String.fromCodePoint(code);
+                } catch (err) {
+                    return match;
+                }
+            }
+            return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+        });
+    }
+
+    static parseAttributes(source) {
+        const attributes = {};
+        const regex = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
         let match;
-        while ((match = regex.exec(xml)) !== null) {
-            authors.push(match[1]);
+        while ((match = regex.exec(source)) !== null) {
+            const value = match[3] !== undefined ? match[3] : match[4];
+            attributes[match[1]] = XmlParser.decodeEntities(value);
         }
-        return authors.join(', ');
+        return attributes;
     }
 
-    static extractCategories(xml) {
-        const categories = [];
-        const regex = /<category[^>]+term="([^"]+)"[^>]*\/>/g;
-        let match;
-        while ((match = regex.exec(xml)) !== null) {
-            categories.push(match[1]);
+    write(chunk) {
+        this.buffer += chunk;
+        this.process(false);
+        return this;
+    }
+
+    end() {
+        this.process(true);
+        if (this.buffer.length > 0) {
+            throw new Error('Unexpected end of XML input inside markup');
+        }
+        if (this.depth !== 0) {
+            throw new Error(`Unexpected end of XML input: ${this.depth} element(s) left open`);
+        }
+    }
+
+    process(final) {
+        /**
+         * Consumes as many complete tokens from the buffer as possible,
+         * leaving partial markup for the next write()
+         */
+        let position = 0;
+        const buffer = this.buffer;
+
+        while (position < buffer.length) {
+            const lt = buffer.indexOf('<', position);
+
+            if (lt === -1) {
+                // Trailing text may end in a partial entity reference; wait for more
+                const amp = buffer.lastIndexOf('&');
+                const cut = !final && amp >= position && buffer.indexOf(';', amp) === -1 ? amp : buffer.length;
+                this.emitText(buffer.slice(position, cut));
+                position = cut;
+                break;
+            }
+
+            if (lt > position) {
+                this.emitText(buffer.slice(position, lt));
+                position = lt;
+            }
+
+            const consumed = this.consumeMarkup(buffer, lt);
+            if (consumed === -1) break;
+            position = consumed;
         }
-        return categories;
+
+        this.buffer = buffer.slice(position);
     }
 
-    static extractDOI(xml) {
-        const match = xml.match(/<arxiv:doi[^>]*>([^<]+)<\/arxiv:doi>/);
-        return match ? match[1] : null;
+    consumeMarkup(buffer, start) {
+        /**
+         * Handles the markup starting at `start`
+         * Returns the index after it, or -1 if the markup is not complete yet
+         */
+        if (buffer.startsWith('<!--', start)) {
+            const close = buffer.indexOf('-->', start + 4);
+            return close === -1 ? -1 : close + 3;
+        }
+
+        if (buffer.startsWith('<![CDATA[', start)) {
+            const close = buffer.indexOf(']]>', start + 9);
+            if (close === -1) return -1;
+            if (this.handlers.onText) this.handlers.onText(buffer.slice(start + 9, close));
+            return close + 3;
+        }
+
+        if (buffer.startsWith('<?', start)) {
+            const close = buffer.indexOf('?>', start + 2);
+            return close === -1 ? -1 : close + 2;
+        }
+
+        if (buffer.startsWith('<!', start)) {
+            return this.consumeDeclaration(buffer, start);
+        }
+
+        const close = this.findTagEnd(buffer, start + 1);
+        if (close === -1) return -1;
+
+        const inner = buffer.slice(start + 1, close);
+        if (inner[0] === '/') {
+            const name = inner.slice(1).trim();
+            this.depth--;
+            if (this.handlers.onCloseTag) this.handlers.onCloseTag(name);
+            return close + 1;
+        }
+
+        const selfClosing = inner.endsWith('/');
+        const body = selfClosing ? inner.slice(0, -1) : inner;
+        const nameMatch = body.match(/^\s*([^\s/>]+)/);
+        if (!nameMatch) {
+            throw new Error(`Malformed tag at offset ${start}`);
+        }
+        const name = nameMatch[1];
+        const attributes = XmlParser.parseAttributes(body.slice(nameMatch[0].length));
+
+        if (this.handlers.onOpenTag) this.handlers.onOpenTag(name, attributes, selfClosing);
+        if (selfClosing) {
+            if (this.handlers.onCloseTag) this.handlers.onCloseTag(name);
+        } else {
+            this.depth++;
+        }
+        return close + 1;
+    }
+
+    consumeDeclaration(buffer, start) {
+        /**
+         * Skips <!DOCTYPE ...>, including an internal subset in brackets
+         */
+        let bracketDepth = 0;
+        for (let i = start + 2; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (char === '[') bracketDepth++;
+            else if (char === ']') bracketDepth--;
+            else if (char === '>' && bracketDepth <= 0) return i + 1;
+        }
+        return -1;
+    }
+
+    findTagEnd(buffer, from) {
+        /**
+         * Finds the closing '>' of a tag, skipping quoted attribute values
+         */
+        let quote = null;
+        for (let i = from; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '>') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    emitText(text) {
+        if (text && this.handlers.onText) {
+            this.handlers.onText(XmlParser.decodeEntities(text));
+        }
     }
 }
 
@@ -0,0 +1,92 @@
+/**
+ * arXiv identifier utilities
+ *
+ * Understands both identifier schemes:
+ * - new style (since April 2007): YYMM.NNNN or YYMM.NNNNN, e.g. 2510.20892v2
+ * - old style: archive[.SubjectClass]/YYMMNNN, e.g. cond-mat/0601234v1, math.GT/0309136
+ *
+ * Identifiers are accepted bare, with an "arXiv:" prefix or as abs/pdf URLs.
+ * The versionless form is what identifies a paper; the version is kept apart.
+ */
+
+const NEW_STYLE = /^(\d{4}\.\d{4,5})(?:v(\d+))?$/;
+const OLD_STYLE = /^([a-z]+(?:-[a-z]+)*)(?:\.[a-z-]+)?\/(\d{7})(?:v(\d+))?$/i;
+const URL_PREFIX = /^(?:https?:\/\/)?(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf)\//i;
+
+class ArxivId {
+    /**
+     * Parses an arXiv identifier in any of the accepted forms
+     * @param {string} value - ID, "arXiv:" ID or arxiv.org abs/pdf URL
+     * @returns {Object|null} { id, base, version, scheme } where id is the canonical
+     *                        (possibly versioned) ID, base the versionless ID and
+     *                        version a number or null; null if value is not an arXiv ID
+     */
+    static parse(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const raw = value.trim()
+            .replace(URL_PREFIX, '')
+            .replace(/^arxiv:/i, '')
+            .replace(/\.pdf$/i, '')
+            .replace(/[?#].*$/, '')
+            .replace(/\/$/, '');
+
+        let match = raw.match(NEW_STYLE);
+        if (match) {
+            return ArxivId.build(match[1], match[2], 'new');
+        }
+
+        match = raw.match(OLD_STYLE);
+        if (match) {
+            // The subject class (math.GT) is not part of the identifier
+            return ArxivId.build(`${match[1].toLowerCase()}/${match[2]}`, match[3], 'old');
+        }
+        return null;
+    }
+
+    static build(base, version, scheme) {
+        const number = version !== undefined ? parseInt(version, 10) : null;
+        return {
+            id: number !== null ? `${base}v${number}` : base,
+            base,
+            version: number,
+            scheme
+        };
+    }
+
+    /**
+     * Versionless canonical ID, or null if value is not an arXiv ID
+     */
+    static normalize(value) {
+        const parsed = ArxivId.parse(value);
+        return parsed ? parsed.base : null;
+    }
+
+    /**
+     * Version number carried by the ID, or null for versionless IDs
+     */
+    static version(value) {
+        const parsed = ArxivId.parse(value);
+        return parsed ? parsed.version : null;
+    }
+
+    /**
+     * True if both values identify the same paper, whatever their versions
+     */
+    static equals(a, b) {
+        const baseA = ArxivId.normalize(a);
+        return baseA !== null && baseA === ArxivId.normalize(b);
+    }
+
+    static absUrl(value, protocol = 'https') {
+        const base = ArxivId.normalize(value);
+        return base ? `${protocol}://arxiv.org/abs/${base}` : null;
+    }
+
+    static pdfUrl(value, protocol = 'https') {
+        const base = ArxivId.normalize(value);
+        return base ? `${protocol}://arxiv.org/pdf/${base}` : null;
+    }
+}
+
+module.exports = ArxivId;
@@ -0,0 +1,188 @@
+/**
+ * Structured author lists
+ *
+ * Each author is
+ *   { name, given, family, orcid, affiliation, ror_ids, group_affiliated,
+ *     member_id, position, corresponding }
+ * where name is the display name, affiliation the affiliation names joined with
+ * "; ", ror_ids the ROR IDs of those affiliations when the source has them,
+ * group_affiliated whether one of them is the group's institution (null until
+ * matched, or when nothing is known), member_id the QUDYMA member ID (null for
+ * others), position the 1-based place in the list and corresponding true/false
+ * when the source says so (null when it does not). A name suffix ("Jr.") is only
+ * part of the display name, not of family. The legacy comma-joined
+ * `authors` string is rendered from the list with toString().
+ */
+
+const PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'dos', 'du', 'la', 'le', 'ter']);
+
+class AuthorList {
+    static author(fields) {
+        let split;
+        if (fields.literal) {
+            // Organizations and names the source did not split ("QUDYMA Collaboration")
+            split = { name: fields.literal.trim(), given: null, family: null };
+        } else if (fields.given || fields.family) {
+            split = { given: fields.given || null, family: fields.family || null };
+            split.name = [split.given, split.family, fields.suffix].filter(p => p).join(' ');
+        } else {
+            split = AuthorList.splitName(fields.name);
+        }
+        return {
+            name: split.name,
+            given: split.given,
+            family: split.family,
+            orcid: AuthorList.normalizeOrcid(fields.orcid),
+            affiliation: fields.affiliation || null,
+            ror_ids: (fields.ror_ids || []).map(AuthorList.normalizeRor).filter(id => id),
+            group_affiliated: null,
+            member_id: fields.member_id || null,
+            position: null,
+            corresponding: typeof fields.corresponding === 'boolean' ? fields.corresponding : null
+        };
+    }
+
+    /**
+     * Splits a name written "Given Family" or "Family, Given"
+     * Lower-case particles ("van", "de") stay with the family name
+     * @returns {Object} { name, given, family } with name in "Given Family" order
+     */
+    static splitName(name) {
+        const clean = String(name || '').replace(/\s+/g, ' ').trim();
+        if (!clean) return { name: '', given: null, family: null };
+
+        const comma = clean.indexOf(',');
+        if (comma !== -1) {
+            const family = clean.slice(0, comma).trim();
+            const given = clean.slice(comma + 1).trim() || null;
+            return { name: [given, family].filter(p => p).join(' '), given, family: family || null };
+        }
+
+        const parts = clean.split(' ');
+        let start = parts.length - 1;
+        while (start > 1 && PARTICLES.has(parts[start - 1])) start--;
+        if (start === 0) return { name: clean, given: null, family: clean };
+        return { name: clean, given: parts.slice(0, start).join(' '), family: parts.slice(start).join(' ') };
+    }
+
+    static normalizeOrcid(orcid) {
+        if (!orcid) return null;
+        const match = String(orcid).match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+        return match ? match[1].toUpperCase() : null;
+    }
+
+    /**
+     * ROR IDs as full URLs ("02qqy8j09" -> "https://ror.org/02qqy8j09")
+     */
+    static normalizeRor(ror) {
+        if (!ror) return null;
+        const match = String(ror).trim().match(/(?:^|ror\.org\/)(0[a-z0-9]{6}\d{2})\/?$/i);
+        return match ? `https://ror.org/${match[1].toLowerCase()}` : null;
+    }
+
+    static numbered(authors) {
+        authors.forEach((author, index) => { author.position = index + 1; });
+        return authors;
+    }
+
+    /**
+     * Authors of a CrossRef work (`author` array of the record)
+     */
+    static fromCrossref(authors) {
+        if (!Array.isArray(authors)) return [];
+        return AuthorList.numbered(authors
+            .filter(a => a.literal || a.given || a.family)
+            .map(a => a.literal
+                ? AuthorList.author({ literal: a.literal, orcid: a.ORCID })
+                : AuthorList.author({
+                    given: a.given,
+                    family: a.family,
+                    orcid: a.ORCID,
+                    affiliation: (a.affiliation || []).map(aff => aff.name).filter(n => n).join('; ') || null,
+                    ror_ids: (a.affiliation || []).flatMap(aff => (aff.id || [])
+                        .filter(id => String(id['id-type'] || '').toUpperCase() === 'ROR')
+                        .map(id => id.id))
+                })));
+    }
+
+    /**
+     * Authors of an arXiv Atom entry ({ name, affiliations } from AtomParser)
+     */
+    static fromArxiv(authors) {
+        if (!Array.isArray(authors)) return [];
+        return AuthorList.numbered(authors
+            .filter(a => a.name)
+            .map(a => AuthorList.author({
+                name: a.name,
+                affiliation: (a.affiliations || []).join('; ') || null
+            })));
+    }
+
+    /**
+     * ORCID work contributors ({ name, orcid } from OrcidFetcher, or bare names)
+     */
+    static fromOrcidContributors(contributors) {
+        if (!Array.isArray(contributors)) return [];
+        return AuthorList.numbered(contributors
+            .map(c => typeof c === 'string' ? { name: c } : c)
+            .filter(c => c && c.name)
+            .map(c => AuthorList.author({ name: c.name, orcid: c.orcid })));
+    }
+
+    /**
+     * Individual names, each "Given Family" or "Family, Given" (BibTeX/RIS authors)
+     */
+    static fromNames(names) {
+        if (!Array.isArray(names)) return [];
+        return AuthorList.numbered(names
+            .filter(n => n && n.trim())
+            .map(n => AuthorList.author({ name: n })));
+    }
+
+    /**
+     * Authors of a free-text string, separated by ";", " and " or commas
+     * ("San-Jose, Pablo and Prada, Elsa" keeps its "Family, Given" names)
+     */
+    static fromString(authorsString) {
+        if (!authorsString || !authorsString.trim()) return [];
+        let names;
+        if (authorsString.includes(';')) {
+            names = authorsString.split(';');
+        } else if (/\s+and\s+/.test(authorsString)) {
+            names = authorsString.split(/\s+and\s+/);
+            if (!names.every(n => (n.match(/,/g) || []).length === 1)) {
+                names = names.flatMap(n => n.split(','));
+            }
+        } else {
+            names = authorsString.split(',');
+        }
+        return AuthorList.fromNames(names.map(n => n.trim()));
+    }
+
+    static toString(authors) {
+        if (!authors || authors.length === 0) return null;
+        return authors.map(a => a.name).join(', ');
+    }
+
+    static key(name) {
+        return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z]+/g, '');
+    }
+
+    /**
+     * Appends the authors of `extra` missing from `authors` (same display name)
+     * @returns {Array} New, renumbered list
+     */
+    static union(authors, extra) {
+        const seen = new Set(authors.map(a => AuthorList.key(a.name)));
+        const result = authors.map(a => ({ ...a }));
+        for (const author of extra) {
+            if (seen.has(AuthorList.key(author.name))) continue;
+            seen.add(AuthorList.key(author.name));
+            result.push({ ...author });
+        }
+        return AuthorList.numbered(result);
+    }
+}
+
+module.exports = AuthorList;
@@ -2,54 +2,97 @@
  * Date utility functions
  */
 
+const JournalRefParser = require('../parsers/JournalRefParser');
+
 class DateUtils {
     /**
-     * Check if a publication date should be included based on researcher's category and dates
+     * Membership periods of a researcher, oldest first
+     *
+     * members.json lists them as `periods`:
+     *   [{ "from": "2016-09-01", "to": "2020-08-31", "status": "member", "category": 7 },
+     *    { "from": "2023-01-01", "to": null, "status": "member", "category": 4 }]
+     * A member without `periods` has one period made of date_in, date_out, status
+     * and category. Periods without a start are ignored.
+     * Optional per period: grace_days (overrides the global grace window) and
+     * check_journal_year (the journal year must not be before the period starts).
+     */
+    static membershipPeriods(researcher) {
+        if (!researcher) return [];
+        const periods = Array.isArray(researcher.periods)
+            ? researcher.periods
+            : [{
+                from: researcher.date_in,
+                to: researcher.date_out,
+                status: researcher.status,
+                category: researcher.category
+            }];
+
+        return periods
+            .filter(period => period && period.from)
+            .map(period => ({
+                from: period.from,
+                to: period.to || null,
+                status: period.status || 'member',
+                category: period.category !== undefined ? period.category : null,
+                grace_days: period.grace_days !== undefined ? period.grace_days : null,
+                check_journal_year: !!period.check_journal_year
+            }))
+            .sort((a, b) => new Date(a.from) - new Date(b.from));
+    }
+
+    /**
+     * Check if a publication should be included based on the researcher's membership periods
      * 
      * Rules:
-     * - Non-visiting members with date_out=null: include ALL publications (no date filtering)
-     * - Members with date_out: only publications up to date_out
-     * - Visiting members: use date_in to date_out range
+     * - Researchers with an ongoing non-visitor period: include ALL publications (no date filtering)
+     * - Otherwise: only publications within one of the periods, up to `graceDays`
+     *   after a period ended (ongoing visits end today)
+     * @param {Object} options - { graceDays: days after leaving that still count (default 0), now }
      */
-    static shouldIncludePublication(dateStr, researcher, journalRef = null) {
+    static shouldIncludePublication(dateStr, researcher, journalRef = null, options = {}) {
         if (!dateStr) return false;
         
-        const date = new Date(dateStr);
-        const isVisiting = researcher?.status === 'visitor';
+        const periods = this.membershipPeriods(researcher);
         
-        // For non-visiting members with no date_out, include all publications
-        if (!isVisiting && !researcher.date_out) {
+        // Current members keep their whole publication record
+        if (periods.some(period => !period.to && period.status !== 'visitor')) {
             return true;
         }
         
-        // For members with date_out or visiting members, apply date range filtering
-        return this.isDateInRange(dateStr, researcher.date_in, researcher.date_out, journalRef);
+        return periods.some(period => this.isInPeriod(dateStr, period, journalRef, options));
     }
 
     /**
-     * Check if a date is within a range, with special handling for 2024 cutoff
+     * Check if a publication falls within a membership period (plus its grace window)
      */
-    static isDateInRange(dateStr, dateInStr, dateOutStr, journalRef = null) {
+    static isInPeriod(dateStr, period, journalRef = null, options = {}) {
+        const graceDays = period.grace_days !== null && period.grace_days !== undefined
+            ? period.grace_days
+            : (options.graceDays || 0);
+        if (!this.isDateInRange(dateStr, period.from, period.to, period.to ? graceDays : 0, options.now)) {
+            return false;
+        }
+        
+        // Papers posted during the period but already published before it do not count
+        if (period.check_journal_year && journalRef) {
+            const venue = JournalRefParser.parse(journalRef);
+            if (venue && venue.year && venue.year < new Date(period.from).getUTCFullYear()) return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Check if a date is within a range; an open range ends now
+     * @param {number} graceDays - Days after dateOutStr that still count
+     */
+    static isDateInRange(dateStr, dateInStr, dateOutStr, graceDays = 0, now = new Date()) {
         if (!dateStr || !dateInStr) return false;
         
         const date = new Date(dateStr);
         const dateIn = new Date(dateInStr);
-        const dateOut = dateOutStr ? new Date(dateOutStr) : new Date();
-        
-        // Special handling for 2024 cutoff with journal_ref check
-        if (dateInStr === '2024-01-01') {
-            const targetDate = new Date('2024-01-01');
-            if (date < targetDate) return false;
-            
-            // If we have a journal ref with a year, check that too
-            if (journalRef) {
-                const yearMatch = journalRef.match(/\((\d{4})\)$/);
-                if (yearMatch) {
-                    const journalYear = parseInt(yearMatch[1]);
-                    if (journalYear < 2024) return false;
-                }
-            }
-        }
+        const dateOut = dateOutStr ? new Date(dateOutStr) : new Date(now);
+        dateOut.setUTCDate(dateOut.getUTCDate() + graceDays);
         
         return date >= dateIn && date <= dateOut;
     }
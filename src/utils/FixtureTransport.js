@@ -0,0 +1,126 @@
+/**
+ * FixtureTransport - Records real HTTP responses to fixture files and replays them
+ *
+ * Plugs into HttpClient as its transport. Each exchange is stored as one JSON
+ * file under <directory>/<hostname>/, named by a hash of method, URL and body.
+ * Credentials (client_secret, access_token, mailto) never reach the files.
+ *
+ * Modes:
+ * - record: always perform the request and (over)write the fixture
+ * - replay: serve only from fixtures; a missing fixture is an error
+ * - auto:   replay when a fixture exists, record otherwise
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const MODES = ['record', 'replay', 'auto'];
+const SECRET_FIELDS = ['client_secret', 'access_token', 'refresh_token'];
+const RECORDED_HEADERS = ['content-type', 'location', 'retry-after'];
+
+class FixtureTransport {
+    /**
+     * @param {string} directory - Fixture root directory
+     * @param {Object} options
+     * @param {string} options.mode - record | replay | auto (default: replay)
+     * @param {Object} options.transport - Transport used for real requests when recording
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.mode = options.mode || 'replay';
+        this.transport = options.transport || null;
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown fixture mode "${this.mode}" (expected ${MODES.join(', ')})`);
+        }
+        if (this.mode !== 'replay' && !this.transport) {
+            throw new Error(`Fixture mode "${this.mode}" needs a transport for real requests`);
+        }
+    }
+
+    /**
+     * URL without the parts that vary between users (mailto contact address)
+     */
+    static canonicalUrl(url) {
+        const target = new URL(url);
+        target.searchParams.delete('mailto');
+        return target.toString();
+    }
+
+    static redactBody(body) {
+        if (!body) return body || null;
+
+        try {
+            const json = JSON.parse(body);
+            for (const field of SECRET_FIELDS) {
+                if (json[field]) json[field] = 'REDACTED';
+            }
+            return JSON.stringify(json);
+        } catch (err) {
+            // Not JSON; try form encoding
+        }
+
+        if (/^[^\s=&]+=[^\s&]*(&[^\s=&]+=[^\s&]*)*$/.test(body)) {
+            const params = new URLSearchParams(body);
+            for (const field of SECRET_FIELDS) {
+                if (params.has(field)) params.set(field, 'REDACTED');
+            }
+            return params.toString();
+        }
+        return body;
+    }
+
+    fixturePath(method, url, body) {
+        const canonical = FixtureTransport.canonicalUrl(url);
+        const hash = crypto.createHash('sha1')
+            .update(`${method} ${canonical}\n${FixtureTransport.redactBody(body) || ''}`)
+            .digest('hex')
+            .slice(0, 16);
+        return path.join(this.directory, new URL(url).hostname, `${hash}.json`);
+    }
+
+    async send(url, options) {
+        const method = options.method || 'GET';
+        const file = this.fixturePath(method, url, options.body);
+        const exists = fs.existsSync(file);
+
+        if (this.mode === 'replay' || (this.mode === 'auto' && exists)) {
+            if (!exists) {
+                throw new Error(`No fixture for ${method} ${FixtureTransport.canonicalUrl(url)} (expected ${file})`);
+            }
+            const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { ...fixture.response, url };
+        }
+
+        const response = await this.transport.send(url, options);
+        this.write(file, method, url, options.body, response);
+        return response;
+    }
+
+    write(file, method, url, body, response) {
+        const headers = {};
+        for (const name of RECORDED_HEADERS) {
+            if (response.headers[name] !== undefined) headers[name] = response.headers[name];
+        }
+
+        const fixture = {
+            request: {
+                method,
+                url: FixtureTransport.canonicalUrl(url),
+                body: FixtureTransport.redactBody(body)
+            },
+            response: {
+                statusCode: response.statusCode,
+                headers,
+                body: FixtureTransport.redactBody(response.body)
+            }
+        };
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    }
+}
+
+module.exports = FixtureTransport;
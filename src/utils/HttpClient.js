@@ -0,0 +1,291 @@
+/**
+ * HTTP client shared by all fetchers
+ *
+ * Wraps Node's http/https modules with per-host rate limiting, retries with
+ * exponential backoff on 429/5xx (honoring Retry-After), redirect following
+ * and status-code checks, so callers never parse an error page as data.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const PACKAGE_VERSION = require('../../package.json').version;
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const REDIRECT_STATUS = new Set([301, 302, 303, 307, 308]);
+
+// Minimum interval between two requests to the same host (ms)
+const DEFAULT_RATE_LIMITS = {
+    'arxiv.org': 3000,
+    'export.arxiv.org': 3000,
+    'api.crossref.org': 100,
+    'pub.orcid.org': 100,
+    'orcid.org': 100
+};
+
+class HttpError extends Error {
+    constructor(message, statusCode, url, body = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.url = url;
+        this.body = body;
+    }
+}
+
+/**
+ * Default transport: performs real requests with Node's http/https modules
+ */
+class NodeTransport {
+    send(url, { method, headers, body, timeout }) {
+        return new Promise((resolve, reject) => {
+            const target = new URL(url);
+            const transport = target.protocol === 'https:' ? https : http;
+            const requestHeaders = { ...headers };
+            if (body !== undefined) {
+                requestHeaders['Content-Length'] = Buffer.byteLength(body);
+            }
+
+            const req = transport.request(target, { method, headers: requestHeaders }, (res) => {
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => {
+                    resolve({
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        body: Buffer.concat(chunks).toString('utf8'),
+                        url
+                    });
+                });
+                res.on('error', reject);
+            });
+
+            req.setTimeout(timeout, () => {
+                req.destroy(new Error(`Request timed out after ${timeout}ms: ${url}`));
+            });
+            req.on('error', reject);
+
+            if (body !== undefined) {
+                req.write(body);
+            }
+            req.end();
+        });
+    }
+}
+
+class HttpClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.userAgent - User-Agent header sent with every request
+     * @param {string} options.mailto - Contact address for polite API pools (CrossRef)
+     * @param {number} options.timeout - Socket timeout per attempt in ms (default: 30000)
+     * @param {number} options.retries - Retries after the first attempt (default: 3)
+     * @param {number} options.backoff - Base backoff delay in ms (default: 1000)
+     * @param {number} options.maxBackoff - Upper bound for any single wait in ms (default: 60000)
+     * @param {number} options.maxRedirects - Redirects to follow before failing (default: 5)
+     * @param {Object} options.rateLimits - Map of hostname to minimum interval in ms
+     * @param {Object} options.transport - Object with send(url, { method, headers, body, timeout })
+     *                                     resolving to { statusCode, headers, body, url } (default: NodeTransport)
+     */
+    constructor(options = {}) {
+        this.mailto = options.mailto !== undefined ? options.mailto : (process.env.QUDYMA_CONTACT_EMAIL || null);
+        this.userAgent = options.userAgent || this.buildUserAgent(this.mailto);
+        this.timeout = options.timeout !== undefined ? options.timeout : 30000;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.backoff = options.backoff !== undefined ? options.backoff : 1000;
+        this.maxBackoff = options.maxBackoff !== undefined ? options.maxBackoff : 60000;
+        this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+        this.rateLimits = { ...DEFAULT_RATE_LIMITS, ...(options.rateLimits || {}) };
+        this.transport = options.transport || new NodeTransport();
+
+        // Earliest time (ms since epoch) the next request to each host may start
+        this.nextSlot = {};
+    }
+
+    buildUserAgent(mailto) {
+        const contact = mailto ? `; mailto:${mailto}` : '';
+        return `qudyma-publications/${PACKAGE_VERSION} (https://github.com/qudyma/qudyma_db${contact})`;
+    }
+
+    setRateLimit(hostname, intervalMs) {
+        this.rateLimits[hostname] = intervalMs;
+    }
+
+    /**
+     * Performs a request and returns { statusCode, headers, body, url }
+     * Throws HttpError for non-2xx responses once retries are exhausted
+     */
+    async request(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const retries = options.retries !== undefined ? options.retries : this.retries;
+        let currentUrl = url;
+        let currentMethod = method;
+        let body = options.body;
+        let redirects = 0;
+        let attempt = 0;
+
+        while (true) {
+            let response;
+            try {
+                await this.waitForSlot(currentUrl);
+                response = await this.send(currentUrl, {
+                    method: currentMethod,
+                    headers: options.headers,
+                    body,
+                    timeout: options.timeout !== undefined ? options.timeout : this.timeout
+                });
+            } catch (error) {
+                // Network errors and timeouts are retried like 5xx responses
+                if (attempt < retries) {
+                    await this.sleep(this.backoffDelay(attempt));
+                    attempt++;
+                    continue;
+                }
+                throw error;
+            }
+
+            if (REDIRECT_STATUS.has(response.statusCode) && response.headers.location) {
+                if (redirects >= this.maxRedirects) {
+                    throw new HttpError(`Too many redirects for ${url}`, response.statusCode, url);
+                }
+                currentUrl = new URL(response.headers.location, currentUrl).toString();
+                if (response.statusCode === 303 || ((response.statusCode === 301 || response.statusCode === 302) && currentMethod === 'POST')) {
+                    currentMethod = 'GET';
+                    body = undefined;
+                }
+                redirects++;
+                continue;
+            }
+
+            if (RETRYABLE_STATUS.has(response.statusCode) && attempt < retries) {
+                const retryAfter = this.parseRetryAfter(response.headers['retry-after']);
+                await this.sleep(retryAfter !== null ? retryAfter : this.backoffDelay(attempt));
+                attempt++;
+                continue;
+            }
+
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                throw new HttpError(
+                    `HTTP ${response.statusCode} for ${currentUrl}`,
+                    response.statusCode,
+                    currentUrl,
+                    response.body
+                );
+            }
+
+            return response;
+        }
+    }
+
+    async getText(url, options = {}) {
+        const response = await this.request(url, options);
+        return response.body;
+    }
+
+    async getJSON(url, options = {}) {
+        const headers = { 'Accept': 'application/json', ...(options.headers || {}) };
+        const response = await this.request(url, { ...options, headers });
+        return HttpClient.parseJSON(response);
+    }
+
+    async postForm(url, fields, options = {}) {
+        const body = new URLSearchParams(fields).toString();
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json',
+            ...(options.headers || {})
+        };
+        const response = await this.request(url, { ...options, method: 'POST', headers, body });
+        return HttpClient.parseJSON(response);
+    }
+
+    static parseJSON(response) {
+        try {
+            return JSON.parse(response.body);
+        } catch (error) {
+            throw new Error(`Invalid JSON from ${response.url} (HTTP ${response.statusCode}): ${error.message}`);
+        }
+    }
+
+    send(url, { method, headers, body, timeout }) {
+        /**
+         * Single HTTP exchange without retries or redirects, via the transport
+         */
+        const requestHeaders = {
+            'User-Agent': this.userAgent,
+            'Accept-Encoding': 'identity',
+            ...(headers || {})
+        };
+        return this.transport.send(url, { method, headers: requestHeaders, body, timeout });
+    }
+
+    async waitForSlot(url) {
+        /**
+         * Reserves the next free slot for the URL's host and waits for it
+         */
+        const hostname = new URL(url).hostname;
+        const interval = this.rateLimits[hostname] || 0;
+        if (interval <= 0) return;
+
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot[hostname] || 0);
+        this.nextSlot[hostname] = slot + interval;
+
+        if (slot > now) {
+            await this.sleep(slot - now);
+        }
+    }
+
+    backoffDelay(attempt) {
+        return Math.min(this.backoff * Math.pow(2, attempt), this.maxBackoff);
+    }
+
+    parseRetryAfter(value) {
+        /**
+         * Retry-After is either a number of seconds or an HTTP date
+         */
+        if (!value) return null;
+
+        let delay;
+        if (/^\d+$/.test(value.trim())) {
+            delay = parseInt(value, 10) * 1000;
+        } else {
+            const date = Date.parse(value);
+            if (isNaN(date)) return null;
+            delay = Math.max(0, date - Date.now());
+        }
+        return Math.min(delay, this.maxBackoff);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+let defaultClient = null;
+
+/**
+ * Process-wide client, so rate limits hold across fetchers
+ * QUDYMA_HTTP_FIXTURES (directory) and QUDYMA_HTTP_MODE (record|replay|auto)
+ * switch it to a FixtureTransport for recording or replaying responses
+ */
+HttpClient.getDefault = function () {
+    if (!defaultClient) {
+        const options = {};
+        if (process.env.QUDYMA_HTTP_FIXTURES) {
+            const FixtureTransport = require('./FixtureTransport');
+            options.transport = new FixtureTransport(process.env.QUDYMA_HTTP_FIXTURES, {
+                mode: process.env.QUDYMA_HTTP_MODE || 'replay',
+                transport: new NodeTransport()
+            });
+        }
+        defaultClient = new HttpClient(options);
+    }
+    return defaultClient;
+};
+
+HttpClient.HttpError = HttpError;
+HttpClient.NodeTransport = NodeTransport;
+
+module.exports = HttpClient;
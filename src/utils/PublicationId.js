@@ -0,0 +1,51 @@
+/**
+ * Canonical publication identifiers
+ *
+ * Output IDs must not depend on which source won the merge or on the arXiv
+ * version, since the website uses them for anchors and bookmarks:
+ * - arxiv:<versionless ID>   e.g. arxiv:2510.20892, arxiv:cond-mat/0601234
+ * - doi:<normalized DOI>     e.g. doi:10.1103/physrevb.1.1
+ * - title:<hash>             hash of the TitleUtils key, for works with neither
+ * The arXiv ID comes first: preprints usually gain a DOI later, not the reverse.
+ */
+
+const crypto = require('crypto');
+const ArxivId = require('./ArxivId');
+const TitleUtils = require('./TitleUtils');
+
+const HASH_LENGTH = 16;
+
+class PublicationId {
+    static normalizeDoi(doi) {
+        if (!doi) return null;
+        const normalized = String(doi).trim()
+            .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+            .replace(/^doi:\s*/i, '')
+            .toLowerCase();
+        return normalized || null;
+    }
+
+    static titleHash(title) {
+        const key = TitleUtils.titleKey(title);
+        if (!key) return null;
+        return crypto.createHash('sha1').update(key).digest('hex').slice(0, HASH_LENGTH);
+    }
+
+    /**
+     * Canonical ID of an entry (from its arXiv ID, DOI or title, in that order)
+     * @param {Object} entry - Publication entry with id, doi and title
+     * @returns {string|null} null if the entry has none of them
+     */
+    static canonical(entry) {
+        const arxivId = ArxivId.normalize(entry.id) || ArxivId.normalize(entry.arxiv_url);
+        if (arxivId) return `arxiv:${arxivId}`;
+
+        const doi = PublicationId.normalizeDoi(entry.doi);
+        if (doi) return `doi:${doi}`;
+
+        const hash = PublicationId.titleHash(entry.title);
+        return hash ? `title:${hash}` : null;
+    }
+}
+
+module.exports = PublicationId;
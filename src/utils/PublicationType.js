@@ -0,0 +1,121 @@
+/**
+ * Publication type classification
+ *
+ * Maps the type vocabularies of the sources onto one list:
+ * journal-article, preprint, book, book-chapter, conference-paper, thesis,
+ * erratum, dataset. Every mapper returns null for types it cannot place.
+ */
+
+const TYPES = [
+    'journal-article', 'preprint', 'book', 'book-chapter',
+    'conference-paper', 'thesis', 'erratum', 'dataset'
+];
+
+// https://api.crossref.org/types
+const CROSSREF_TYPES = {
+    'journal-article': 'journal-article',
+    'posted-content': 'preprint',
+    'book': 'book',
+    'monograph': 'book',
+    'edited-book': 'book',
+    'reference-book': 'book',
+    'book-set': 'book',
+    'book-chapter': 'book-chapter',
+    'book-section': 'book-chapter',
+    'book-part': 'book-chapter',
+    'reference-entry': 'book-chapter',
+    'proceedings-article': 'conference-paper',
+    'dissertation': 'thesis',
+    'dataset': 'dataset'
+};
+
+// ORCID v3.0 work types (upper-case underscore variants are accepted too)
+const ORCID_TYPES = {
+    'journal-article': 'journal-article',
+    'preprint': 'preprint',
+    'working-paper': 'preprint',
+    'book': 'book',
+    'edited-book': 'book',
+    'book-chapter': 'book-chapter',
+    'conference-paper': 'conference-paper',
+    'conference-abstract': 'conference-paper',
+    'conference-poster': 'conference-paper',
+    'dissertation': 'thesis',
+    'dissertation-thesis': 'thesis',
+    'supervised-student-publication': 'thesis',
+    'data-set': 'dataset'
+};
+
+const BIBTEX_TYPES = {
+    'article': 'journal-article',
+    'unpublished': 'preprint',
+    'book': 'book',
+    'inbook': 'book-chapter',
+    'incollection': 'book-chapter',
+    'inproceedings': 'conference-paper',
+    'conference': 'conference-paper',
+    'phdthesis': 'thesis',
+    'mastersthesis': 'thesis',
+    'thesis': 'thesis',
+    'dataset': 'dataset'
+};
+
+const RIS_TYPES = {
+    'JOUR': 'journal-article',
+    'JFULL': 'journal-article',
+    'EJOUR': 'journal-article',
+    'INPR': 'journal-article',
+    'UNPB': 'preprint',
+    'BOOK': 'book',
+    'EBOOK': 'book',
+    'EDBOOK': 'book',
+    'CHAP': 'book-chapter',
+    'ECHAP': 'book-chapter',
+    'CONF': 'conference-paper',
+    'CPAPER': 'conference-paper',
+    'THES': 'thesis',
+    'DATA': 'dataset'
+};
+
+// Checked in order against arXiv comments ("PhD thesis, 120 pages", "Erratum to ...")
+const ARXIV_COMMENT_PATTERNS = [
+    [/\b(ph\.?\s?d\.?|master'?s|bachelor'?s|doctoral|diploma|habilitation)\s+thesis\b|\bdissertation\b/i, 'thesis'],
+    [/\b(erratum|corrigendum)\b/i, 'erratum'],
+    [/\bbook chapter\b|\bchapter (in|of|for)\b/i, 'book-chapter'],
+    [/\b(proceedings|conference|workshop|symposium)\b/i, 'conference-paper']
+];
+
+class PublicationType {
+    static isValid(type) {
+        return TYPES.includes(type);
+    }
+
+    static fromCrossref(type) {
+        return type ? CROSSREF_TYPES[String(type).toLowerCase()] || null : null;
+    }
+
+    static fromOrcid(type) {
+        if (!type) return null;
+        return ORCID_TYPES[String(type).toLowerCase().replace(/_/g, '-')] || null;
+    }
+
+    static fromBibtex(entryType) {
+        return entryType ? BIBTEX_TYPES[String(entryType).toLowerCase()] || null : null;
+    }
+
+    static fromRis(type) {
+        return type ? RIS_TYPES[String(type).toUpperCase()] || null : null;
+    }
+
+    static fromArxivComment(comment) {
+        if (!comment) return null;
+        for (const [pattern, type] of ARXIV_COMMENT_PATTERNS) {
+            if (pattern.test(comment)) return type;
+        }
+        return null;
+    }
+}
+
+PublicationType.TYPES = TYPES;
+
+module.exports = PublicationType;
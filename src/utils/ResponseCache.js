@@ -0,0 +1,255 @@
+/**
+ * Persistent on-disk cache for API lookups
+ *
+ * Entries are grouped per source (one JSON file per source in the cache
+ * directory) and keyed by DOI, arXiv ID or query. Negative results (nothing
+ * found) are cached too, with their own, shorter TTL. In offline mode the
+ * cache answers from disk only and misses resolve to null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    directory: 'cache',
+    ttl_days: {
+        arxiv: 7,
+        crossref: 30
+    },
+    default_ttl_days: 7,
+    negative_ttl_days: 2,
+    autosave_every: 25
+};
+
+class ResponseCache {
+    /**
+     * @param {string} directory - Directory holding the per-source cache files
+     * @param {Object} options
+     * @param {Object} options.ttl_days - Map of source to TTL in days
+     * @param {number} options.default_ttl_days - TTL for sources not listed in ttl_days
+     * @param {number} options.negative_ttl_days - TTL for cached "not found" results
+     * @param {number} options.autosave_every - Write to disk after this many new entries
+     * @param {boolean} options.offline - Serve only from cache, never call fetch functions
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.ttlDays = { ...DEFAULT_CONFIG.ttl_days, ...(options.ttl_days || {}) };
+        this.defaultTtlDays = options.default_ttl_days !== undefined ? options.default_ttl_days : DEFAULT_CONFIG.default_ttl_days;
+        this.negativeTtlDays = options.negative_ttl_days !== undefined ? options.negative_ttl_days : DEFAULT_CONFIG.negative_ttl_days;
+        this.autosaveEvery = options.autosave_every || DEFAULT_CONFIG.autosave_every;
+        this.offline = !!options.offline;
+
+        this.stores = {};
+        this.dirty = new Set();
+        this.pendingWrites = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Builds a cache from config/cache.json (optional) rooted in the data directory
+     */
+    static fromConfig(configPath, dataPath, overrides = {}) {
+        let config = {};
+        const configFile = path.join(configPath, 'cache.json');
+        if (fs.existsSync(configFile)) {
+            config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        }
+
+        const directory = config.directory || DEFAULT_CONFIG.directory;
+        const cacheDir = path.isAbsolute(directory) ? directory : path.join(dataPath, directory);
+        return new ResponseCache(cacheDir, { ...config, ...overrides });
+    }
+
+    filePath(source) {
+        return path.join(this.directory, `${source}.json`);
+    }
+
+    load(source) {
+        if (this.stores[source]) return this.stores[source];
+
+        let store = {};
+        const file = this.filePath(source);
+        if (fs.existsSync(file)) {
+            try {
+                store = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (err) {
+                console.log(`    Warning: ignoring unreadable cache file ${file}`);
+                store = {};
+            }
+        }
+        this.stores[source] = store;
+        return store;
+    }
+
+    ttlFor(source, record) {
+        const days = record.negative
+            ? this.negativeTtlDays
+            : (this.ttlDays[source] !== undefined ? this.ttlDays[source] : this.defaultTtlDays);
+        return days * DAY_MS;
+    }
+
+    isExpired(source, record, now = Date.now()) {
+        return now - Date.parse(record.stored_at) > this.ttlFor(source, record);
+    }
+
+    /**
+     * Returns { hit: true, value } for a fresh entry, { hit: false } otherwise
+     * In offline mode expired entries are still served
+     */
+    get(source, key) {
+        const record = this.load(source)[key];
+        if (!record) return { hit: false };
+        if (!this.offline && this.isExpired(source, record)) return { hit: false };
+        return { hit: true, value: record.value };
+    }
+
+    set(source, key, value) {
+        const store = this.load(source);
+        const negative = value === null || value === undefined;
+        store[key] = {
+            stored_at: new Date().toISOString(),
+            negative,
+            value: negative ? null : value
+        };
+        this.dirty.add(source);
+
+        this.pendingWrites++;
+        if (this.pendingWrites >= this.autosaveEvery) {
+            this.save();
+        }
+    }
+
+    /**
+     * Returns the cached value for key, or calls fetchFn and caches its result
+     * A null/undefined result is cached as negative; thrown errors are not cached
+     */
+    async wrap(source, key, fetchFn) {
+        const cached = this.get(source, key);
+        if (cached.hit) {
+            this.hits++;
+            return cached.value;
+        }
+
+        this.misses++;
+        if (this.offline) return null;
+
+        const value = await fetchFn();
+        this.set(source, key, value);
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Batch counterpart of wrap(): resolves many keys at once
+     * fetchMissing(missingKeys) is called once with all uncached keys and must
+     * resolve to a Map of key to value; keys it leaves out are cached as negative
+     * @returns {Map} key to value (null when nothing was found)
+     */
+    async wrapMany(source, keys, fetchMissing) {
+        const results = new Map();
+        const missing = [];
+
+        for (const key of keys) {
+            const cached = this.get(source, key);
+            if (cached.hit) {
+                this.hits++;
+                results.set(key, cached.value);
+            } else {
+                this.misses++;
+                missing.push(key);
+            }
+        }
+
+        if (missing.length === 0 || this.offline) {
+            for (const key of missing) results.set(key, null);
+            return results;
+        }
+
+        const fetched = await fetchMissing(missing);
+        for (const key of missing) {
+            const value = fetched.has(key) ? fetched.get(key) : null;
+            this.set(source, key, value);
+            results.set(key, value === undefined ? null : value);
+        }
+        return results;
+    }
+
+    save() {
+        if (this.dirty.size === 0) return;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        for (const source of this.dirty) {
+            fs.writeFileSync(this.filePath(source), JSON.stringify(this.stores[source]));
+        }
+        this.dirty.clear();
+        this.pendingWrites = 0;
+    }
+
+    listSources() {
+        if (!fs.existsSync(this.directory)) return [];
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .sort();
+    }
+
+    /**
+     * Returns per-source counts: { source: { entries, negative, expired, bytes } }
+     */
+    stats() {
+        const now = Date.now();
+        const result = {};
+        for (const source of this.listSources()) {
+            const store = this.load(source);
+            const records = Object.values(store);
+            result[source] = {
+                entries: records.length,
+                negative: records.filter(r => r.negative).length,
+                expired: records.filter(r => this.isExpired(source, r, now)).length,
+                bytes: fs.statSync(this.filePath(source)).size
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Removes cache entries
+     * @param {string|null} source - Only purge this source (default: all)
+     * @param {Object} options
+     * @param {boolean} options.expiredOnly - Keep entries that are still fresh
+     * @returns {number} Number of removed entries
+     */
+    purge(source = null, options = {}) {
+        const sources = source ? [source] : this.listSources();
+        const now = Date.now();
+        let removed = 0;
+
+        for (const name of sources) {
+            if (!options.expiredOnly) {
+                removed += Object.keys(this.load(name)).length;
+                this.stores[name] = {};
+                this.dirty.delete(name);
+                if (fs.existsSync(this.filePath(name))) {
+                    fs.unlinkSync(this.filePath(name));
+                }
+                continue;
+            }
+
+            const store = this.load(name);
+            for (const [key, record] of Object.entries(store)) {
+                if (this.isExpired(name, record, now)) {
+                    delete store[key];
+                    removed++;
+                    this.dirty.add(name);
+                }
+            }
+        }
+
+        this.save();
+        return removed;
+    }
+}
+
+module.exports = ResponseCache;
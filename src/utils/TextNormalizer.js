@@ -0,0 +1,442 @@
+/**
+ * TextNormalizer - Plain-text and HTML renderings of titles and abstracts
+ *
+ * arXiv titles and abstracts are LaTeX ("Bi$_2$Se$_3$", "$\mathbb{Z}_2$",
+ * "\emph{in situ}"); CrossRef abstracts are JATS XML (<jats:p>, <jats:sub>,
+ * <jats:inline-formula>). Both are parsed into one small tree of text, italic,
+ * bold, subscript, superscript, paragraph and math nodes, rendered as
+ * - text: plain Unicode for search and duplicate detection ("Bi2Se3", "ℤ2")
+ * - html: escaped HTML using only <p>, <i>, <b>, <sub> and <sup>; math that
+ *   cannot be written that way is kept as TeX, <span class="tex">\(...\)</span>,
+ *   for MathJax or KaTeX to typeset
+ */
+
+const BibTeXParser = require('../parsers/BibTeXParser');
+const XmlParser = require('../parsers/XmlParser');
+
+// LaTeX text-mode commands and font switches ({\it ...}) -> node type
+const FORMAT_COMMANDS = {
+    emph: 'i', textit: 'i', textsl: 'i', textbf: 'b', textsuperscript: 'sup', textsubscript: 'sub'
+};
+const FORMAT_SWITCHES = { it: 'i', em: 'i', sl: 'i', itshape: 'i', bf: 'b', bfseries: 'b' };
+
+// Math-mode control words that stand for a character
+const MATH_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+    eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+    xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς',
+    tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+    Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    times: '×', cdot: '·', pm: '±', mp: '∓', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠',
+    ne: '≠', approx: '≈', sim: '∼', simeq: '≃', equiv: '≡', propto: '∝', ll: '≪', gg: '≫',
+    lesssim: '≲', gtrsim: '≳', infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+    uparrow: '↑', downarrow: '↓', langle: '⟨', rangle: '⟩', in: '∈', sum: '∑', int: '∫',
+    prime: '′', circ: '∘', ldots: '…', cdots: '⋯', dots: '…', perp: '⊥', parallel: '∥',
+    otimes: '⊗', oplus: '⊕', dagger: '†', ast: '∗', star: '⋆', mid: '|', vert: '|',
+    lbrace: '{', rbrace: '}'
+};
+
+// Spacing commands (\, \; \quad), rendered as one space
+const MATH_SPACES = new Set([',', ';', ':', ' ', 'quad', 'qquad']);
+
+// Commands that only size or style what follows
+const MATH_IGNORED = new Set([
+    '!', 'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr',
+    'displaystyle', 'textstyle', 'rm', 'it', 'bf', 'limits', 'nolimits'
+]);
+
+// Commands whose argument is kept as written
+const MATH_TEXT_COMMANDS = new Set([
+    'mathrm', 'text', 'textrm', 'mathit', 'mathsf', 'mathtt', 'operatorname', 'mbox', 'textit'
+]);
+const MATH_BOLD_COMMANDS = new Set(['mathbf', 'boldsymbol', 'bm', 'textbf']);
+
+// Accents over a single character -> combining character
+const MATH_ACCENTS = {
+    hat: '\u0302', tilde: '\u0303', bar: '\u0304', overline: '\u0305', vec: '\u20d7',
+    dot: '\u0307', ddot: '\u0308'
+};
+
+// Double-struck capitals outside the Mathematical Alphanumeric Symbols block
+const DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+// JATS/HTML elements -> node type; elements not listed are transparent
+const MARKUP_ELEMENTS = {
+    italic: 'i', i: 'i', em: 'i', bold: 'b', b: 'b', strong: 'b', sub: 'sub', sup: 'sup', p: 'p'
+};
+// Elements dropped with their content ("Abstract" headings, labels)
+const MARKUP_DROPPED = new Set(['title', 'label', 'object-id']);
+const MARKUP_FORMULAS = new Set(['inline-formula', 'disp-formula', 'alternatives']);
+const MARKUP_TAG = /<\/?(?:[\w-]+:)?(?:p|i|b|em|strong|italic|bold|sub|sup|sc|title|sec|inline-formula|disp-formula|tex-math|math|br|span|a)\b[^<>]*>/i;
+// LaTeX math and escaped dollars, skipped when looking for tags ("$p<i$ and $i>p$" is not <i>)
+const LATEX_MATH = /\$\$[\s\S]*?\$\$|\\\([\s\S]*?\\\)|\\\[[\s\S]*?\\\]|\\\$|\$(?:\\.|[^$\\])*\$/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+class TextNormalizer {
+    /**
+     * Plain text and HTML renderings of a title or abstract
+     * @returns {Object} { text, html }, both null for empty input
+     */
+    static normalize(source) {
+        if (source === null || source === undefined || !String(source).trim()) {
+            return { text: null, html: null };
+        }
+        const nodes = TextNormalizer.parse(String(source));
+        return {
+            text: TextNormalizer.renderText(nodes) || null,
+            html: TextNormalizer.renderHtml(nodes) || null
+        };
+    }
+
+    static toText(source) {
+        return TextNormalizer.normalize(source).text;
+    }
+
+    static toHtml(source) {
+        return TextNormalizer.normalize(source).html;
+    }
+
+    /**
+     * Whether the text is JATS/HTML markup rather than LaTeX: a tag outside LaTeX math
+     */
+    static hasMarkup(source) {
+        return MARKUP_TAG.test(String(source || '').replace(LATEX_MATH, ' '));
+    }
+
+    /**
+     * Parses JATS/HTML markup or, if the source has none, LaTeX
+     */
+    static parse(source) {
+        return TextNormalizer.hasMarkup(source) ? TextNormalizer.parseMarkup(source) : TextNormalizer.parseLatex(source);
+    }
+
+    /**
+     * Index of the brace closing the one at `open`, or -1
+     */
+    static closingBrace(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '{') {
+                depth++;
+            } else if (text[i] === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parses LaTeX text: math ($...$, $$...$$, \(...\), \[...\]), formatting
+     * commands (\emph{...}, {\it ...}); the rest is decoded by BibTeXParser.decodeText.
+     * Other commands with a braced argument (\mathbb{Z} outside math) are read as
+     * math, so they do not lose their braces and become "\mathbbZ"
+     */
+    static parseLatex(source) {
+        const math = /\$\$([\s\S]+?)\$\$|\$((?:\\.|[^$\\])+)\$|\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/y;
+        const command = /\\([A-Za-z]+)\s*\{/y;
+        const fontSwitch = /\{\s*\\([A-Za-z]+)(?![A-Za-z])\s*/y;
+        const nodes = [];
+        let plain = '';
+        const flush = () => {
+            if (plain) nodes.push({ type: 'text', value: BibTeXParser.decodeText(plain) });
+            plain = '';
+        };
+
+        let i = 0;
+        while (i < source.length) {
+            const char = source[i];
+            let match;
+
+            if (char === '$' || (char === '\\' && /[([]/.test(source[i + 1]))) {
+                math.lastIndex = i;
+                if ((match = math.exec(source))) {
+                    flush();
+                    nodes.push(TextNormalizer.math(match[1] || match[2] || match[3] || match[4]));
+                    i = math.lastIndex;
+                    continue;
+                }
+            } else if (char === '\\') {
+                command.lastIndex = i;
+                match = command.exec(source);
+                const type = match && FORMAT_COMMANDS[match[1]];
+                const close = type ? TextNormalizer.closingBrace(source, command.lastIndex - 1) : -1;
+                if (close !== -1) {
+                    flush();
+                    nodes.push({ type, children: TextNormalizer.parseLatex(source.slice(command.lastIndex, close)) });
+                    i = close + 1;
+                    continue;
+                }
+                const end = match && !type && !BibTeXParser.decodesCommand(match[1])
+                    ? TextNormalizer.closingBrace(source, command.lastIndex - 1)
+                    : -1;
+                if (end !== -1) {
+                    flush();
+                    nodes.push(TextNormalizer.math(source.slice(i, end + 1)));
+                    i = end + 1;
+                    continue;
+                }
+                // Escaped character (\$, \&, \\) or another command: leave it to decodeText
+                plain += source.slice(i, i + 2);
+                i += 2;
+                continue;
+            } else if (char === '{') {
+                fontSwitch.lastIndex = i;
+                match = fontSwitch.exec(source);
+                const type = match && FORMAT_SWITCHES[match[1]];
+                const close = type ? TextNormalizer.closingBrace(source, i) : -1;
+                if (close !== -1) {
+                    flush();
+                    nodes.push({ type, children: TextNormalizer.parseLatex(source.slice(fontSwitch.lastIndex, close)) });
+                    i = close + 1;
+                    continue;
+                }
+            }
+            plain += char;
+            i++;
+        }
+        flush();
+        return nodes;
+    }
+
+    /**
+     * Math node for a TeX formula; `renderable` is false when the formula uses
+     * something HTML cannot show (the text rendering then keeps what it can)
+     */
+    static math(tex) {
+        const state = { renderable: true };
+        const children = TextNormalizer.parseMath(tex, state);
+        return { type: 'math', tex: tex.trim(), renderable: state.renderable, children };
+    }
+
+    static parseMath(tex, state) {
+        const nodes = [];
+        const push = value => nodes.push({ type: 'text', value });
+        let i = 0;
+
+        // Next argument: a braced group, a control sequence or one character
+        const argument = () => {
+            while (/\s/.test(tex[i] || '')) i++;
+            if (tex[i] === '{') {
+                const close = TextNormalizer.closingBrace(tex, i);
+                const end = close === -1 ? tex.length : close;
+                const inner = tex.slice(i + 1, end);
+                i = end + 1;
+                return inner;
+            }
+            if (tex[i] === '\\') {
+                const control = tex.slice(i).match(/^\\([A-Za-z]+|.?)/)[0];
+                i += control.length;
+                return control;
+            }
+            return tex[i++] || '';
+        };
+        const parse = text => TextNormalizer.parseMath(text, state);
+        // Multi-character numerators, denominators and radicands get parentheses
+        const group = children => {
+            const text = TextNormalizer.renderText(children);
+            return text.length > 1 && !/^\(.*\)$/.test(text)
+                ? [{ type: 'text', value: '(' }, ...children, { type: 'text', value: ')' }]
+                : children;
+        };
+
+        while (i < tex.length) {
+            const char = tex[i];
+            if (char === '_' || char === '^') {
+                i++;
+                const children = parse(argument());
+                if (char === '^' && TextNormalizer.renderText(children) === '∘') {
+                    push('°');
+                } else {
+                    nodes.push({ type: char === '_' ? 'sub' : 'sup', children });
+                }
+            } else if (char === '{') {
+                nodes.push(...parse(argument()));
+            } else if (char === '}') {
+                i++;
+            } else if (char === '~') {
+                push(' ');
+                i++;
+            } else if (char === "'") {
+                push('′');
+                i++;
+            } else if (char !== '\\') {
+                push(char);
+                i++;
+            } else {
+                const control = argument();
+                const name = control.slice(1);
+                if (MATH_SYMBOLS[name]) {
+                    push(MATH_SYMBOLS[name]);
+                } else if (MATH_SPACES.has(name)) {
+                    push(' ');
+                } else if (MATH_IGNORED.has(name)) {
+                    if (/^(left|right)$/.test(name) && tex[i] === '.') i++;
+                } else if (MATH_TEXT_COMMANDS.has(name)) {
+                    nodes.push(...parse(argument()));
+                } else if (MATH_BOLD_COMMANDS.has(name)) {
+                    nodes.push({ type: 'b', children: parse(argument()) });
+                } else if (name === 'mathbb') {
+                    const letters = argument();
+                    if (/^[A-Za-z0-9]*$/.test(letters)) {
+                        push([...letters].map(letter => TextNormalizer.doubleStruck(letter)).join(''));
+                    } else {
+                        state.renderable = false;
+                        nodes.push(...parse(letters));
+                    }
+                } else if (/^[dt]?frac$/.test(name)) {
+                    const numerator = parse(argument());
+                    const denominator = parse(argument());
+                    nodes.push(...group(numerator), { type: 'text', value: '/' }, ...group(denominator));
+                } else if (name === 'sqrt') {
+                    if (tex[i] === '[') {
+                        state.renderable = false;
+                        const close = tex.indexOf(']', i);
+                        i = close === -1 ? tex.length : close + 1;
+                    }
+                    push('√');
+                    nodes.push(...group(parse(argument())));
+                } else if (MATH_ACCENTS[name]) {
+                    const children = parse(argument());
+                    const text = TextNormalizer.renderText(children);
+                    if ([...text].length === 1 && children.every(node => node.type === 'text')) {
+                        push(text + MATH_ACCENTS[name]);
+                    } else {
+                        state.renderable = false;
+                        nodes.push(...children);
+                    }
+                } else if (/^[^A-Za-z]$/.test(name)) {
+                    // Escaped character: \{ \% \$ \|
+                    push(name === '|' ? '‖' : name);
+                } else {
+                    state.renderable = false;
+                }
+            }
+        }
+        return nodes;
+    }
+
+    static doubleStruck(char) {
+        if (DOUBLE_STRUCK[char]) return DOUBLE_STRUCK[char];
+        if (/[A-Z]/.test(char)) return String.fromCodePoint(0x1d538 + char.charCodeAt(0) - 65);
+        if (/[a-z]/.test(char)) return String.fromCodePoint(0x1d552 + char.charCodeAt(0) - 97);
+        return String.fromCodePoint(0x1d7d8 + char.charCodeAt(0) - 48);
+    }
+
+    /**
+     * TeX of a JATS <tex-math> element, without the document wrapper and math delimiters
+     */
+    static texMath(text) {
+        const body = (text.match(/\\begin\{document\}([\s\S]*)\\end\{document\}/) || [null, text])[1].trim();
+        const delimited = body.match(/^\$\$?([\s\S]*?)\$?\$$|^\\\(([\s\S]*)\\\)$|^\\\[([\s\S]*)\\\]$/);
+        return delimited ? (delimited[1] || delimited[2] || delimited[3] || '') : body;
+    }
+
+    /**
+     * Parses JATS or HTML markup; formulas with a <tex-math> alternative use it,
+     * MathML is reduced to its text. Malformed markup falls back to its text.
+     */
+    static parseMarkup(source) {
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        let dropped = 0;
+        let tex = null;
+
+        const parser = new XmlParser({
+            onOpenTag(name, attributes, selfClosing) {
+                const local = name.replace(/^[\w-]+:/, '').toLowerCase();
+                if (dropped || MARKUP_DROPPED.has(local)) {
+                    if (!selfClosing) dropped++;
+                } else if (local === 'br') {
+                    stack[stack.length - 1].children.push({ type: 'text', value: ' ' });
+                } else if (local === 'tex-math') {
+                    tex = '';
+                } else if (!selfClosing && (MARKUP_ELEMENTS[local] || MARKUP_FORMULAS.has(local))) {
+                    const node = { type: MARKUP_ELEMENTS[local] || 'formula', children: [] };
+                    stack[stack.length - 1].children.push(node);
+                    stack.push(node);
+                }
+            },
+            onCloseTag(name) {
+                const local = name.replace(/^[\w-]+:/, '').toLowerCase();
+                if (dropped) {
+                    dropped--;
+                } else if (local === 'tex-math') {
+                    stack[stack.length - 1].children.push(TextNormalizer.math(TextNormalizer.texMath(tex || '')));
+                    tex = null;
+                } else if (MARKUP_ELEMENTS[local] || MARKUP_FORMULAS.has(local)) {
+                    if (stack.length > 1) stack.pop();
+                }
+            },
+            onText(text) {
+                if (dropped) return;
+                if (tex !== null) {
+                    tex += text;
+                } else {
+                    stack[stack.length - 1].children.push({ type: 'text', value: text });
+                }
+            }
+        });
+
+        try {
+            parser.write(source).end();
+        } catch (err) {
+            return [{ type: 'text', value: XmlParser.decodeEntities(source.replace(/<[^>]*>/g, ' ')) }];
+        }
+        return TextNormalizer.flattenFormulas(root.children);
+    }
+
+    /**
+     * Replaces formula wrappers by their TeX alternative if they have one,
+     * otherwise by their content (MathML text)
+     */
+    static flattenFormulas(nodes) {
+        return nodes.flatMap(node => {
+            if (!node.children || node.type === 'math') return [node];
+            const children = TextNormalizer.flattenFormulas(node.children);
+            if (node.type !== 'formula') return [{ ...node, children }];
+            const tex = children.filter(child => child.type === 'math');
+            return tex.length > 0 ? tex : children;
+        });
+    }
+
+    static renderText(nodes) {
+        const render = list => list.map(node => {
+            if (node.type === 'text') return node.value;
+            if (node.type === 'p') return ` ${render(node.children)} `;
+            return render(node.children);
+        }).join('');
+        return render(nodes).replace(/\s+/g, ' ').trim().normalize('NFC');
+    }
+
+    static escapeHtml(text) {
+        return text.replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+    }
+
+    static renderHtml(nodes) {
+        const render = list => list.map(node => {
+            if (node.type === 'text') return TextNormalizer.escapeHtml(node.value);
+            if (node.type === 'math') {
+                return node.renderable
+                    ? render(node.children)
+                    : `<span class="tex">\\(${TextNormalizer.escapeHtml(node.tex)}\\)</span>`;
+            }
+            return `<${node.type}>${render(node.children)}</${node.type}>`;
+        }).join('');
+
+        let html = render(nodes).replace(/\s+/g, ' ');
+        // Empty elements left by dropped content, then spaces around paragraphs
+        let previous;
+        do {
+            previous = html;
+            html = html.replace(/<(p|i|b|sub|sup)>\s*<\/\1>/g, '');
+        } while (html !== previous);
+        return html.replace(/\s*(<\/?p>)\s*/g, '$1').trim().normalize('NFC');
+    }
+}
+
+module.exports = TextNormalizer;
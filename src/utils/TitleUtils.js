@@ -0,0 +1,98 @@
+/**
+ * Title normalization utilities
+ *
+ * Builds comparison keys that survive the usual differences between sources:
+ * case, punctuation, accents, LaTeX markup ($\pi$ vs π), JATS/HTML tags
+ * (<i>in situ</i>), Greek letters, dashes and British vs American spelling.
+ */
+
+const TextNormalizer = require('./TextNormalizer');
+
+const GREEK_LETTERS = {
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ϵ': 'epsilon',
+    'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'ϑ': 'theta', 'ι': 'iota', 'κ': 'kappa',
+    'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'ο': 'omicron', 'π': 'pi', 'ϖ': 'pi',
+    'ρ': 'rho', 'ϱ': 'rho', 'σ': 'sigma', 'ς': 'sigma', 'τ': 'tau', 'υ': 'upsilon',
+    'φ': 'phi', 'ϕ': 'phi', 'χ': 'chi', 'ψ': 'psi', 'ω': 'omega'
+};
+
+const LATEX_LETTER_NAMES = new Set([
+    'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta',
+    'vartheta', 'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'omicron', 'pi', 'varpi',
+    'rho', 'varrho', 'sigma', 'varsigma', 'tau', 'upsilon', 'phi', 'varphi', 'chi', 'psi', 'omega'
+]);
+
+// Applied to whole words, in order; the first matching rule wins
+const SPELLING_RULES = [
+    [/^aluminium$/, 'aluminum'],
+    [/^(.{2,})isation(s?)$/, '$1ization$2'],
+    [/^(.{2,})is(e|ed|es|ing)$/, '$1iz$2'],
+    [/^(.{2,})ys(e|ed|es|ing)$/, '$1yz$2'],
+    [/^(.{3,})our(s?)$/, '$1or$2'],
+    [/^(.{2,})tre(s?)$/, '$1ter$2'],
+    [/^(.{3,})ogue(s?)$/, '$1og$2']
+];
+
+class TitleUtils {
+    /**
+     * Replaces LaTeX markup with plain text: Greek letter macros become their
+     * names, other commands, braces and math delimiters are dropped
+     */
+    static stripLatex(text) {
+        return text
+            .replace(/\\(['"^`~=.])\s*\{?([a-zA-Z])\}?/g, '$2')
+            .replace(/\\([uvHckr])\{([a-zA-Z])\}/g, '$2')
+            .replace(/\\([a-zA-Z]+)/g, (match, name) => {
+                const lower = name.toLowerCase();
+                if (LATEX_LETTER_NAMES.has(lower)) return ` ${lower.replace(/^var/, '')} `;
+                return ' ';
+            })
+            .replace(/\\./g, '')
+            .replace(/[{}$^_]/g, '');
+    }
+
+    static americanize(word) {
+        if (word.length <= 4) return word;
+        for (const [pattern, replacement] of SPELLING_RULES) {
+            if (pattern.test(word)) return word.replace(pattern, replacement);
+        }
+        return word;
+    }
+
+    /**
+     * Normalized comparison key for a title
+     * e.g. "Majorana–Kitaev chains in $\pi$-junctions." and
+     *      "Majorana-Kitaev Chains in π junctions" give the same key
+     */
+    static titleKey(title) {
+        if (!title) return '';
+
+        // Tagged titles (CrossRef, ORCID) are reduced to their text; LaTeX is handled below
+        let text = String(title);
+        if (TextNormalizer.hasMarkup(text)) text = TextNormalizer.toText(text) || '';
+        text = TitleUtils.stripLatex(text);
+        text = text.replace(/[\u0370-\u03ff]/g, char => {
+            const name = GREEK_LETTERS[char.toLowerCase()];
+            return name ? ` ${name} ` : char;
+        });
+
+        return text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(word => word)
+            .map(word => TitleUtils.americanize(word))
+            .join(' ');
+    }
+
+    static tokens(title) {
+        const key = TitleUtils.titleKey(title);
+        return key ? key.split(' ') : [];
+    }
+}
+
+module.exports = TitleUtils;
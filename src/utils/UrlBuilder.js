@@ -2,14 +2,11 @@
  * URL builder utilities
  */
 
+const ArxivId = require('./ArxivId');
+
 class UrlBuilder {
     static buildArxivUrl(entry) {
-        const arxivIdMatch = entry.id ? entry.id.match(/arxiv\.org\/abs\/([\d.]+v?\d*)/) : null;
-        if (arxivIdMatch) {
-            const arxivId = arxivIdMatch[1].replace(/v\d+$/, '');
-            return `https://arxiv.org/abs/${arxivId}`;
-        }
-        return null;
+        return entry.id ? ArxivId.absUrl(entry.id) : null;
     }
 
     static buildJournalUrl(doi) {
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AffiliationMatcher = require('../src/merger/AffiliationMatcher');
+const AuthorList = require('../src/utils/AuthorList');
+
+const CONFIG = {
+    institutions: [{
+        name: 'Instituto de Ciencia de Materiales de Madrid',
+        ror: '02qqy8j09',
+        aliases: ['ICMM', 'Materials Science Institute of Madrid']
+    }]
+};
+
+test('matches names and aliases as whole words, ignoring case, accents and punctuation', () => {
+    const matcher = new AffiliationMatcher(CONFIG);
+    for (const affiliation of [
+        'Instituto de Ciencia de Materiales de Madrid (ICMM), CSIC, 28049 Madrid, Spain',
+        'Instituto de Ciencia de Materiales de Madrid, Cantoblanco',
+        'ICMM-CSIC, Madrid',
+        'Universidad Autónoma de Madrid; Materials Science Institute of Madrid'
+    ]) {
+        assert.strictEqual(matcher.match(affiliation), 'Instituto de Ciencia de Materiales de Madrid', affiliation);
+    }
+    assert.strictEqual(matcher.match('Instituto de Ciencia de Materiales de Aragón'), null);
+    assert.strictEqual(matcher.match('ICMMS Lab, Elsewhere'), null);
+    assert.strictEqual(matcher.match(null), null);
+});
+
+test('matches ROR IDs whatever the affiliation name says', () => {
+    const matcher = new AffiliationMatcher(CONFIG);
+    assert.strictEqual(matcher.match('Spanish National Research Council', ['https://ror.org/02qqy8j09']), 'Instituto de Ciencia de Materiales de Madrid');
+    assert.strictEqual(matcher.match('Spanish National Research Council', ['https://ror.org/02gfc7t72']), null);
+});
+
+test('markAuthors flags each author and leaves authors without affiliation data unknown', () => {
+    const matcher = new AffiliationMatcher(CONFIG);
+    const authors = AuthorList.fromArxiv([
+        { name: 'Pablo San-Jose', affiliations: ['ICMM-CSIC'] },
+        { name: 'Carl Other', affiliations: ['University of Elsewhere'] },
+        { name: 'Dana Unknown', affiliations: [] }
+    ]);
+    assert.strictEqual(matcher.markAuthors(authors), true);
+    assert.deepStrictEqual(authors.map(a => a.group_affiliated), [true, false, null]);
+
+    assert.strictEqual(new AffiliationMatcher().markAuthors(AuthorList.fromArxiv([{ name: 'Pablo San-Jose', affiliations: ['ICMM'] }])), false);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ArxivFetcher = require('../src/fetchers/ArxivFetcher');
+const HttpClient = require('../src/utils/HttpClient');
+const { readFixture, startStubServer } = require('./helpers');
+
+async function startArxiv(t) {
+    const server = await startStubServer((req, url) => {
+        if (url.pathname === '/api/query') return { body: readFixture('arxiv/query_two_entries.xml') };
+        return null;
+    });
+    t.after(() => server.close());
+
+    return new ArxivFetcher({
+        httpClient: new HttpClient({ retries: 0 }),
+        baseUrl: server.url,
+        apiUrl: `${server.url}/api/query`
+    });
+}
+
+test('fetchMetadata returns the parsed entry, including comment and journal_ref', async (t) => {
+    const fetcher = await startArxiv(t);
+    const entry = await fetcher.fetchMetadata('2401.00001');
+
+    assert.strictEqual(entry.id, 'http://arxiv.org/abs/2401.00001v2');
+    assert.strictEqual(entry.title, 'Majorana modes in hybrid nanowires & quantum dots');
+    assert.strictEqual(entry.authors, 'Ana Test, Bob Example');
+    assert.strictEqual(entry.journal_ref, 'Phys. Rev. B 100, 000001 (2024)');
+    assert.strictEqual(entry.comment, '10 pages, 4 figures');
+    assert.strictEqual(entry.formats.pdf, 'http://arxiv.org/pdf/2401.00001v2');
+});
+
+test('search methods pick the matching entry out of a multi-entry feed', async (t) => {
+    const fetcher = await startArxiv(t);
+
+    assert.strictEqual(await fetcher.searchByDOI('https://doi.org/10.1103/physrevb.100.000001'), '2401.00001v2');
+
+    const found = await fetcher.searchByTitleAndAuthor('Old-style identifiers & <CDATA> titles', 'Carl Other');
+    assert.strictEqual(found.id, 'http://arxiv.org/abs/cond-mat/0601234v1');
+});
+
+test('fetchMetadataBatch resolves many IDs in one id_list request', async (t) => {
+    const server = await startStubServer((req, url) => {
+        if (url.pathname === '/api/query') return { body: readFixture('arxiv/query_two_entries.xml') };
+        return null;
+    });
+    t.after(() => server.close());
+
+    const fetcher = new ArxivFetcher({ httpClient: new HttpClient({ retries: 0 }), apiUrl: `${server.url}/api/query` });
+    const results = await fetcher.fetchMetadataBatch(['2401.00001', 'cond-mat/0601234v1', '2499.99999']);
+
+    assert.strictEqual(server.requests.length, 1);
+    assert.ok(server.requests[0].includes(`id_list=${encodeURIComponent('2401.00001,cond-mat/0601234v1,2499.99999')}`));
+    assert.strictEqual(results.get('2401.00001').id, 'http://arxiv.org/abs/2401.00001v2');
+    assert.strictEqual(results.get('cond-mat/0601234v1').title, 'Old-style identifiers & <CDATA> titles');
+    assert.strictEqual(results.get('2499.99999'), null);
+});
+
+test('searchByDOIBatch follows paging until totalResults are collected', async (t) => {
+    const entry = (id, doi) => `<entry><id>http://arxiv.org/abs/${id}</id><title>T</title>
+        <arxiv:doi xmlns:arxiv="http://arxiv.org/schemas/atom">${doi}</arxiv:doi></entry>`;
+    const pages = [entry('2401.00001v1', '10.1000/A'), entry('2401.00002v3', '10.1000/b')];
+
+    const server = await startStubServer((req, url) => {
+        const start = parseInt(url.searchParams.get('start'), 10);
+        return {
+            body: `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+                <opensearch:totalResults>2</opensearch:totalResults>${pages[start] || ''}</feed>`
+        };
+    });
+    t.after(() => server.close());
+
+    const fetcher = new ArxivFetcher({ httpClient: new HttpClient({ retries: 0 }), apiUrl: `${server.url}/api/query` });
+    // Force one entry per page
+    const queryFeed = fetcher.queryFeed.bind(fetcher);
+    fetcher.queryFeed = (params) => queryFeed({ ...params, max_results: 1 });
+
+    const results = await fetcher.searchByDOIBatch(['https://doi.org/10.1000/a', '10.1000/B', '10.1000/c']);
+
+    assert.strictEqual(server.requests.length, 2);
+    assert.deepStrictEqual([...results], [
+        ['10.1000/a', '2401.00001v1'],
+        ['10.1000/b', '2401.00002v3'],
+        ['10.1000/c', null]
+    ]);
+});
+
+test('searchByDOIBatch stops paging when a page finds no new DOI and after a few pages', async (t) => {
+    const entry = (id, doi) => `<entry><id>http://arxiv.org/abs/${id}</id><title>T</title>
+        <arxiv:doi xmlns:arxiv="http://arxiv.org/schemas/atom">${doi}</arxiv:doi></entry>`;
+    let pages = [];
+    const server = await startStubServer((req, url) => {
+        const start = parseInt(url.searchParams.get('start'), 10);
+        return {
+            body: `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:opensearch="http://a9.com/-/spec/opensearch/1.1/">
+                <opensearch:totalResults>5000</opensearch:totalResults>${pages[start] || entry('2401.09999v1', '10.9999/other')}</feed>`
+        };
+    });
+    t.after(() => server.close());
+
+    const fetcher = new ArxivFetcher({ httpClient: new HttpClient({ retries: 0 }), apiUrl: `${server.url}/api/query` });
+    const queryFeed = fetcher.queryFeed.bind(fetcher);
+    fetcher.queryFeed = (params) => queryFeed({ ...params, max_results: 1 });
+
+    // The query matches thousands of unrelated records after the first hit
+    pages = [entry('2401.00001v1', '10.1000/a')];
+    const broad = await fetcher.searchByDOIBatch(['10.1000/a', '10.1000/b']);
+    assert.strictEqual(server.requests.length, 2);
+    assert.strictEqual(broad.get('10.1000/a'), '2401.00001v1');
+
+    // Every page has a hit, but paging stops at the cap
+    server.requests.length = 0;
+    pages = ['c', 'd', 'e', 'f', 'g'].map((letter, index) => entry(`2401.0001${index}v1`, `10.1000/${letter}`));
+    const capped = await fetcher.searchByDOIBatch(['10.1000/c', '10.1000/d', '10.1000/e', '10.1000/f', '10.1000/g']);
+    assert.strictEqual(server.requests.length, 3);
+    assert.deepStrictEqual([...capped.values()], ['2401.00010v1', '2401.00011v1', '2401.00012v1', null, null]);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ArxivId = require('../src/utils/ArxivId');
+
+test('parse understands new-style IDs with and without version', () => {
+    assert.deepStrictEqual(ArxivId.parse('2510.20892v2'), { id: '2510.20892v2', base: '2510.20892', version: 2, scheme: 'new' });
+    assert.deepStrictEqual(ArxivId.parse('0704.0001'), { id: '0704.0001', base: '0704.0001', version: null, scheme: 'new' });
+});
+
+test('parse understands old-style IDs and drops the subject class', () => {
+    assert.deepStrictEqual(ArxivId.parse('cond-mat/0601234v1'), { id: 'cond-mat/0601234v1', base: 'cond-mat/0601234', version: 1, scheme: 'old' });
+    assert.strictEqual(ArxivId.normalize('math.GT/0309136'), 'math/0309136');
+    assert.strictEqual(ArxivId.normalize('hep-th/9901001'), 'hep-th/9901001');
+});
+
+test('parse accepts prefixes and URLs', () => {
+    assert.strictEqual(ArxivId.parse('arXiv:2401.00001v3').id, '2401.00001v3');
+    assert.strictEqual(ArxivId.parse('http://arxiv.org/abs/cond-mat/0601234v2').id, 'cond-mat/0601234v2');
+    assert.strictEqual(ArxivId.parse('https://arxiv.org/pdf/2401.00001v1.pdf').id, '2401.00001v1');
+    assert.strictEqual(ArxivId.parse('https://export.arxiv.org/abs/2401.00001/').id, '2401.00001');
+});
+
+test('parse rejects values that are not arXiv IDs', () => {
+    assert.strictEqual(ArxivId.parse(null), null);
+    assert.strictEqual(ArxivId.parse('doi:10.1103/PhysRevB.100.000001'), null);
+    assert.strictEqual(ArxivId.parse('orcid:0001-Some title'), null);
+    assert.strictEqual(ArxivId.parse('2401.001'), null);
+});
+
+test('equals ignores versions and spelling of the identifier', () => {
+    assert.ok(ArxivId.equals('2510.20892v1', 'http://arxiv.org/abs/2510.20892v2'));
+    assert.ok(ArxivId.equals('arXiv:math.GT/0309136', 'math/0309136v1'));
+    assert.ok(!ArxivId.equals('2510.20892', '2510.20893'));
+    assert.ok(!ArxivId.equals(null, null));
+});
+
+test('absUrl and pdfUrl build versionless links', () => {
+    assert.strictEqual(ArxivId.absUrl('cond-mat/0601234v2'), 'https://arxiv.org/abs/cond-mat/0601234');
+    assert.strictEqual(ArxivId.pdfUrl('2401.00001v1', 'http'), 'http://arxiv.org/pdf/2401.00001');
+    assert.strictEqual(ArxivId.absUrl('not an id'), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AtomParser = require('../src/parsers/AtomParser');
+const XmlParser = require('../src/parsers/XmlParser');
+const { readFixture } = require('./helpers');
+
+test('parses every entry of an arXiv feed, not the feed-level title or authors', () => {
+    const feed = AtomParser.parse(readFixture('arxiv/query_two_entries.xml'));
+
+    assert.strictEqual(feed.title, 'ArXiv Query: search_query=au:Test&id_list=&start=0&max_results=10');
+    assert.strictEqual(feed.total_results, 2);
+    assert.strictEqual(feed.entries.length, 2);
+
+    const [first, second] = feed.entries;
+    assert.strictEqual(first.id, 'http://arxiv.org/abs/2401.00001v2');
+    assert.strictEqual(first.title, 'Majorana modes in hybrid nanowires & quantum dots');
+    assert.strictEqual(first.summary, 'We study Majorana zero modes <in> hybrid nanowires at π-junctions.');
+    assert.deepStrictEqual(first.authors, [
+        { name: 'Ana Test', affiliations: ['Instituto de Ciencia de Materiales de Madrid'] },
+        { name: 'Bob Example', affiliations: [] }
+    ]);
+    assert.strictEqual(first.doi, '10.1103/PhysRevB.100.000001');
+    assert.strictEqual(first.comment, '10 pages, 4 figures');
+    assert.strictEqual(first.journal_ref, 'Phys. Rev. B 100, 000001 (2024)');
+    assert.strictEqual(first.primary_category, 'cond-mat.mes-hall');
+    assert.deepStrictEqual(first.categories, ['cond-mat.mes-hall', 'cond-mat.supr-con']);
+    assert.deepStrictEqual(first.links.map(l => l.title || l.rel), ['doi', 'alternate', 'pdf']);
+
+    assert.strictEqual(second.title, 'Old-style identifiers & <CDATA> titles');
+    assert.deepStrictEqual(second.authors.map(a => a.name), ['Carl Other']);
+    assert.strictEqual(second.journal_ref, null);
+});
+
+test('gives the same result when fed in arbitrary chunks', () => {
+    const xml = readFixture('arxiv/query_two_entries.xml');
+    const whole = AtomParser.parse(xml);
+
+    for (const size of [1, 7, 64]) {
+        const parser = new AtomParser();
+        for (let i = 0; i < xml.length; i += size) {
+            parser.write(xml.slice(i, i + size));
+        }
+        assert.deepStrictEqual(parser.end(), whole);
+    }
+});
+
+test('reports arXiv API error entries separately', () => {
+    const feed = AtomParser.parse(`<feed xmlns="http://www.w3.org/2005/Atom">
+        <entry><id>http://arxiv.org/api/errors#incorrect_id_format_for_1234</id>
+        <title>Error</title><summary>incorrect id format for 1234</summary></entry></feed>`);
+
+    assert.deepStrictEqual(feed.entries, []);
+    assert.deepStrictEqual(feed.errors, ['incorrect id format for 1234']);
+});
+
+test('XmlParser decodes named and numeric entities and rejects truncated input', () => {
+    assert.strictEqual(XmlParser.decodeEntities('a &amp; b &#233; &#x2010; &unknown;'), 'a & b é ‐ &unknown;');
+    assert.throws(() => new XmlParser().write('<feed><entry>').end(), /left open/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AuthorList = require('../src/utils/AuthorList');
+
+test('splitName understands both name orders and keeps particles with the family name', () => {
+    assert.deepStrictEqual(AuthorList.splitName('San-Jose, Pablo'), { name: 'Pablo San-Jose', given: 'Pablo', family: 'San-Jose' });
+    assert.deepStrictEqual(AuthorList.splitName('Johannes van der Waals'), { name: 'Johannes van der Waals', given: 'Johannes', family: 'van der Waals' });
+    assert.deepStrictEqual(AuthorList.splitName('Plato'), { name: 'Plato', given: null, family: 'Plato' });
+});
+
+test('fromCrossref keeps ORCID iDs, affiliations and literal names', () => {
+    const authors = AuthorList.fromCrossref([
+        {
+            given: 'Pablo', family: 'San-Jose', ORCID: 'http://orcid.org/0000-0002-7920-5273',
+            affiliation: [{ name: 'ICMM-CSIC', id: [{ id: 'https://ror.org/02QQY8J09', 'id-type': 'ROR', 'asserted-by': 'publisher' }] }]
+        },
+        { literal: 'Doe, Jane & Co.' }
+    ]);
+    assert.deepStrictEqual(authors[0], {
+        name: 'Pablo San-Jose', given: 'Pablo', family: 'San-Jose', orcid: '0000-0002-7920-5273',
+        affiliation: 'ICMM-CSIC', ror_ids: ['https://ror.org/02qqy8j09'], group_affiliated: null,
+        member_id: null, position: 1, corresponding: null
+    });
+    assert.strictEqual(authors[1].name, 'Doe, Jane & Co.');
+    assert.strictEqual(authors[1].family, null);
+    assert.strictEqual(authors[1].position, 2);
+});
+
+test('normalizeRor accepts bare IDs and ror.org URLs', () => {
+    assert.strictEqual(AuthorList.normalizeRor('02qqy8j09'), 'https://ror.org/02qqy8j09');
+    assert.strictEqual(AuthorList.normalizeRor('http://ror.org/02QQY8J09/'), 'https://ror.org/02qqy8j09');
+    assert.strictEqual(AuthorList.normalizeRor('ICMM'), null);
+});
+
+test('fromString keeps "Family, Given" names joined with "and"', () => {
+    assert.deepStrictEqual(AuthorList.fromString('San-Jose, Pablo and Prada, Elsa').map(a => a.name), ['Pablo San-Jose', 'Elsa Prada']);
+    assert.deepStrictEqual(AuthorList.fromString('Ana Test, Bob Example and Carl Other').map(a => a.name), ['Ana Test', 'Bob Example', 'Carl Other']);
+    assert.deepStrictEqual(AuthorList.fromString(''), []);
+});
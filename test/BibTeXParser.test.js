@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BibTeXParser = require('../src/parsers/BibTeXParser');
+
+test('parse reads every entry, with nested braces, quotes, concatenation and macros', () => {
+    const entries = BibTeXParser.parse(`
+        Text outside entries is ignored, even with an address: someone@example.com
+        @comment{ignored {entirely}}
+        @preamble{"\\newcommand{\\noop}[1]{}"}
+        @String(prb = "Physical Review B")
+        @ARTICLE{first,
+            title = {{Majorana} zero modes {in {nested} braces}},
+            journal = prb # { Letters},
+            year = 2024, month = mar,
+        }
+        @misc(second, title = "A {"}quoted{"} title", note = {a} # "b" # 12)
+    `);
+
+    assert.deepStrictEqual(entries.map(e => [e.type, e.key]), [['article', 'first'], ['misc', 'second']]);
+    assert.deepStrictEqual(entries[0].fields, {
+        title: 'Majorana zero modes in nested braces',
+        journal: 'Physical Review B Letters',
+        year: '2024',
+        month: 'March'
+    });
+    assert.strictEqual(entries[0].raw.title, '{Majorana} zero modes {in {nested} braces}');
+    assert.deepStrictEqual(entries[1].fields, { title: 'A "quoted" title', note: 'ab12' });
+});
+
+test('malformed entries are skipped and parsing resumes at the next entry', () => {
+    const entries = BibTeXParser.parse(`
+        @article{broken, title = {Unclosed
+        @book{good, title = {Still read}}
+        @misc{nofields title}
+        @misc{last, title = {Last}}
+    `);
+    assert.deepStrictEqual(entries.map(e => e.key), ['good', 'last']);
+});
+
+test('decode turns LaTeX accents, commands and ligatures into Unicode and keeps math', () => {
+    assert.strictEqual(BibTeXParser.decode('M{\\"u}ller, {\\\'E}lodie, Jos\\\'{e}, \\c{C}a\\u{g}lar, \\v Sime\\v{c}ek'),
+        'Müller, Élodie, José, Çağlar, Šimeček');
+    assert.strictEqual(BibTeXParser.decode('Stra\\ss e, \\o rsted, {\\AA}ngstr\\"om, na\\"{\\i}ve'),
+        'Straße, ørsted, Ångström, naïve');
+    assert.strictEqual(BibTeXParser.decode('\\emph{In situ} 10--20 K---``cold\'\' 50\\% \\& \\$5~each'),
+        'In situ 10–20 K—“cold” 50% & $5 each');
+    assert.strictEqual(BibTeXParser.decode('The $\\mathbb{Z}_2$ invariant of {\\it topological}~wires'),
+        'The $\\mathbb{Z}_2$ invariant of topological wires');
+});
+
+test('splitNames splits at top-level "and" and reads the three BibTeX name forms', () => {
+    assert.deepStrictEqual(BibTeXParser.splitNames(
+        'San-Jos{\\\'e}, Pablo AND {Barnes and Noble} and Elsa Prada and de la Fuente, Jr., Juan and others'
+    ), [
+        { given: 'Pablo', family: 'San-José' },
+        { literal: 'Barnes and Noble' },
+        { name: 'Elsa Prada' },
+        { given: 'Juan', family: 'de la Fuente', suffix: 'Jr.' }
+    ]);
+    assert.deepStrictEqual(BibTeXParser.splitNames(''), []);
+});
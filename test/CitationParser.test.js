@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CitationParser = require('../src/parsers/CitationParser');
+
+test('parseBibTeX extracts authors, journal reference and DOI', () => {
+    const bibtex = `@article{test2024,
+        author = {Test, Ana and Example, Bob},
+        journal = {Physical Review B},
+        volume = {100},
+        number = {3},
+        pages = {035401},
+        year = {2024},
+        doi = {10.1103/PhysRevB.100.035401}
+    }`;
+
+    const result = CitationParser.parseCitationData({ type: 'BIBTEX', value: bibtex });
+
+    assert.strictEqual(result.authors, 'Ana Test, Bob Example');
+    assert.deepStrictEqual(result.author_list.map(a => [a.given, a.family, a.position]), [['Ana', 'Test', 1], ['Bob', 'Example', 2]]);
+    assert.strictEqual(result.journal_ref, 'Physical Review B 100(3), 035401 (2024)');
+    assert.strictEqual(result.doi, 'https://doi.org/10.1103/PhysRevB.100.035401');
+    assert.strictEqual(result.type, 'journal-article');
+});
+
+test('parseBibTeX falls back to booktitle and leaves journal_ref empty without a venue', () => {
+    const proceedings = CitationParser.parseBibTeX('@inproceedings{x, booktitle = "CLEO 2025", year = {2025}}');
+    assert.strictEqual(proceedings.journal_ref, 'CLEO 2025 (2025)');
+    assert.strictEqual(proceedings.type, 'conference-paper');
+
+    const yearOnly = CitationParser.parseBibTeX('@misc{x, year = {2023}}');
+    assert.strictEqual(yearOnly.journal_ref, null);
+    assert.strictEqual(yearOnly.type, null);
+});
+
+test('parseRIS extracts authors, journal reference and DOI', () => {
+    const ris = [
+        'TY  - JOUR',
+        'AU  - Test, Ana',
+        'AU  - Example, Bob',
+        'JO  - Nature Physics',
+        'VL  - 20',
+        'IS  - 3',
+        'SP  - 100',
+        'EP  - 105',
+        'PY  - 2024/03/01',
+        'DO  - 10.1038/nphys0003',
+        'ER  - '
+    ].join('\n');
+
+    const result = CitationParser.parseCitationData({ type: 'ris', value: ris });
+
+    assert.strictEqual(result.authors, 'Ana Test, Bob Example');
+    assert.strictEqual(result.journal_ref, 'Nature Physics 20(3), 100-105 (2024)');
+    assert.strictEqual(result.doi, 'https://doi.org/10.1038/nphys0003');
+    assert.strictEqual(result.type, 'journal-article');
+});
+
+test('parseCitationData finds a DOI in free text and handles missing input', () => {
+    const generic = CitationParser.parseCitationData({ type: 'formatted-apa', value: 'A. Test (2024). Title. doi:10.1000/xyz, accessed online' });
+    assert.strictEqual(generic.doi, 'https://doi.org/10.1000/xyz');
+
+    assert.deepStrictEqual(CitationParser.parseCitationData(null), {
+        authors: null, author_list: null, journal_ref: null, doi: null, type: null, venue: null,
+        title: null, summary: null, published: null, url: null, isbn: null, series: null, arxiv_id: null,
+        entry_type: null, citation_key: null, fields: null
+    });
+});
+
+test('parseBibTeX reads nested braces, quoted and bare values, dates and eprints', () => {
+    const result = CitationParser.parseBibTeX(`@incollection{chapter2023,
+        title = {Majorana states in {InAs} nanowires},
+        booktitle = "Topological {Matter}, Vol. 2",
+        author = {Test, Ana AND Example, Bob},
+        year = 2023,
+        month = mar,
+        isbn = {978-3-16-148410-0},
+        eprint = {2301.00042},
+        archivePrefix = {arXiv},
+        doi = {https://doi.org/10.1007/978-3-031-00000-0_5}
+    }`);
+
+    assert.strictEqual(result.title, 'Majorana states in InAs nanowires');
+    assert.strictEqual(result.journal_ref, 'Topological Matter, Vol. 2 (2023)');
+    assert.strictEqual(result.authors, 'Ana Test, Bob Example');
+    assert.strictEqual(result.published, '2023-03-01T00:00:00.000Z');
+    assert.strictEqual(result.isbn, '978-3-16-148410-0');
+    assert.strictEqual(result.arxiv_id, '2301.00042');
+    assert.strictEqual(result.doi, 'https://doi.org/10.1007/978-3-031-00000-0_5');
+    assert.strictEqual(result.type, 'book-chapter');
+});
+
+test('parseFile reads every record of BibTeX and RIS files', () => {
+    const bibtex = CitationParser.parseFile(`
+        @comment{ignored}
+        @string{prb = "Physical Review B"}
+        @techreport{r1, title = {First report}, author = {Ana Test}, year = {2022}}
+        @misc(r2, title = {Second (draft) report}, author = {Bob Example}, year = {2021})
+    `, 'bibtex');
+    assert.deepStrictEqual(bibtex.map(r => r.title), ['First report', 'Second (draft) report']);
+
+    const ris = CitationParser.parseFile([
+        'TY  - CHAP', 'TI  - A chapter', 'AU  - Test, Ana', 'PY  - 2020/05/', 'SN  - 9783161484100', 'ER  - ',
+        'TY  - JOUR', 'T1  - An article', 'AU  - Example, Bob', 'SN  - 2469-9950', 'AB  - Abstract.', 'ER  - '
+    ].join('\r\n'), 'ris');
+    assert.deepStrictEqual(ris.map(r => [r.title, r.type, r.isbn]), [
+        ['A chapter', 'book-chapter', '9783161484100'],
+        ['An article', 'journal-article', null]
+    ]);
+    assert.strictEqual(ris[0].published, '2020-05-01T00:00:00.000Z');
+    assert.strictEqual(ris[1].summary, 'Abstract.');
+});
+
+test('parseBibTeX decodes LaTeX, keeps group names whole and returns every field', () => {
+    const result = CitationParser.parseBibTeX(String.raw`@article{mueller2024,
+        author = {M{\"u}ller, Hans and {QUDYMA Collaboration} and San-Jos{\'e}, Pablo and others},
+        title = {{Andreev} states in {InAs}--{Al} nanowires},
+        journal = {{Physical Review B}},
+        volume = 109, pages = {035401},
+        date = {2024-02-15},
+        url = {https://arxiv.org/abs/2401.01234v2},
+        keywords = {Majorana, superconductivity}
+    }`);
+
+    assert.strictEqual(result.authors, 'Hans Müller, QUDYMA Collaboration, Pablo San-José');
+    assert.deepStrictEqual(result.author_list[1], {
+        name: 'QUDYMA Collaboration', given: null, family: null, orcid: null, affiliation: null, ror_ids: [],
+        group_affiliated: null, member_id: null, position: 2, corresponding: null
+    });
+    assert.strictEqual(result.title, 'Andreev states in InAs–Al nanowires');
+    assert.strictEqual(result.journal_ref, 'Physical Review B 109, 035401 (2024)');
+    assert.strictEqual(result.published, '2024-02-15T00:00:00.000Z');
+    assert.strictEqual(result.arxiv_id, '2401.01234');
+    assert.strictEqual(result.entry_type, 'article');
+    assert.strictEqual(result.citation_key, 'mueller2024');
+    assert.strictEqual(result.fields.keywords, 'Majorana, superconductivity');
+});
+
+test('parseBibTeX keeps "Jr." out of the family name of "von Last, Jr, First" authors', () => {
+    const result = CitationParser.parseBibTeX(`@article{a, title = {Paper},
+        author = {de la Fuente, Jr., Juan and Smith, III, John and Doe, , Jane}, year = {2020}}`);
+
+    assert.deepStrictEqual(result.author_list.map(a => [a.name, a.given, a.family]), [
+        ['Juan de la Fuente Jr.', 'Juan', 'de la Fuente'],
+        ['John Smith III', 'John', 'Smith'],
+        ['Jane Doe', 'Jane', 'Doe']
+    ]);
+});
+
+test('parseBibTeX keeps URLs, DOIs and eprints verbatim', () => {
+    const result = CitationParser.parseBibTeX(`@misc{a, title = {Paper}, year = {2020},
+        url = {{http://www.example.edu/~smith/a--b.pdf}}, doi = "10.1000/abc--def_1", eprint = {2001.01234}}`);
+
+    assert.strictEqual(result.url, 'http://www.example.edu/~smith/a--b.pdf');
+    assert.strictEqual(result.doi, 'https://doi.org/10.1000/abc--def_1');
+    assert.strictEqual(result.arxiv_id, '2001.01234');
+    assert.strictEqual(result.fields.doi, '10.1000/abc--def_1');
+});
+
+test('parseFile applies @string macros to every entry of a BibTeX file', () => {
+    const records = CitationParser.parseFile(`
+        @string{prb = {Physical Review B}}
+        @article{a, title = {First}, journal = prb, year = 2020, month = jan}
+        @article{b, title = "Second", journal = prb # { Rapid}, year = 2021, doi = {10.48550/arXiv.2101.00002}}
+    `, 'bibtex');
+
+    assert.deepStrictEqual(records.map(r => [r.title, r.journal_ref, r.published]), [
+        ['First', 'Physical Review B (2020)', '2020-01-01T00:00:00.000Z'],
+        ['Second', 'Physical Review B Rapid (2021)', '2021-01-01T00:00:00.000Z']
+    ]);
+    assert.strictEqual(records[1].arxiv_id, '2101.00002');
+});
+
+test('parseRIS reads titles, abstracts, series, standard numbers, links and full dates', () => {
+    const result = CitationParser.parseRIS([
+        'TY  - CHAP',
+        'ID  - chapter2023',
+        'TI  - Majorana states',
+        'T2  - Handbook of Topological Matter',
+        'T3  - Springer Series in Solid-State Sciences',
+        'AU  - Test, Ana',
+        'PY  - 2023',
+        'DA  - 2023/06/15/',
+        'SP  - 101-130',
+        'SN  - 978-3-16-148410-0; 0171-1873',
+        'AB  - A long abstract that the exporting tool',
+        '      wrapped over two lines.',
+        'UR  - https://doi.org/10.1007/978-3-16-148410-0_5',
+        'UR  - https://arxiv.org/abs/2301.00042v2',
+        'ER  - '
+    ].join('\n'));
+
+    assert.strictEqual(result.type, 'book-chapter');
+    assert.strictEqual(result.entry_type, 'CHAP');
+    assert.strictEqual(result.citation_key, 'chapter2023');
+    assert.strictEqual(result.title, 'Majorana states');
+    assert.strictEqual(result.journal_ref, 'Handbook of Topological Matter, 101-130 (2023)');
+    assert.strictEqual(result.series, 'Springer Series in Solid-State Sciences');
+    assert.strictEqual(result.published, '2023-06-15T00:00:00.000Z');
+    assert.strictEqual(result.isbn, '978-3-16-148410-0');
+    assert.strictEqual(result.venue.issn, '0171-1873');
+    assert.strictEqual(result.summary, 'A long abstract that the exporting tool wrapped over two lines.');
+    assert.strictEqual(result.doi, 'https://doi.org/10.1007/978-3-16-148410-0_5');
+    assert.strictEqual(result.url, 'https://arxiv.org/abs/2301.00042v2');
+    assert.strictEqual(result.arxiv_id, '2301.00042');
+    assert.deepStrictEqual(result.fields.UR.length, 2);
+});
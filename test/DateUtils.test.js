@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DateUtils = require('../src/utils/DateUtils');
+
+test('current non-visiting members keep all publications', () => {
+    const member = { date_in: '2020-01-01', date_out: null, status: 'member' };
+
+    assert.strictEqual(DateUtils.shouldIncludePublication('2015-06-01', member), true);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2024-06-01', member), true);
+    assert.strictEqual(DateUtils.shouldIncludePublication(null, member), false);
+});
+
+test('former members only keep publications within their dates', () => {
+    const former = { date_in: '2020-01-01', date_out: '2022-12-31', status: 'member' };
+
+    assert.strictEqual(DateUtils.shouldIncludePublication('2019-12-31', former), false);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2021-05-01', former), true);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2023-01-15', former), false);
+});
+
+test('visitors are filtered by their visit even without date_out', () => {
+    const visitor = { date_in: '2025-03-01', date_out: null, status: 'visitor' };
+
+    assert.strictEqual(DateUtils.shouldIncludePublication('2025-02-01', visitor), false);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2025-04-01', visitor), true);
+});
+
+test('formatOrcidDate pads missing month and day', () => {
+    assert.strictEqual(
+        DateUtils.formatOrcidDate({ year: { value: '2024' }, month: { value: '3' } }),
+        '2024-03-01T00:00:00.000Z'
+    );
+});
+
+test('membership periods: away and back, visitor then member', () => {
+    const returning = { periods: [
+        { from: '2016-09-01', to: '2020-08-31', status: 'member', category: 7 },
+        { from: '2023-01-01', to: '2024-12-31', status: 'member', category: 4 }
+    ] };
+    assert.strictEqual(DateUtils.shouldIncludePublication('2018-03-01', returning), true);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2021-06-01', returning), false);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2024-06-01', returning), true);
+
+    const joined = { periods: [
+        { from: '2025-01-01', to: '2025-03-31', status: 'visitor' },
+        { from: '2025-09-01', to: null, status: 'member' }
+    ] };
+    assert.strictEqual(DateUtils.shouldIncludePublication('2019-01-01', joined), true);
+
+    assert.deepStrictEqual(DateUtils.membershipPeriods({ date_in: '2020-01-01', date_out: null, status: 'visitor', category: 3 }), [
+        { from: '2020-01-01', to: null, status: 'visitor', category: 3, grace_days: null, check_journal_year: false }
+    ]);
+    assert.deepStrictEqual(DateUtils.membershipPeriods({ date_in: null, date_out: '2022-12-31' }), []);
+});
+
+test('the grace window keeps papers published shortly after leaving', () => {
+    const former = { date_in: '2020-01-01', date_out: '2022-12-31', status: 'member' };
+    assert.strictEqual(DateUtils.shouldIncludePublication('2023-03-01', former), false);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2023-03-01', former, null, { graceDays: 90 }), true);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2023-06-01', former, null, { graceDays: 90 }), false);
+
+    const ownWindow = { periods: [{ from: '2020-01-01', to: '2022-12-31', grace_days: 365 }] };
+    assert.strictEqual(DateUtils.shouldIncludePublication('2023-06-01', ownWindow, null, { graceDays: 90 }), true);
+});
+
+test('check_journal_year drops papers whose journal year predates the period', () => {
+    const member = { periods: [{ from: '2024-01-01', to: '2025-12-31', check_journal_year: true }] };
+    assert.strictEqual(DateUtils.shouldIncludePublication('2024-02-01', member, 'Phys. Rev. B 100, 1 (2023)'), false);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2024-02-01', member, 'Phys. Rev. B 109, 1 (2024)'), true);
+    assert.strictEqual(DateUtils.shouldIncludePublication('2024-02-01', member), true);
+
+    // Without the flag a date_in of 2024-01-01 is an ordinary start date
+    const plain = { date_in: '2024-01-01', date_out: '2025-12-31', status: 'member' };
+    assert.strictEqual(DateUtils.shouldIncludePublication('2024-02-01', plain, 'Phys. Rev. B 100, 1 (2023)'), true);
+});
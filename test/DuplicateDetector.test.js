@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DuplicateDetector = require('../src/merger/DuplicateDetector');
+
+function entry(title, extra = {}) {
+    return { id: `orcid:0001-${title}`, title, authors: '', published: '2024-01-01T00:00:00.000Z', ...extra };
+}
+
+test('levenshtein counts single-character edits', () => {
+    assert.strictEqual(DuplicateDetector.levenshtein('kitten', 'sitting'), 3);
+    assert.strictEqual(DuplicateDetector.levenshtein('', 'abc'), 3);
+    assert.strictEqual(DuplicateDetector.levenshtein('same', 'same'), 0);
+});
+
+test('score combines title, author and year components', () => {
+    const detector = new DuplicateDetector();
+    const result = detector.score(
+        entry('Majorana modes in hybrid nanowires', { authors: 'Ana Test, Bob Example' }),
+        entry('Majorana modes in hybrid nanowire', { authors: 'A. Test, B. Example, C. Other', published: '2025-03-01' })
+    );
+
+    assert.ok(result.title > 0.9 && result.title < 1);
+    assert.strictEqual(result.authors, 1);
+    assert.ok(Math.abs(result.year - 2 / 3) < 1e-9);
+    assert.strictEqual(detector.classify(result), 'duplicate');
+});
+
+test('missing components are left out of the weighted score', () => {
+    const detector = new DuplicateDetector();
+    const result = detector.score(entry('Same title', { published: null }), entry('Same title.', { published: null }));
+
+    assert.deepStrictEqual(result, { score: 1, title: 1, authors: null, year: null });
+});
+
+test('thresholds come from the config', () => {
+    const pair = [entry('Fluxoid dynamics in tubes'), entry('Fluxoid dynamics in thin tubes')];
+
+    assert.strictEqual(new DuplicateDetector().classify(new DuplicateDetector().score(...pair)), 'duplicate');
+    const strict = new DuplicateDetector({ threshold: 0.99, min_title_similarity: 0.99, borderline_margin: 0.2 });
+    assert.strictEqual(strict.classify(strict.score(...pair)), 'borderline');
+});
+
+test('group links duplicates transitively and reports borderline pairs', () => {
+    const detector = new DuplicateDetector();
+    const a = entry('Andreev bound states in quantum dots');
+    const b = entry('Andreev bound states in quantum dots.');
+    const c = entry('Andreev bound-states in quantum dots');
+    const d = entry('Andreev states in coupled quantum dots', { authors: 'Ana Test' });
+    const e = entry('Completely unrelated work');
+
+    const { groups, borderline } = detector.group([a, b, c, d, e]);
+
+    assert.deepStrictEqual(groups.get(c), [a, b, c]);
+    assert.deepStrictEqual(groups.get(e), [e]);
+    assert.ok(borderline.length > 0);
+    assert.ok(borderline.every(pair => pair.a === d || pair.b === d));
+});
+
+test('entries with different arXiv IDs are never grouped', () => {
+    const detector = new DuplicateDetector();
+    const first = entry('Comment on nanowires', { id: 'http://arxiv.org/abs/2401.00001v1' });
+    const second = entry('Comment on nanowires', { id: 'http://arxiv.org/abs/2401.00002v1' });
+
+    const { groups } = detector.group([first, second]);
+    assert.deepStrictEqual(groups.get(first), [first]);
+});
+
+test('entries with different DOIs are never grouped or matched', () => {
+    const detector = new DuplicateDetector();
+    const first = entry('Andreev bound states in quantum dots', { doi: '10.1103/PhysRevB.1.1' });
+    const second = entry('Andreev bound states in quantum dots.', { doi: 'https://doi.org/10.1103/PhysRevB.2.2' });
+    const same = entry('Andreev bound states in quantum dots', { doi: 'https://doi.org/10.1103/physrevb.1.1' });
+
+    const { groups } = detector.group([first, second]);
+    assert.deepStrictEqual(groups.get(first), [first]);
+    assert.strictEqual(detector.findDuplicate(second, [first]), null);
+    assert.strictEqual(detector.findDuplicate(same, [first]), first);
+});
+
+test('titles differing in a chemical formula are distinct works', () => {
+    const detector = new DuplicateDetector();
+    const inAs = entry('Majorana zero modes in InAs nanowires');
+    const inSb = entry('Majorana zero modes in InSb nanowires');
+    const selenide = entry('Surface states of Bi$_2$Se$_3$ thin films');
+    const telluride = entry('Surface states of Bi2Te3 thin films');
+
+    assert.ok(detector.score(inAs, inSb).score > 0.9);
+    assert.strictEqual(detector.findDuplicate(inAs, [inSb]), null);
+    const { groups } = detector.group([inAs, inSb, selenide, telluride]);
+    assert.deepStrictEqual(groups.get(inAs), [inAs]);
+    assert.deepStrictEqual(groups.get(selenide), [selenide]);
+    assert.deepStrictEqual(DuplicateDetector.formulas('Spin–orbit coupling in Sr$_2$RuO$_4$ and NbSe2.'), new Set(['Sr2RuO4', 'NbSe2']));
+    assert.deepStrictEqual(DuplicateDetector.formulas('ARPES and STM of DNA in a SQUID'), new Set());
+});
+
+test('titles differing in a numeral or part number are distinct works', () => {
+    const detector = new DuplicateDetector();
+    const partOne = entry('Andreev spectroscopy of hybrid junctions. Part I');
+    const partTwo = entry('Andreev spectroscopy of hybrid junctions. Part II');
+    const twoD = entry('Topological superconductivity in 2D heterostructures');
+    const threeD = entry('Topological superconductivity in 3D heterostructures');
+
+    const { groups } = detector.group([partOne, partTwo, twoD, threeD]);
+    assert.deepStrictEqual(groups.get(partOne), [partOne]);
+    assert.deepStrictEqual(groups.get(twoD), [twoD]);
+    assert.strictEqual(DuplicateDetector.conflict(detector.profile(partOne), detector.profile(partTwo)), 'numeral');
+});
+
+test('conflicting entries stay apart even when a third entry matches both', () => {
+    const detector = new DuplicateDetector();
+    const bare = entry('Andreev bound states in quantum dots');
+    const first = entry('Andreev bound states in quantum dots', { doi: '10.1000/a' });
+    const second = entry('Andreev bound states in quantum dots.', { doi: '10.1000/b' });
+
+    const { groups } = detector.group([bare, first, second]);
+    assert.deepStrictEqual(groups.get(bare), [bare, first]);
+    assert.deepStrictEqual(groups.get(second), [second]);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const HttpClient = require('../src/utils/HttpClient');
+const FixtureTransport = require('../src/utils/FixtureTransport');
+const { makeTempDir, removeDir, startStubServer } = require('./helpers');
+
+test('retries 429/5xx responses, honoring Retry-After', async (t) => {
+    let calls = 0;
+    const server = await startStubServer(() => {
+        calls++;
+        if (calls === 1) return { status: 429, headers: { 'Retry-After': '0' } };
+        if (calls === 2) return { status: 503 };
+        return { body: '{"ok":true}' };
+    });
+    t.after(() => server.close());
+
+    const client = new HttpClient({ backoff: 1 });
+    assert.deepStrictEqual(await client.getJSON(`${server.url}/data`), { ok: true });
+    assert.strictEqual(calls, 3);
+});
+
+test('follows redirects and rejects non-2xx responses with HttpError', async (t) => {
+    const server = await startStubServer((req, url) => {
+        if (url.pathname === '/old') return { status: 301, headers: { Location: '/new' } };
+        if (url.pathname === '/new') return { body: 'moved here' };
+        return null;
+    });
+    t.after(() => server.close());
+
+    const client = new HttpClient({ retries: 0 });
+    assert.strictEqual(await client.getText(`${server.url}/old`), 'moved here');
+
+    await assert.rejects(client.getText(`${server.url}/missing`), (error) => {
+        assert.ok(error instanceof HttpClient.HttpError);
+        assert.strictEqual(error.statusCode, 404);
+        return true;
+    });
+});
+
+test('reports the URL and status of non-JSON bodies from getJSON and postForm', async (t) => {
+    const server = await startStubServer(() => ({ body: '<html>Maintenance</html>' }));
+    t.after(() => server.close());
+
+    const client = new HttpClient({ retries: 0 });
+    await assert.rejects(client.getJSON(`${server.url}/data`), new RegExp(`^Error: Invalid JSON from ${server.url}/data \\(HTTP 200\\)`));
+    await assert.rejects(client.postForm(`${server.url}/token`, { grant_type: 'client_credentials' }),
+        new RegExp(`^Error: Invalid JSON from ${server.url}/token \\(HTTP 200\\)`));
+});
+
+test('spaces requests to rate-limited hosts', async (t) => {
+    const server = await startStubServer(() => ({ body: 'ok' }));
+    t.after(() => server.close());
+
+    const client = new HttpClient({ rateLimits: { '127.0.0.1': 50 } });
+    const start = Date.now();
+    await client.getText(`${server.url}/a`);
+    await client.getText(`${server.url}/b`);
+    await client.getText(`${server.url}/c`);
+
+    assert.ok(Date.now() - start >= 100);
+});
+
+test('FixtureTransport records responses without secrets and replays them offline', async (t) => {
+    const server = await startStubServer((req, url, body) => {
+        if (url.pathname === '/token') return { body: JSON.stringify({ access_token: 'real-token', echo: body.length > 0 }) };
+        return { headers: { 'Content-Type': 'text/plain' }, body: `hello ${url.searchParams.get('q')}` };
+    });
+    const fixtures = makeTempDir();
+    t.after(async () => {
+        await server.close();
+        removeDir(fixtures);
+    });
+
+    const recorder = new HttpClient({
+        mailto: 'someone@example.org',
+        transport: new FixtureTransport(fixtures, { mode: 'record', transport: new HttpClient.NodeTransport() })
+    });
+    assert.strictEqual(await recorder.getText(`${server.url}/greet?q=world&mailto=someone%40example.org`), 'hello world');
+    await recorder.postForm(`${server.url}/token`, { client_id: 'APP', client_secret: 'top-secret' });
+
+    const recorded = fs.readdirSync(path.join(fixtures, '127.0.0.1'))
+        .map(file => fs.readFileSync(path.join(fixtures, '127.0.0.1', file), 'utf8'))
+        .join('\n');
+    assert.ok(!recorded.includes('top-secret'));
+    assert.ok(!recorded.includes('real-token'));
+    assert.ok(!recorded.includes('someone'));
+
+    await server.close();
+
+    const player = new HttpClient({ retries: 0, transport: new FixtureTransport(fixtures, { mode: 'replay' }) });
+    assert.strictEqual(await player.getText(`${server.url}/greet?q=world`), 'hello world');
+    assert.deepStrictEqual(
+        await player.postForm(`${server.url}/token`, { client_id: 'APP', client_secret: 'other-secret' }),
+        { access_token: 'REDACTED', echo: true }
+    );
+    await assert.rejects(player.getText(`${server.url}/greet?q=nobody`), /No fixture/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const IdAliases = require('../src/merger/IdAliases');
+const { makeTempDir, removeDir } = require('./helpers');
+
+test('source IDs map to the canonical ID and the table survives a reload', (t) => {
+    const dir = makeTempDir();
+    t.after(() => removeDir(dir));
+    const file = path.join(dir, 'id_aliases.json');
+
+    const aliases = new IdAliases(file);
+    const added = aliases.update(new Map([
+        ['arxiv:2510.20892', ['http://arxiv.org/abs/2510.20892v1', 'doi:https://doi.org/10.1000/a']]
+    ]));
+    aliases.save();
+
+    assert.strictEqual(added, 2);
+    const reloaded = new IdAliases(file);
+    assert.strictEqual(reloaded.resolve('http://arxiv.org/abs/2510.20892v1'), 'arxiv:2510.20892');
+    assert.strictEqual(reloaded.resolve('arxiv:2510.20892'), 'arxiv:2510.20892');
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), [
+        'doi:https://doi.org/10.1000/a',
+        'http://arxiv.org/abs/2510.20892v1'
+    ]);
+});
+
+test('a canonical ID that changed becomes an alias of the new one', (t) => {
+    const dir = makeTempDir();
+    t.after(() => removeDir(dir));
+
+    const aliases = new IdAliases(path.join(dir, 'id_aliases.json'));
+    aliases.update(new Map([['title:0123456789abcdef', ['orcid:0001-Paper']]]));
+    aliases.update(new Map([['doi:10.1000/paper', ['orcid:0001-Paper']]]));
+
+    assert.strictEqual(aliases.resolve('title:0123456789abcdef'), 'doi:10.1000/paper');
+    assert.strictEqual(aliases.resolve('orcid:0001-Paper'), 'doi:10.1000/paper');
+    assert.strictEqual(aliases.update(new Map([['doi:10.1000/paper', ['orcid:0001-Paper']]])), 0);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const InclusionRules = require('../src/merger/InclusionRules');
+
+const BASICS = {
+    '0001': { name: 'Ana Test', date_in: '2020-01-01', date_out: null, status: 'member' },
+    '0002': { name: 'Bob Example', date_in: '2018-01-01', date_out: '2021-12-31', status: 'member' },
+    '0003': { name: 'Vera Visitor', date_in: '2023-01-01', date_out: null, status: 'visitor' }
+};
+
+function entry(published, authorIds, extra = {}) {
+    return { title: 'Paper', published, author_ids: authorIds, author_list: [], journal_ref: null, ...extra };
+}
+
+test('current members bring their whole publication record', () => {
+    const rules = new InclusionRules(BASICS);
+    assert.deepStrictEqual(rules.decide(entry('2015-05-01', ['0001'])), {
+        rule: 'current-member',
+        member_id: '0001',
+        detail: 'member 2020-01-01 – present'
+    });
+    // Visitors are current only for the time of their visit
+    assert.strictEqual(rules.decide(entry('2015-05-01', ['0003']), ['0003']), null);
+});
+
+test('former members are included within their period, with the grace window', () => {
+    const rules = new InclusionRules(BASICS, {}, { grace_days: 90 });
+    assert.strictEqual(rules.decide(entry('2020-06-01', ['0002']), ['0002']).rule, 'membership-period');
+    assert.strictEqual(rules.decide(entry('2022-02-15', ['0002']), ['0002']).rule, 'membership-period');
+    assert.strictEqual(rules.decide(entry('2023-06-01', ['0002']), ['0002']), null);
+    assert.strictEqual(new InclusionRules(BASICS).decide(entry('2022-02-15', ['0002']), ['0002']), null);
+});
+
+test('works co-authored with a member active at the time are included', () => {
+    const rules = new InclusionRules(BASICS, { rules: [{ rule: 'co-author' }] });
+    // Bob left in 2021; the visitor was in the group when this was published
+    assert.deepStrictEqual(rules.decide(entry('2023-06-01', ['0002', '0003']), ['0002']), {
+        rule: 'co-author',
+        member_id: '0003',
+        detail: 'visitor 2023-01-01 – present'
+    });
+    assert.strictEqual(rules.decide(entry('2023-06-01', ['0002']), ['0002']), null);
+});
+
+test('the affiliation rule admits entries with a group-affiliated member and rules keep their order', () => {
+    const rules = new InclusionRules(BASICS, { rules: [{ rule: 'affiliation' }, { rule: 'current-member' }] });
+    const work = entry('2015-05-01', ['0001'], {
+        author_list: [
+            { name: 'Dana Else', affiliation: 'Elsewhere', group_affiliated: false, member_id: null },
+            { name: 'Ana Test', affiliation: 'ICMM-CSIC, Madrid', group_affiliated: true, member_id: '0001' }
+        ]
+    });
+    assert.deepStrictEqual(rules.decide(work), { rule: 'affiliation', member_id: '0001', detail: 'Ana Test: ICMM-CSIC, Madrid' });
+    assert.strictEqual(rules.decide(entry('2015-05-01', [])), null);
+});
+
+test('affiliated authors who are not members do not admit an entry', () => {
+    const rules = new InclusionRules(BASICS, { rules: [{ rule: 'affiliation' }] });
+    // Bob left in 2021; his co-author is at the institute but not in the group
+    const work = entry('2023-06-01', ['0002'], {
+        author_list: [
+            { name: 'Bob Example', affiliation: 'Elsewhere', group_affiliated: false, member_id: '0002' },
+            { name: 'Carl Other', affiliation: 'ICMM-CSIC, Madrid', group_affiliated: true, member_id: null }
+        ]
+    });
+    assert.strictEqual(rules.decide(work, ['0002']), null);
+});
+
+test('unknown rules are rejected', () => {
+    assert.throws(() => new InclusionRules(BASICS, { rules: [{ rule: 'everything' }] }), /Unknown inclusion rule "everything"/);
+});
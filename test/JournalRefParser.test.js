@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JournalRefParser = require('../src/parsers/JournalRefParser');
+
+test('parse splits arXiv-style references into venue fields', () => {
+    assert.deepStrictEqual(JournalRefParser.parse('Phys. Rev. B 100, 035401 (2019)'), {
+        journal: 'Phys. Rev. B', abbreviation: null, issn: null, volume: '100',
+        issue: null, pages: null, article_number: '035401', year: 2019
+    });
+
+    const nature = JournalRefParser.parse('Nature Physics 20(3), 100-105 (2024)');
+    assert.strictEqual(nature.journal, 'Nature Physics');
+    assert.strictEqual(nature.volume, '20');
+    assert.strictEqual(nature.issue, '3');
+    assert.strictEqual(nature.pages, '100-105');
+    assert.strictEqual(nature.year, 2024);
+
+    const nano = JournalRefParser.parse('Nano Letters, 2019, 19 (9), pp 6036–6042');
+    assert.strictEqual(nano.journal, 'Nano Letters');
+    assert.strictEqual(nano.volume, '19');
+    assert.strictEqual(nano.issue, '9');
+    assert.strictEqual(nano.pages, '6036-6042');
+    assert.strictEqual(nano.year, 2019);
+
+    const letter = JournalRefParser.parse('Phys. Rev. B 104, L041101 (2021)');
+    assert.strictEqual(letter.article_number, 'L041101');
+});
+
+test('parse reads (R) suffixes and alphanumeric article numbers', () => {
+    const rapid = JournalRefParser.parse('Phys. Rev. B 88, 121408(R) (2013)', { complete: true });
+    assert.strictEqual(rapid.volume, '88');
+    assert.strictEqual(rapid.article_number, '121408(R)');
+    assert.strictEqual(rapid.year, 2013);
+
+    assert.deepStrictEqual(JournalRefParser.parse('Nanotechnology 30(24), 24LT01 (2019)', { complete: true }), {
+        journal: 'Nanotechnology', abbreviation: null, issn: null, volume: '30',
+        issue: '24', pages: null, article_number: '24LT01', year: 2019
+    });
+});
+
+test('parse with complete rejects references it does not understand to the end', () => {
+    const titled = 'Novel 2D Mater..: Tuning electronic properties on the atomic scale (2013)';
+    const workshop = 'Spinograph Workshop 2016 - New trends in 2D Mater.. (2016)';
+
+    assert.strictEqual(JournalRefParser.parse(titled, { complete: true }), null);
+    assert.strictEqual(JournalRefParser.parse(workshop, { complete: true }), null);
+    // Without it the year is still found (DateUtils only needs that)
+    assert.strictEqual(JournalRefParser.parse(workshop).year, 2016);
+    assert.ok(JournalRefParser.parse('Nano Letters, 2019, 19 (9), pp 6036–6042', { complete: true }));
+    assert.ok(JournalRefParser.parse('J. Phys.: Condens. Matter 31 (2019) 123456', { complete: true }));
+    assert.strictEqual(JournalRefParser.parse('ISBN: 9789811279553'), null);
+});
+
+test('parse keeps bare journal names and rejects text without one', () => {
+    assert.strictEqual(JournalRefParser.parse('Physical Review B').journal, 'Physical Review B');
+    assert.strictEqual(JournalRefParser.parse('(2024)'), null);
+    assert.strictEqual(JournalRefParser.parse(''), null);
+    assert.strictEqual(JournalRefParser.parse(null), null);
+});
+
+test('isArticleNumber tells article numbers from pages', () => {
+    assert.strictEqual(JournalRefParser.isArticleNumber('035401'), true);
+    assert.strictEqual(JournalRefParser.isArticleNumber('e2021'), true);
+    assert.strictEqual(JournalRefParser.isArticleNumber('123456'), true);
+    assert.strictEqual(JournalRefParser.isArticleNumber('24LT01'), true);
+    assert.strictEqual(JournalRefParser.isArticleNumber('121408(R)'), true);
+    assert.strictEqual(JournalRefParser.isArticleNumber('1234'), false);
+    assert.strictEqual(JournalRefParser.isArticleNumber('100-105'), false);
+});
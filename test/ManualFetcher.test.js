@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ManualFetcher = require('../src/fetchers/ManualFetcher');
+const { makeTempDir, removeDir } = require('./helpers');
+
+const BASICS = {
+    '0001': { name: 'Ana Test', name_variants: ['A. Test'] },
+    '0002': { name: 'Bob Example', name_variants: [] }
+};
+
+test('reads both manual files and assigns records to the member authors', (t) => {
+    const configPath = makeTempDir();
+    t.after(() => removeDir(configPath));
+
+    fs.writeFileSync(path.join(configPath, 'manual_publications.bib'), `
+        @incollection{chapter, title = {A chapter}, author = {Test, Ana and Example, Bob}, booktitle = {A Book}, year = {2022}}
+        @techreport{outsider, title = {Not ours}, author = {Doe, Jane}, year = {2022}}
+    `);
+    fs.writeFileSync(path.join(configPath, 'manual_publications.ris'), [
+        'TY  - RPRT', 'TI  - A report', 'AU  - Test, A.', 'PY  - 2023', 'ER  - '
+    ].join('\n'));
+
+    const byMember = new ManualFetcher(configPath).fetchAll(BASICS);
+
+    assert.deepStrictEqual(Object.keys(byMember).sort(), ['0001', '0002']);
+    assert.deepStrictEqual(byMember['0001'].map(r => [r.title, r.format]), [['A chapter', 'bibtex'], ['A report', 'ris']]);
+    assert.deepStrictEqual(byMember['0002'].map(r => r.title), ['A chapter']);
+});
+
+test('members are recognized by initials, accents and name order, as in the merge', (t) => {
+    const configPath = makeTempDir();
+    t.after(() => removeDir(configPath));
+
+    const basics = {
+        '0001': { name: 'Pablo San-Jose', name_variants: [] },
+        '0002': { name: 'Elsa Prada', name_variants: [] }
+    };
+    fs.writeFileSync(path.join(configPath, 'manual_publications.bib'), `
+        @inproceedings{initials, title = {Initials only}, author = {Prada, E. and Doe, Jane}, booktitle = {Proc.}, year = {2021}}
+        @misc{accents, title = {Accents}, author = {San-Jos{\\'e}, Pablo}, year = {2020}}
+        @misc{other, title = {Someone else}, author = {Prada, Juan}, year = {2020}}
+    `);
+
+    const byMember = new ManualFetcher(configPath).fetchAll(basics);
+
+    assert.deepStrictEqual(byMember['0001'].map(r => r.title), ['Accents']);
+    assert.deepStrictEqual(byMember['0002'].map(r => r.title), ['Initials only']);
+    // The record keeps its own spelling; the merge gives members their canonical names
+    assert.strictEqual(byMember['0002'][0].author_list[0].name, 'E. Prada');
+});
+
+test('missing manual files give no records', (t) => {
+    const configPath = makeTempDir();
+    t.after(() => removeDir(configPath));
+
+    assert.deepStrictEqual(new ManualFetcher(configPath).fetchAll(BASICS), {});
+});
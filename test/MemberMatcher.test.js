@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MemberMatcher = require('../src/merger/MemberMatcher');
+const AuthorList = require('../src/utils/AuthorList');
+
+const BASICS = {
+    '0001': { name: 'Pablo San-Jose', name_variants: ['Pablo Sanjose'], orcid: '0000-0002-7920-5273' },
+    '0002': { name: 'Elsa Prada', name_variants: [] },
+    '0003': { name: 'Antonio Picón', name_variants: [] },
+    '0004': { name: 'Eva Prada', name_variants: [] }
+};
+
+test('matches spellings that differ in diacritics, hyphens, initials and name order', () => {
+    const matcher = new MemberMatcher(BASICS);
+    for (const name of ['P. San-José', 'P San-Jose', 'Pablo San-José', 'Pablo San‐Jose', 'Pablo San Jose', 'San-Jose, Pablo', 'Sanjose, P.']) {
+        const authors = AuthorList.fromNames([name]);
+        assert.deepStrictEqual(matcher.assign(authors).memberIds, ['0001'], name);
+        assert.strictEqual(authors[0].name, 'Pablo San-Jose', name);
+    }
+
+    const picon = AuthorList.fromNames(['A. Picon']);
+    matcher.assign(picon);
+    assert.strictEqual(picon[0].member_id, '0003');
+    assert.strictEqual(picon[0].name, 'Antonio Picón');
+});
+
+test('does not match different given names or bare family names', () => {
+    const matcher = new MemberMatcher(BASICS);
+    assert.deepStrictEqual(matcher.assign(AuthorList.fromNames(['Pedro San-Jose'])).memberIds, []);
+    assert.deepStrictEqual(matcher.assign(AuthorList.fromNames(['Picon'])).memberIds, []);
+    assert.deepStrictEqual(matcher.assign(AuthorList.fromNames(['Elsa M. Prada', 'Eva Prada'])).memberIds, ['0002', '0004']);
+});
+
+test('context never attributes a work to a same-surname co-author without given-name evidence', () => {
+    const matcher = new MemberMatcher(BASICS);
+
+    // The member's own feed listed the work, but the list only has the surname
+    const bare = AuthorList.fromNames(['Picon']);
+    assert.deepStrictEqual(matcher.assign(bare, ['0003']).memberIds, ['0003']);
+    assert.strictEqual(bare[0].member_id, null);
+    assert.strictEqual(bare[0].name, 'Picon');
+
+    // A different Picón co-authored a paper of member 0003, who is also listed
+    const coAuthors = AuthorList.fromNames(['Antonio Picón', 'Luis Picón', 'Carl Other']);
+    matcher.assign(coAuthors, ['0003']);
+    assert.deepStrictEqual(coAuthors.map(a => a.member_id), ['0003', null, null]);
+
+    // An extra given name that contradicts nothing is weaker evidence than a full match
+    assert.strictEqual(MemberMatcher.compareGiven(['elsa'], ['elsa']), 'full');
+    assert.strictEqual(MemberMatcher.compareGiven(['elsa', 'maria'], ['elsa']), 'initials');
+    assert.strictEqual(MemberMatcher.compareGiven(['maria', 'elsa'], ['elsa']), null);
+    assert.strictEqual(MemberMatcher.compareGiven([], ['elsa']), null);
+});
+
+test('matches by ORCID, name variant and initials, and gives members their canonical name', () => {
+    const basics = {
+        '0001': { name: 'Pablo San-Jose', name_variants: ['San-Jose, Pablo', 'P. San-Jose'], orcid: '0000-0002-7920-5273' },
+        '0002': { name: 'Elsa Prada', name_variants: ['Prada, Elsa'], orcid: '0000-0001-7522-4795' },
+        '0003': { name: 'Antonio Picón', name_variants: [] }
+    };
+    const authors = AuthorList.fromNames(['P. Sanjose', 'Prada, Elsa', 'A. Picon']);
+    authors[0].orcid = '0000-0002-7920-5273';
+
+    const { memberIds } = new MemberMatcher(basics).assign(authors, ['0003']);
+
+    assert.deepStrictEqual(memberIds, ['0001', '0002', '0003']);
+    assert.deepStrictEqual(authors.map(a => [a.name, a.member_id]), [
+        ['Pablo San-Jose', '0001'],
+        ['Elsa Prada', '0002'],
+        ['Antonio Picón', '0003']
+    ]);
+    assert.strictEqual(AuthorList.toString(authors), 'Pablo San-Jose, Elsa Prada, Antonio Picón');
+});
+
+test('ORCID iDs win over names', () => {
+    const authors = AuthorList.fromNames(['P. Sanjosé-Lopez']);
+    authors[0].orcid = '0000-0002-7920-5273';
+    assert.deepStrictEqual(new MemberMatcher(BASICS).assign(authors).memberIds, ['0001']);
+});
+
+test('ambiguous matches are reported instead of guessed, and context settles them', () => {
+    const matcher = new MemberMatcher(BASICS);
+    const authors = AuthorList.fromNames(['E. Prada', 'Carl Other']);
+    const result = matcher.assign(authors);
+    assert.deepStrictEqual(result.memberIds, []);
+    assert.strictEqual(authors[0].member_id, null);
+    assert.deepStrictEqual(result.ambiguous, [{
+        name: 'E. Prada',
+        position: 1,
+        candidates: [{ id: '0002', score: 0.7 }, { id: '0004', score: 0.7 }]
+    }]);
+
+    const withFeed = AuthorList.fromNames(['E. Prada', 'Carl Other']);
+    const settled = matcher.assign(withFeed, ['0004']);
+    assert.deepStrictEqual(settled.ambiguous, []);
+    assert.strictEqual(withFeed[0].member_id, '0004');
+    assert.strictEqual(withFeed[0].name, 'Eva Prada');
+});
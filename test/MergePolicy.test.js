@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MergePolicy = require('../src/merger/MergePolicy');
+
+test('priority keeps the value of the higher-ranked source', () => {
+    const policy = new MergePolicy();
+
+    assert.strictEqual(policy.prefers('authors', { value: 'A. Test, B. Example', source: 'crossref' }, { value: 'Ana Test', source: 'config' }), true);
+    assert.strictEqual(policy.prefers('authors', { value: 'A. Test, B. Example', source: 'orcid' }, { value: 'Ana Test', source: 'arxiv' }), false);
+    assert.strictEqual(policy.prefers('authors', { value: 'Ana Test', source: 'orcid' }, { value: '  ', source: 'arxiv' }), true);
+    assert.strictEqual(policy.prefers('authors', { value: null, source: 'arxiv' }, { value: 'Ana Test', source: 'config' }), false);
+});
+
+test('publisher values win and unlisted fields keep their first value', () => {
+    const policy = new MergePolicy();
+    const arxivRef = { value: 'Phys. Rev. Lett 136, 1 (2026)', source: 'arxiv' };
+
+    assert.strictEqual(policy.prefers('journal_ref', { value: 'Phys. Rev. Lett. 136, 010101 (2026)', source: 'crossref' }, arxivRef), true);
+    assert.strictEqual(policy.accepts('journal_ref', 'orcid', arxivRef.value, 'arxiv'), false);
+    assert.strictEqual(policy.prefers('comment', { value: 'New', source: 'crossref' }, { value: 'Old', source: 'arxiv' }), false);
+    assert.strictEqual(policy.prefers('comment', { value: 'New', source: 'crossref' }, { value: null, source: null }), true);
+});
+
+test('longest prefers the fuller value and falls back to rank on ties', () => {
+    const policy = new MergePolicy({ summary: { rule: 'longest' } });
+
+    assert.deepStrictEqual(policy.fields.summary.sources, MergePolicy.DEFAULT_POLICY.summary.sources);
+    assert.strictEqual(policy.prefers('summary', { value: 'A longer abstract', source: 'orcid' }, { value: 'Short', source: 'arxiv' }), true);
+    assert.strictEqual(policy.prefers('summary', { value: 'Other', source: 'orcid' }, { value: 'Short', source: 'arxiv' }), false);
+    assert.strictEqual(policy.prefers('summary', { value: 'Other', source: 'arxiv' }, { value: 'Short', source: 'orcid' }), true);
+});
+
+test('longest measures the text, not the LaTeX or JATS markup around it', () => {
+    const policy = new MergePolicy({ summary: { rule: 'longest' } });
+    const jats = { value: '<jats:p>Bi<jats:sub>2</jats:sub>Se<jats:sub>3</jats:sub> films.</jats:p>', source: 'crossref' };
+
+    assert.strictEqual(policy.prefers('summary', jats, { value: 'Bi$_2$Se$_3$ thin films.', source: 'arxiv' }), false);
+    assert.strictEqual(policy.prefers('summary', { value: 'Bi$_2$Se$_3$ thin films.', source: 'arxiv' }, jats), true);
+});
+
+test('manually curated values win every conflict', () => {
+    const policy = new MergePolicy({ summary: { rule: 'longest' } });
+    const manual = { value: 'Curated title', source: 'manual' };
+
+    assert.strictEqual(policy.prefers('title', manual, { value: 'Mangled title', source: 'arxiv' }), true);
+    assert.strictEqual(policy.prefers('journal_ref', { value: 'Book 1 (2020)', source: 'manual' }, { value: 'Ref', source: 'crossref' }), true);
+    assert.strictEqual(policy.prefers('journal_ref', { value: 'Ref', source: 'crossref' }, { value: 'Book 1 (2020)', source: 'manual' }), false);
+    assert.strictEqual(policy.prefers('summary', { value: 'A much longer abstract', source: 'crossref' }, { value: 'Short', source: 'manual' }), false);
+    assert.strictEqual(policy.prefers('comment', { value: 'Curated', source: 'manual' }, { value: 'Old', source: 'arxiv' }), true);
+    assert.strictEqual(policy.accepts('title', 'crossref', manual.value, 'manual'), false);
+});
+
+test('unknown rules are rejected', () => {
+    assert.throws(() => new MergePolicy({ title: { rule: 'newest' } }), /Unknown merge rule "newest" for title/);
+});
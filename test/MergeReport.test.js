@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MergeReport = require('../src/merger/MergeReport');
+
+test('build resolves merge chains to the entry in the output', () => {
+    const report = new MergeReport();
+    const kept = { id: 'a', title: 'Kept' };
+    const middle = { id: 'b', title: 'Middle' };
+    const orphan = { id: 'c', title: 'Orphan' };
+
+    const keptRecord = report.addRecord('arxiv', '0001', kept);
+    report.attach(keptRecord, kept);
+    report.keep(keptRecord);
+    const middleRecord = report.addRecord('orcid', '0001', middle);
+    report.attach(middleRecord, middle);
+    report.merge(middleRecord, kept, 'same-doi', '10.1000/x');
+    const chainedRecord = report.addRecord('orcid', '0002', { title: 'Chained' });
+    report.merge(chainedRecord, middle, 'similar-title', 'score 0.91');
+    const orphanRecord = report.addRecord('orcid', '0002', orphan);
+    report.merge(orphanRecord, { id: 'gone' }, 'same-doi');
+
+    const built = report.build([kept], '2026-01-01T00:00:00Z');
+    assert.deepStrictEqual(built.records.map(r => [r.fate, r.into && r.into.id]), [
+        ['kept', null],
+        ['merged', 'a'],
+        ['merged', 'a'],
+        ['dropped', null]
+    ]);
+    assert.deepStrictEqual(built.summary.merged_by_reason, { 'same-doi': 1, 'similar-title': 1 });
+    assert.strictEqual(built.summary.dropped, 1);
+});
+
+test('enrichment calls are listed with the record of the changed entry', () => {
+    const report = new MergeReport();
+    const entry = { id: 'orcid:x', title: 'Enriched' };
+    const record = report.addRecord('orcid', '0001', entry);
+    report.attach(record, entry);
+    report.keep(record);
+    report.recordEnrichment(entry, 'crossref', 'title-search', ['doi', 'journal_ref']);
+
+    const built = report.build([entry]);
+    assert.deepStrictEqual(built.records[0].enrichment, [
+        { source: 'crossref', method: 'title-search', fields: ['doi', 'journal_ref'] }
+    ]);
+    assert.strictEqual(built.summary.enriched_entries, 1);
+
+    const markdown = MergeReport.toMarkdown(built);
+    assert.match(markdown, /"Enriched": doi, journal_ref from crossref title-search/);
+});
+
+test('ambiguous author matches are listed for review', () => {
+    const report = new MergeReport();
+    const entry = { id: 'arxiv:2401.00001', title: 'Shared surname' };
+    report.addAmbiguousAuthor(entry, { name: 'E. Prada', position: 2, candidates: [{ id: '0002', score: 0.7 }, { id: '0004', score: 0.7 }] });
+
+    const built = report.build([entry]);
+    assert.strictEqual(built.summary.ambiguous_authors, 1);
+    assert.deepStrictEqual(built.ambiguous_authors[0].entry, { id: 'arxiv:2401.00001', title: 'Shared surname' });
+
+    const markdown = MergeReport.toMarkdown(built);
+    assert.match(markdown, /"E\. Prada" in "Shared surname": 0002 \(0\.70\), 0004 \(0\.70\)/);
+});
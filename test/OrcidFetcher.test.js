@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OrcidFetcher = require('../src/fetchers/OrcidFetcher');
+
+test('resolveCredentials layers the file, ORCID_OAUTH_JSON and the single-field variables', () => {
+    const file = { client_id: 'FILE', client_secret: 'file-secret' };
+    const legacy = JSON.stringify({ client_id: 'LEGACY', client_secret: 'legacy-secret' });
+
+    assert.deepStrictEqual(OrcidFetcher.resolveCredentials(file, {}), file);
+    assert.deepStrictEqual(OrcidFetcher.resolveCredentials(null, { ORCID_OAUTH_JSON: legacy }),
+        { client_id: 'LEGACY', client_secret: 'legacy-secret' });
+    assert.deepStrictEqual(OrcidFetcher.resolveCredentials(file, { ORCID_OAUTH_JSON: legacy, ORCID_CLIENT_ID: 'ENV' }),
+        { client_id: 'ENV', client_secret: 'legacy-secret' });
+    assert.strictEqual(OrcidFetcher.resolveCredentials(null, {}), null);
+});
+
+test('resolveCredentials rejects a malformed ORCID_OAUTH_JSON without echoing it', () => {
+    assert.throws(() => OrcidFetcher.resolveCredentials(null, { ORCID_OAUTH_JSON: '{"client_secret": "s3cret"' }), (error) => {
+        assert.match(error.message, /^ORCID_OAUTH_JSON is not valid JSON/);
+        assert.doesNotMatch(error.message, /s3cret/);
+        return true;
+    });
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Overrides = require('../src/merger/Overrides');
+
+test('override targets are normalized DOIs, arXiv IDs or canonical IDs', () => {
+    assert.strictEqual(Overrides.targetKey('10.1103/PhysRevB.99.045301'), 'doi:10.1103/physrevb.99.045301');
+    assert.strictEqual(Overrides.targetKey('https://doi.org/10.1103/PhysRevB.99.045301'), 'doi:10.1103/physrevb.99.045301');
+    assert.strictEqual(Overrides.targetKey('doi:10.1103/physrevb.99.045301'), 'doi:10.1103/physrevb.99.045301');
+    assert.strictEqual(Overrides.targetKey('2101.01234v3'), 'arxiv:2101.01234');
+    assert.strictEqual(Overrides.targetKey('arxiv:cond-mat/0601234'), 'arxiv:cond-mat/0601234');
+    assert.strictEqual(Overrides.targetKey('title:0123456789abcdef'), 'title:0123456789abcdef');
+    assert.strictEqual(Overrides.targetKey('Some title'), null);
+});
+
+test('invalid overrides are rejected when the configuration is loaded', () => {
+    assert.throws(() => new Overrides({ 'Some title': { suppress: 'x' } }), /not a DOI, arXiv ID or canonical ID/);
+    assert.throws(() => new Overrides({ '2101.01234': { hide: true } }), /unknown key "hide"/);
+    assert.throws(() => new Overrides({ '2101.01234': { fields: { id: 'x' } } }), /field "id" cannot be overridden/);
+    assert.throws(() => new Overrides({ '2101.01234': { include: true, suppress: 'x' } }), /exclude each other/);
+});
+
+test('overrides find their entry by canonical ID, DOI, arXiv ID or a former ID', () => {
+    const preprint = { id: 'arxiv:2101.01234', arxiv_url: 'https://arxiv.org/abs/2101.01234', doi: 'https://doi.org/10.1103/PhysRevB.1.1' };
+    const book = { id: 'title:0123456789abcdef', arxiv_url: null, doi: null };
+    const overrides = new Overrides({
+        '10.1103/physrevb.1.1': { note: 'by DOI' },
+        '2101.01234v2': { note: 'by arXiv ID' },
+        'title:0123456789abcdef': { note: 'by canonical ID' },
+        'doi:10.1000/old': { note: 'by former ID' },
+        '2501.99999': { note: 'gone' }
+    });
+    const aliases = { resolve: (id) => id === 'doi:10.1000/old' ? 'title:0123456789abcdef' : id };
+
+    assert.deepStrictEqual(overrides.resolve([preprint, book], aliases).map(({ override, entry }) => [override.note, entry]), [
+        ['by DOI', preprint],
+        ['by arXiv ID', preprint],
+        ['by canonical ID', book],
+        ['by former ID', book],
+        ['gone', null]
+    ]);
+});
@@ -0,0 +1,219 @@
+/**
+ * End-to-end: fetch from arXiv and ORCID, then merge, against a local stand-in server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { generatePublications } = require('../src/index');
+const PublicationFetcher = require('../src/PublicationFetcher');
+const HttpClient = require('../src/utils/HttpClient');
+const { FIXTURES_PATH, makeTempDir, removeDir, writeJSON, readFixture, startStubServer } = require('./helpers');
+
+const MEMBERS = {
+    '0001': {
+        name: 'Ana Test',
+        name_variants: ['A. Test'],
+        arxiv_authorid: 'test_a_1',
+        orcid: '0000-0000-0000-0001',
+        date_in: '2020-01-01',
+        date_out: null,
+        status: 'member'
+    },
+    '0002': {
+        name: 'Bob Example',
+        name_variants: ['Example, Bob'],
+        arxiv_authorid: null,
+        orcid: '0000-0000-0000-0002',
+        date_in: '2020-01-01',
+        date_out: null,
+        status: 'member'
+    }
+};
+
+function json(data, status = 200) {
+    return { status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) };
+}
+
+function handleRequest(req, url) {
+    const { pathname } = url;
+
+    if (pathname === '/arxiv/a/test_a_1.js') {
+        return { body: readFixture('arxiv/author_test_a_1.js') };
+    }
+    if (pathname === '/arxiv/api/query') {
+        return { headers: { 'Content-Type': 'application/atom+xml' }, body: readFixture('arxiv/empty_feed.xml') };
+    }
+    if (pathname === '/orcid/oauth/token' && req.method === 'POST') {
+        return json({ access_token: 'test-token', token_type: 'bearer', expires_in: 3600, scope: '/read-public' });
+    }
+
+    const worksMatch = pathname.match(/^\/orcid\/v3\.0\/([\d-]+)\/works$/);
+    if (worksMatch) {
+        if (req.headers.authorization !== 'Bearer test-token') return json({ error: 'unauthorized' }, 401);
+        const fixture = path.join(FIXTURES_PATH, 'orcid', `works_${worksMatch[1]}.json`);
+        return fs.existsSync(fixture) ? { body: fs.readFileSync(fixture, 'utf8') } : json({ group: [] });
+    }
+
+    if (pathname === '/crossref/works') {
+        return json({ status: 'ok', message: { items: [] } });
+    }
+    if (decodeURIComponent(pathname) === '/crossref/works/10.1038/nphys0003') {
+        return { body: readFixture('crossref/work_nphys0003.json') };
+    }
+
+    return null;
+}
+
+test('generatePublications fetches, merges and deduplicates against a stand-in server', async (t) => {
+    const server = await startStubServer(handleRequest);
+    const configPath = makeTempDir();
+    const dataPath = makeTempDir();
+    t.after(async () => {
+        await server.close();
+        removeDir(configPath);
+        removeDir(dataPath);
+    });
+
+    writeJSON(path.join(configPath, 'members.json'), MEMBERS);
+    writeJSON(path.join(configPath, 'journal_abbreviations.json'), { 'Physical Review B': 'Phys. Rev. B' });
+    writeJSON(path.join(configPath, 'journal_normalization_patterns.json'), {});
+    writeJSON(path.join(configPath, 'orcid_oauth.json'), { client_id: 'APP-TEST', client_secret: 'secret' });
+
+    const options = {
+        configPath,
+        dataPath,
+        returnData: true,
+        httpClient: new HttpClient({ retries: 0, backoff: 1 }),
+        endpoints: {
+            arxiv: `${server.url}/arxiv`,
+            arxivApi: `${server.url}/arxiv/api/query`,
+            crossrefApi: `${server.url}/crossref`,
+            orcidApi: `${server.url}/orcid`,
+            orcidToken: `${server.url}/orcid/oauth/token`
+        }
+    };
+
+    const publications = await generatePublications(options);
+    const titles = publications.entries.map(e => e.title).sort();
+
+    assert.deepStrictEqual(titles, [
+        'Andreev bound states in quantum dots',
+        'Majorana modes in hybrid nanowires',
+        'Topological fluxoids in tubes'
+    ]);
+
+    const majorana = publications.entries.find(e => e.title === 'Majorana modes in hybrid nanowires');
+    assert.deepStrictEqual(majorana.author_ids, ['0001', '0002']);
+    assert.strictEqual(majorana.journal_ref, 'Phys. Rev. B 100, 000001 (2024)');
+    assert.strictEqual(majorana.arxiv_url, 'https://arxiv.org/abs/2401.00001');
+
+    const andreev = publications.entries.find(e => e.title === 'Andreev bound states in quantum dots');
+    assert.strictEqual(andreev.authors, 'Bob Example, Dana Third');
+    assert.strictEqual(andreev.journal_ref, 'Nature Physics 20(3), 100-105 (2024)');
+    assert.deepStrictEqual(andreev.author_ids, ['0002']);
+
+    // The ORCID token was exchanged once and cached
+    assert.strictEqual(server.requests.filter(r => r.startsWith('POST /orcid/oauth/token')).length, 1);
+    assert.ok(fs.existsSync(path.join(dataPath, 'orcid_token.json')));
+
+    // Only the fields the lookups read are cached
+    const crossrefCache = fs.readFileSync(path.join(dataPath, 'cache', 'crossref.json'), 'utf8');
+    assert.match(crossrefCache, /Andreev bound states/);
+    assert.doesNotMatch(crossrefCache, /"reference"|"license"/);
+
+    // Re-merging offline is served entirely from the response cache
+    const requestCount = server.requests.length;
+    const offline = await generatePublications({ ...options, fetchArxiv: false, fetchOrcid: false, offline: true });
+
+    assert.strictEqual(server.requests.length, requestCount);
+    assert.deepStrictEqual(offline.entries.map(e => e.title).sort(), titles);
+    assert.strictEqual(
+        offline.entries.find(e => e.title === 'Andreev bound states in quantum dots').journal_ref,
+        'Nature Physics 20(3), 100-105 (2024)'
+    );
+});
+
+test('generatePublications reads the manual publications, also offline', async (t) => {
+    const configPath = makeTempDir();
+    const dataPath = makeTempDir();
+    t.after(() => {
+        removeDir(configPath);
+        removeDir(dataPath);
+    });
+
+    writeJSON(path.join(configPath, 'members.json'), MEMBERS);
+    writeJSON(path.join(configPath, 'journal_abbreviations.json'), {});
+    writeJSON(path.join(configPath, 'journal_normalization_patterns.json'), {});
+    fs.writeFileSync(path.join(configPath, 'manual_publications.bib'), `
+        @phdthesis{thesis2022,
+            title = {Quantum devices out of equilibrium},
+            author = {Example, Bob},
+            school = {Universidad Autónoma de Madrid},
+            year = {2022}
+        }
+    `);
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {});
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {});
+
+    const publications = await generatePublications({
+        configPath,
+        dataPath,
+        returnData: true,
+        fetchArxiv: false,
+        fetchOrcid: false,
+        offline: true
+    });
+
+    assert.deepStrictEqual(publications.entries.map(e => [e.title, e.type, e.curated, e.author_ids]), [
+        ['Quantum devices out of equilibrium', 'thesis', true, ['0002']]
+    ]);
+    assert.ok(fs.existsSync(path.join(dataPath, 'manual_publications.json')));
+});
+
+test('a broken overrides file stops the run instead of being ignored', (t) => {
+    const configPath = makeTempDir();
+    const dataPath = makeTempDir();
+    t.after(() => {
+        removeDir(configPath);
+        removeDir(dataPath);
+    });
+
+    writeJSON(path.join(configPath, 'members.json'), MEMBERS);
+    writeJSON(path.join(configPath, 'journal_abbreviations.json'), {});
+    writeJSON(path.join(configPath, 'journal_normalization_patterns.json'), {});
+
+    // Missing: no corrections
+    assert.deepStrictEqual(new PublicationFetcher(configPath, dataPath, { useCache: false }).overrides, {});
+
+    fs.writeFileSync(path.join(configPath, 'overrides.json'), '{ "doi:10.1000/a": { "title": "Fixed", } }');
+    assert.throws(
+        () => new PublicationFetcher(configPath, dataPath, { useCache: false }),
+        /Cannot read .*overrides\.json: .*JSON/
+    );
+});
+
+test('broken optional settings files stop the run instead of falling back to the defaults', (t) => {
+    const configPath = makeTempDir();
+    const dataPath = makeTempDir();
+    t.after(() => {
+        removeDir(configPath);
+        removeDir(dataPath);
+    });
+
+    writeJSON(path.join(configPath, 'members.json'), MEMBERS);
+    writeJSON(path.join(configPath, 'journal_abbreviations.json'), {});
+    writeJSON(path.join(configPath, 'journal_normalization_patterns.json'), {});
+
+    for (const file of ['merge_policy.json', 'dedup.json', 'membership.json', 'citation_style.json', 'inclusion.json', 'affiliations.json']) {
+        const filePath = path.join(configPath, file);
+        fs.writeFileSync(filePath, '{ "fields": { "title": ["manual", "arxiv"] }');
+        assert.throws(
+            () => new PublicationFetcher(configPath, dataPath, { useCache: false }),
+            error => error.message.startsWith(`Cannot read ${filePath}: `),
+            file
+        );
+        fs.unlinkSync(filePath);
+    }
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PublicationId = require('../src/utils/PublicationId');
+
+test('canonical IDs prefer the versionless arXiv ID, then the DOI', () => {
+    assert.strictEqual(PublicationId.canonical({ id: 'http://arxiv.org/abs/2510.20892v2', doi: '10.1103/X' }), 'arxiv:2510.20892');
+    assert.strictEqual(PublicationId.canonical({ id: 'cond-mat/0601234v1' }), 'arxiv:cond-mat/0601234');
+    assert.strictEqual(
+        PublicationId.canonical({ id: 'doi:https://doi.org/10.1103/PhysRevB.1.1', doi: 'https://doi.org/10.1103/PhysRevB.1.1' }),
+        'doi:10.1103/physrevb.1.1'
+    );
+    assert.strictEqual(
+        PublicationId.canonical({ id: 'doi:10.1000/a', doi: '10.1000/a', arxiv_url: 'https://arxiv.org/abs/2401.00001' }),
+        'arxiv:2401.00001'
+    );
+});
+
+test('works without arXiv ID or DOI are identified by a hash of their title key', () => {
+    const a = PublicationId.canonical({ id: 'orcid:0003-Majorana–Kitaev chains', title: 'Majorana–Kitaev chains' });
+    const b = PublicationId.canonical({ id: 'orcid:0001-x', title: 'Majorana-Kitaev Chains.' });
+
+    assert.match(a, /^title:[0-9a-f]{16}$/);
+    assert.strictEqual(a, b);
+    assert.strictEqual(PublicationId.canonical({ id: 'orcid:0001-', title: '' }), null);
+});
@@ -0,0 +1,734 @@
+/**
+ * PublicationMerger deduplication, with fetchers that never touch the network
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PublicationMerger = require('../src/merger/PublicationMerger');
+const AuthorList = require('../src/utils/AuthorList');
+const CitationParser = require('../src/parsers/CitationParser');
+const { makeTempDir, removeDir, writeJSON, offlineFetchers } = require('./helpers');
+
+const BASICS = {
+    '0001': { name: 'Ana Test', name_variants: ['A. Test'], date_in: '2020-01-01', date_out: null, status: 'member' },
+    '0002': { name: 'Bob Example', name_variants: [], date_in: '2020-01-01', date_out: null, status: 'member' }
+};
+
+function arxivEntry(id, title, extra = {}) {
+    return {
+        id: `http://arxiv.org/abs/${id}`,
+        title,
+        authors: 'Ana Test, Bob Example',
+        summary: `Abstract of ${title}`,
+        published: '2024-01-10T00:00:00Z',
+        categories: [],
+        ...extra
+    };
+}
+
+function orcidWork(title, ids = {}) {
+    const externalIds = Object.entries(ids).map(([type, value]) => ({
+        'external-id-type': type,
+        'external-id-value': value
+    }));
+    return {
+        title,
+        'publication-date': { year: { value: '2024' } },
+        'external-ids': externalIds
+    };
+}
+
+async function merge(t, arxivPubs, orcidPubs, fetchers = offlineFetchers()) {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), arxivPubs);
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), orcidPubs);
+
+    const merger = new PublicationMerger(dataPath, BASICS, {}, {}, { entries: [] }, fetchers);
+    return await merger.mergePublications();
+}
+
+test('ORCID works whose DOI is already known from arXiv are skipped regardless of DOI format', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00001v1', 'Paper one', { doi: '10.1103/PhysRevB.1.1' })] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [orcidWork('Paper one', { doi: 'https://doi.org/10.1103/physrevb.1.1' })] }
+    });
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.deepStrictEqual(result.entries[0].author_ids, ['0001', '0002']);
+});
+
+test('the same arXiv paper fetched for two members appears once', async (t) => {
+    const entry = arxivEntry('2401.00002v1', 'Shared paper');
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [entry] },
+        '0002': { name: 'Bob Example', entries: [{ ...entry }] }
+    }, {});
+
+    assert.strictEqual(result.entries.length, 1);
+});
+
+test('ORCID-only entries with the same title as an arXiv entry are dropped', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00003v1', 'Topological fluxoids')] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [orcidWork('Topological Fluxoids ')] }
+    });
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.entries[0].id, 'arxiv:2401.00003');
+});
+
+test('distinct papers are all kept', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00004v1', 'First'), arxivEntry('2401.00005v1', 'Second')] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [orcidWork('Third', { doi: '10.1000/third' })] }
+    });
+
+    assert.deepStrictEqual(result.entries.map(e => e.title).sort(), ['First', 'Second', 'Third']);
+});
+
+test('entries that gain an already-seen DOI during enrichment are dropped', async (t) => {
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.searchByTitleAndAuthor = async () => ({
+        doi: 'https://doi.org/10.1000/journal',
+        authors: null,
+        summary: 'Abstract',
+        venue: { journal: 'Journal', volume: '1', pages: '1', year: 2024 }
+    });
+
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00006v1', 'Journal version', { doi: '10.1000/journal' })] }
+    }, {
+        '0001': { name: 'Ana Test', entries: [orcidWork('Conference version of the work')] }
+    }, fetchers);
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.entries[0].title, 'Journal version');
+});
+
+test('versions of the same arXiv paper are merged and the latest version is recorded', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2510.20892v1', 'Versioned paper')] },
+        '0002': { name: 'Bob Example', entries: [arxivEntry('2510.20892v2', 'Versioned paper')] }
+    }, {});
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.entries[0].arxiv_url, 'https://arxiv.org/abs/2510.20892');
+    assert.strictEqual(result.entries[0].arxiv_version, 2);
+    assert.deepStrictEqual(result.entries[0].author_ids, ['0001', '0002']);
+});
+
+test('old-style arXiv identifiers get an arxiv_url and are deduplicated', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('cond-mat/0601234v3', 'Pre-2007 paper')] },
+        '0002': { name: 'Bob Example', entries: [arxivEntry('cond-mat/0601234v1', 'Pre-2007 paper')] }
+    }, {});
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.entries[0].arxiv_url, 'https://arxiv.org/abs/cond-mat/0601234');
+    assert.strictEqual(result.entries[0].arxiv_version, 3);
+});
+
+test('ORCID-only entries whose titles differ only in notation are dropped', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00007v1', 'Majorana–Kitaev chains in $\\pi$-junctions')] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [orcidWork('Majorana-Kitaev chains in π junctions.')] }
+    });
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.entries[0].id, 'arxiv:2401.00007');
+});
+
+test('merged-away records and errata are listed under the kept entry', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [
+            // No DOI of its own: two different DOIs would be two different works
+            arxivEntry('2401.00008v1', 'Fluxoid dynamics in superconducting tubes', { journal_ref: 'Phys. Rev. B 1, 2 (2024)' })
+        ] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [
+            orcidWork('Fluxoid dynamics in superconducting tubes', { doi: '10.1000/fluxoids-proc' }),
+            orcidWork('Erratum: Fluxoid dynamics in superconducting tubes', { doi: '10.1000/fluxoids-erratum' })
+        ] }
+    });
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.deepStrictEqual(result.entries[0].related.map(r => [r.relation, r.doi]), [
+        ['duplicate', '10.1000/fluxoids-proc'],
+        ['erratum', '10.1000/fluxoids-erratum']
+    ]);
+});
+
+test('works with similar titles but different DOIs or formulas are both kept', async (t) => {
+    const result = await merge(t, {}, {
+        '0001': { name: 'Ana Test', entries: [
+            orcidWork('Majorana zero modes in InAs nanowires', { doi: '10.1000/inas' }),
+            orcidWork('Majorana zero modes in InSb nanowires'),
+            orcidWork('Andreev spectroscopy of hybrid junctions', { doi: '10.1000/andreev-1' }),
+            orcidWork('Andreev spectroscopy of hybrid junctions.', { doi: '10.1000/andreev-2' })
+        ] }
+    });
+
+    assert.strictEqual(result.entries.length, 4);
+    assert.deepStrictEqual(result.entries.map(e => e.doi).filter(doi => doi).sort(), [
+        'https://doi.org/10.1000/andreev-1', 'https://doi.org/10.1000/andreev-2', 'https://doi.org/10.1000/inas'
+    ]);
+});
+
+test('provenance records the source and method of each field when requested', async (t) => {
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.searchByTitleAndAuthor = async () => ({
+        doi: '10.1000/found',
+        authors: null,
+        summary: 'Abstract from CrossRef',
+        venue: { journal: 'Journal', volume: '2', pages: '3', year: 2024 }
+    });
+
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00009v1', 'Preprint only')] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [orcidWork('Work found by title')] }
+    }, { ...fetchers, provenance: true });
+
+    const preprint = result.entries.find(e => e.title === 'Preprint only');
+    assert.deepStrictEqual(
+        [preprint.provenance.summary.source, preprint.provenance.summary.method],
+        ['arxiv', 'author-feed']
+    );
+    assert.strictEqual(preprint.provenance.arxiv_url.method, 'from-id');
+
+    const work = result.entries.find(e => e.title === 'Work found by title');
+    assert.strictEqual(work.provenance.title.source, 'orcid');
+    assert.strictEqual(work.provenance.authors.method, 'member-name');
+    assert.deepStrictEqual(
+        [work.provenance.doi.source, work.provenance.doi.method],
+        ['crossref', 'title-search']
+    );
+    assert.ok(!Number.isNaN(Date.parse(work.provenance.doi.timestamp)));
+});
+
+test('provenance is stripped from the output by default', async (t) => {
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00010v1', 'Plain entry')] }
+    }, {});
+
+    assert.ok(!('provenance' in result.entries[0]));
+    assert.ok(!('_provenance' in result.entries[0]));
+});
+
+test('the merge report lists the fate of every input record', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00009v1', 'Reported paper', { doi: '10.1000/reported' })] },
+        '0002': { name: 'Bob Example', entries: [arxivEntry('2401.00009v2', 'Reported paper', { doi: '10.1000/reported' })] }
+    });
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {
+        '0002': { name: 'Bob Example', entries: [
+            orcidWork('Reported paper', { doi: '10.1000/REPORTED' }),
+            orcidWork('Reported paper.')
+        ] }
+    });
+
+    const merger = new PublicationMerger(dataPath, BASICS, {}, {}, { entries: [] }, offlineFetchers());
+    await merger.mergePublications();
+
+    const report = JSON.parse(fs.readFileSync(path.join(dataPath, 'merge_report.json'), 'utf8'));
+    assert.deepStrictEqual(report.records.map(r => [r.source, r.fate, r.reason]), [
+        ['arxiv', 'kept', null],
+        ['arxiv', 'merged', 'same-arxiv-id'],
+        ['orcid', 'merged', 'doi-known'],
+        ['orcid', 'merged', 'similar-title']
+    ]);
+    assert.ok(report.records.slice(1).every(r => r.into.title === 'Reported paper'));
+    assert.strictEqual(report.summary.input_records, 4);
+    assert.strictEqual(report.summary.output_entries, 1);
+    assert.match(fs.readFileSync(path.join(dataPath, 'merge_report.md'), 'utf8'), /Records merged into another entry: 3/);
+});
+
+test('the merge policy lets CrossRef journal refs replace stale arXiv ones', async (t) => {
+    const entries = () => ({
+        '0001': { name: 'Ana Test', entries: [
+            arxivEntry('2401.00010v1', 'Policy paper', { doi: '10.1103/prl.136.010101', journal_ref: 'Phys. Rev. Lett 136' })
+        ] }
+    });
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.fetchVenue = async () => ({
+        journal: 'Physical Review Letters', volume: '136', article_number: '010101', year: 2026
+    });
+
+    const byDefault = await merge(t, entries(), {}, { ...fetchers, provenance: true });
+    assert.strictEqual(byDefault.entries[0].journal_ref, 'Physical Review Letters 136, 010101 (2026)');
+    assert.strictEqual(byDefault.entries[0].provenance.journal_ref.source, 'crossref');
+
+    const mergePolicy = { journal_ref: { sources: ['arxiv', 'crossref'], rule: 'priority' } };
+    const arxivFirst = await merge(t, entries(), {}, { ...fetchers, mergePolicy });
+    assert.strictEqual(arxivFirst.entries[0].journal_ref, 'Phys. Rev. Lett 136');
+});
+
+test('ORCID values fill fields of the matching arXiv record', async (t) => {
+    const fetchers = offlineFetchers();
+    fetchers.arxivFetcher.fetchMetadataBatch = async (ids) => new Map(ids.map(id => [id, arxivEntry(id, 'Matched paper')]));
+    const work = orcidWork('Matched paper', { arxiv: 'arXiv:2401.00011', doi: '10.1000/matched' });
+    work.journal = 'Phys. Rev. B';
+
+    const result = await merge(t, {}, {
+        '0001': { name: 'Ana Test', entries: [work] }
+    }, { ...fetchers, provenance: true });
+
+    assert.strictEqual(result.entries.length, 1);
+    assert.strictEqual(result.entries[0].doi, 'https://doi.org/10.1000/matched');
+    assert.strictEqual(result.entries[0].journal_ref, 'Phys. Rev. B');
+    assert.strictEqual(result.entries[0].provenance.doi.source, 'orcid');
+    assert.strictEqual(result.entries[0].provenance.title.source, 'arxiv');
+});
+
+test('journal refs from citations and CrossRef title searches follow the citation style', async (t) => {
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.searchByTitleAndAuthor = async (title) => title === 'Found by title' ? {
+        doi: 'https://doi.org/10.1000/found',
+        authors: null,
+        summary: null,
+        venue: { journal: 'Journal of Tests', volume: '7', issue: null, pages: '10-12', year: 2023 }
+    } : null;
+    const cited = orcidWork('Cited work');
+    cited.citation = {
+        type: 'bibtex',
+        value: '@article{c, title = {Cited work}, author = {Example, Bob}, journal = {Physical Review B}, volume = {1}, number = {2}, pages = {3--5}, year = {2024}}'
+    };
+
+    const result = await merge(t, {}, {
+        '0002': { name: 'Bob Example', entries: [cited, orcidWork('Found by title')] }
+    }, {
+        ...fetchers,
+        citationStyle: { journal: 'full', template: '{journal}, vol. {volume}[, no. {issue}][, pp. {pages}] ({year})' }
+    });
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e.journal_ref]));
+    assert.deepStrictEqual(byTitle, {
+        'Cited work': 'Physical Review B, vol. 1, no. 2, pp. 3-5 (2024)',
+        'Found by title': 'Journal of Tests, vol. 7, pp. 10-12 (2023)'
+    });
+});
+
+test('journal refs are only re-rendered when they parse completely', async (t) => {
+    const refs = [
+        'Novel 2D Mater..: Tuning electronic properties on the atomic scale (2013)',
+        'Spinograph Workshop 2016 - New trends in 2D Mater.. (2016)',
+        'Phys. Rev. B 88, 121408(R) (2013)',
+        'Nanotechnology 30(24), 24LT01 (2019)',
+        'Phys. Rev. B, 75, 113407 (2007)'
+    ];
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: refs.map((ref, i) => arxivEntry(`2401.0010${i}v1`, `Paper ${'ABCDE'[i]}`, { journal_ref: ref })) }
+    }, {});
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e]));
+    assert.strictEqual(byTitle['Paper A'].journal_ref, refs[0]);
+    assert.strictEqual(byTitle['Paper A'].venue, null);
+    assert.strictEqual(byTitle['Paper B'].journal_ref, refs[1]);
+    assert.strictEqual(byTitle['Paper C'].journal_ref, 'Phys. Rev. B 88, 121408(R) (2013)');
+    assert.strictEqual(byTitle['Paper C'].venue.article_number, '121408(R)');
+    assert.strictEqual(byTitle['Paper D'].journal_ref, 'Nanotechnology 30(24), 24LT01 (2019)');
+    assert.strictEqual(byTitle['Paper E'].journal_ref, 'Phys. Rev. B 75, 113407 (2007)');
+});
+
+test('IDs are canonical and stay the same when a new arXiv version appears', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+    const run = async (version) => {
+        writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+            '0001': { name: 'Ana Test', entries: [arxivEntry(`2401.00012v${version}`, 'Stable paper')] }
+        });
+        writeJSON(path.join(dataPath, 'orcid_publications.json'), {
+            '0002': { name: 'Bob Example', entries: [orcidWork('Only in ORCID', { doi: '10.1000/Only' })] }
+        });
+        const merger = new PublicationMerger(dataPath, BASICS, {}, {}, { entries: [] }, offlineFetchers());
+        return (await merger.mergePublications()).entries.map(e => e.id);
+    };
+
+    assert.deepStrictEqual(await run(1), ['arxiv:2401.00012', 'doi:10.1000/only']);
+    assert.deepStrictEqual(await run(2), ['arxiv:2401.00012', 'doi:10.1000/only']);
+
+    const aliases = JSON.parse(fs.readFileSync(path.join(dataPath, 'id_aliases.json'), 'utf8'));
+    assert.deepStrictEqual(aliases, {
+        'doi:https://doi.org/10.1000/Only': 'doi:10.1000/only',
+        'http://arxiv.org/abs/2401.00012v1': 'arxiv:2401.00012',
+        'http://arxiv.org/abs/2401.00012v2': 'arxiv:2401.00012'
+    });
+});
+
+test('entries get a publication type and books keep their ISBN out of journal_ref', async (t) => {
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.fetchType = async (doi) => doi.includes('book')
+        ? { type: 'book', isbn: '9783030000001' }
+        : { type: null, isbn: null };
+    const book = orcidWork('A book on nanowires', { doi: '10.1000/book', isbn: '978-3-030-00000-1' });
+    book.type = 'book';
+
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [
+            arxivEntry('2401.00013v1', 'Thesis work', { comment: 'PhD thesis, 150 pages' }),
+            arxivEntry('2401.00014v1', 'Published work', { journal_ref: 'Phys. Rev. B 1, 3 (2024)' }),
+            arxivEntry('2401.00015v1', 'Plain preprint')
+        ] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [book] }
+    }, fetchers);
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e]));
+    assert.strictEqual(byTitle['Thesis work'].type, 'thesis');
+    assert.strictEqual(byTitle['Published work'].type, 'journal-article');
+    assert.strictEqual(byTitle['Plain preprint'].type, 'preprint');
+    assert.strictEqual(byTitle['A book on nanowires'].type, 'book');
+    assert.strictEqual(byTitle['A book on nanowires'].isbn, '978-3-030-00000-1');
+    assert.strictEqual(byTitle['A book on nanowires'].journal_ref, null);
+    assert.strictEqual(byTitle['Plain preprint'].isbn, null);
+});
+
+test('entries carry a parsed venue and journal refs follow the citation style', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+        '0001': { name: 'Ana Test', entries: [
+            arxivEntry('2401.00016v1', 'Parsed venue', { journal_ref: 'Phys Rev B 1, 035401 (2024)' }),
+            arxivEntry('2401.00017v1', 'CrossRef venue', { doi: '10.1103/venue', journal_ref: 'PRB 2' })
+        ] }
+    });
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {});
+
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.fetchVenue = async () => ({
+        journal: 'Physical Review B', abbreviation: 'Phys. Rev. B', issn: '2469-9950',
+        volume: '2', issue: '4', pages: null, article_number: '045101', year: 2025
+    });
+    const run = async (citationStyle) => {
+        const merger = new PublicationMerger(dataPath, BASICS,
+            { 'Physical Review B': 'Phys. Rev. B' },
+            { 'Phys\\.?\\s*Rev\\.?\\s*B': 'Phys. Rev. B' },
+            { entries: [] }, { ...fetchers, provenance: true, citationStyle });
+        const result = await merger.mergePublications();
+        return Object.fromEntries(result.entries.map(e => [e.title, e]));
+    };
+
+    const byDefault = await run();
+    assert.strictEqual(byDefault['Parsed venue'].journal_ref, 'Phys. Rev. B 1, 035401 (2024)');
+    assert.strictEqual(byDefault['Parsed venue'].venue.journal, 'Physical Review B');
+    assert.strictEqual(byDefault['Parsed venue'].venue.article_number, '035401');
+    assert.strictEqual(byDefault['Parsed venue'].provenance.venue.source, 'arxiv');
+    assert.strictEqual(byDefault['CrossRef venue'].journal_ref, 'Phys. Rev. B 2(4), 045101 (2025)');
+    assert.strictEqual(byDefault['CrossRef venue'].venue.issn, '2469-9950');
+    assert.strictEqual(byDefault['CrossRef venue'].provenance.venue.source, 'crossref');
+
+    const full = await run({ journal: 'full' });
+    assert.strictEqual(full['Parsed venue'].journal_ref, 'Physical Review B 1, 035401 (2024)');
+});
+
+test('entries carry a structured author list and take their author IDs from it', async (t) => {
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.fetchMetadata = async () => ({
+        authors: 'Ana Test, B. Example, Some Collaboration',
+        author_list: [
+            { name: 'Ana Test', given: 'Ana', family: 'Test', orcid: null, affiliation: 'ICMM', member_id: null, position: 1, corresponding: null },
+            { name: 'B. Example', given: 'B.', family: 'Example', orcid: null, affiliation: null, member_id: null, position: 2, corresponding: null },
+            { name: 'Some Collaboration', given: null, family: null, orcid: null, affiliation: null, member_id: null, position: 3, corresponding: null }
+        ],
+        summary: null
+    });
+
+    const result = await merge(t, {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00018v1', 'Listed authors', { authors: 'A. Test, Carl Other' })] }
+    }, {
+        '0002': { name: 'Bob Example', entries: [orcidWork('Authors from CrossRef', { doi: '10.1000/authors' })] }
+    }, { ...fetchers, provenance: true });
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e]));
+    const arxiv = byTitle['Listed authors'];
+    assert.strictEqual(arxiv.authors, 'Ana Test, Carl Other');
+    assert.deepStrictEqual(arxiv.author_list.map(a => [a.name, a.member_id, a.position]), [['Ana Test', '0001', 1], ['Carl Other', null, 2]]);
+    assert.deepStrictEqual(arxiv.author_ids, ['0001']);
+
+    const crossref = byTitle['Authors from CrossRef'];
+    assert.strictEqual(crossref.authors, 'Ana Test, Bob Example, Some Collaboration');
+    assert.strictEqual(crossref.author_list[0].affiliation, 'ICMM');
+    assert.deepStrictEqual(crossref.author_ids, ['0001', '0002']);
+    assert.strictEqual(crossref.provenance.author_list.source, 'crossref');
+});
+
+test('inclusion is decided after the merge and recorded as inclusion_reason', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+
+    const basics = {
+        '0001': { name: 'Ana Test', name_variants: [], date_in: '2020-01-01', date_out: '2022-12-31', status: 'member' },
+        '0002': { name: 'Bob Example', name_variants: [], date_in: '2023-06-01', date_out: '2024-06-30', status: 'member' }
+    };
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+        '0001': {
+            name: 'Ana Test',
+            entries: [
+                arxivEntry('2101.00001v1', 'During membership', { published: '2021-03-01T00:00:00Z' }),
+                arxivEntry('2401.00002v1', 'With an active co-author', { published: '2024-01-10T00:00:00Z' }),
+                arxivEntry('2501.00003v1', 'After leaving', { published: '2025-01-10T00:00:00Z', authors: 'Ana Test, Carl Other' })
+            ]
+        }
+    });
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {
+        '0001': { name: 'Ana Test', entries: [orcidWork('After leaving', { arxiv: 'arXiv:2501.00003' })] }
+    });
+
+    const merger = new PublicationMerger(dataPath, basics, {}, {}, { entries: [] }, offlineFetchers());
+    const result = await merger.mergePublications();
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e]));
+    assert.deepStrictEqual(Object.keys(byTitle).sort(), ['During membership', 'With an active co-author']);
+    assert.strictEqual(byTitle['During membership'].inclusion_reason.rule, 'membership-period');
+    assert.deepStrictEqual(byTitle['With an active co-author'].inclusion_reason, {
+        rule: 'co-author',
+        member_id: '0002',
+        detail: 'member 2023-06-01 – 2024-06-30'
+    });
+
+    const report = JSON.parse(fs.readFileSync(path.join(dataPath, 'merge_report.json'), 'utf8'));
+    const excluded = report.records.filter(r => r.fate === 'excluded');
+    assert.deepStrictEqual(excluded.map(r => [r.source, r.title, r.reason]), [
+        ['arxiv', 'After leaving', 'no-inclusion-rule'],
+        ['orcid', 'After leaving', 'no-inclusion-rule']
+    ]);
+    assert.strictEqual(report.summary.excluded, 2);
+    assert.match(fs.readFileSync(path.join(dataPath, 'merge_report.md'), 'utf8'), /Records excluded by the inclusion rules: 2/);
+});
+
+test('entries affiliated with the group are marked and admitted by the affiliation rule', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+
+    const basics = {
+        '0001': { name: 'Ana Test', name_variants: [], date_in: '2020-01-01', date_out: '2022-12-31', status: 'member' }
+    };
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+        '0001': {
+            name: 'Ana Test',
+            entries: [
+                arxivEntry('2501.00004v1', 'Written at the institute', {
+                    published: '2025-01-10T00:00:00Z',
+                    authors: 'Carl Other, Ana Test',
+                    author_list: AuthorList.fromArxiv([
+                        { name: 'Carl Other', affiliations: ['University of Elsewhere'] },
+                        { name: 'Ana Test', affiliations: ['ICMM-CSIC, Madrid, Spain'] }
+                    ])
+                }),
+                arxivEntry('2501.00007v1', 'Deposited with a ROR ID', {
+                    published: '2025-03-10T00:00:00Z',
+                    authors: 'Ana Test',
+                    // The affiliation name matches no alias; only the ROR ID identifies the institute
+                    author_list: [AuthorList.author({
+                        name: 'Ana Test',
+                        affiliation: 'Spanish National Research Council',
+                        ror_ids: ['02qqy8j09']
+                    })]
+                }),
+                arxivEntry('2501.00006v1', 'Co-author at the institute', {
+                    published: '2025-02-10T00:00:00Z',
+                    authors: 'Ana Test, Carl Other',
+                    author_list: AuthorList.fromArxiv([
+                        { name: 'Ana Test', affiliations: ['University of Elsewhere'] },
+                        { name: 'Carl Other', affiliations: ['ICMM-CSIC, Madrid, Spain'] }
+                    ])
+                }),
+                arxivEntry('2101.00005v1', 'Written elsewhere', {
+                    published: '2021-01-10T00:00:00Z',
+                    authors: 'Ana Test',
+                    author_list: AuthorList.fromArxiv([{ name: 'Ana Test', affiliations: ['University of Elsewhere'] }])
+                })
+            ]
+        }
+    });
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {});
+
+    const merger = new PublicationMerger(dataPath, basics, {}, {}, { entries: [] }, {
+        ...offlineFetchers(),
+        inclusion: { rules: [{ rule: 'membership-period' }, { rule: 'affiliation' }] },
+        affiliations: JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'affiliations.json'), 'utf8'))
+    });
+    const result = await merger.mergePublications();
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e]));
+    const institute = byTitle['Written at the institute'];
+    assert.strictEqual(institute.group_affiliated, true);
+    assert.deepStrictEqual(institute.author_list.map(a => a.group_affiliated), [false, true]);
+    assert.deepStrictEqual(institute.inclusion_reason, { rule: 'affiliation', member_id: '0001', detail: 'Ana Test: ICMM-CSIC, Madrid, Spain' });
+    // Only a member's affiliation counts, not a co-author's
+    assert.strictEqual(byTitle['Co-author at the institute'], undefined);
+    const deposited = byTitle['Deposited with a ROR ID'];
+    assert.strictEqual(deposited.group_affiliated, true);
+    assert.deepStrictEqual(deposited.author_list[0].ror_ids, ['https://ror.org/02qqy8j09']);
+    assert.strictEqual(deposited.inclusion_reason.rule, 'affiliation');
+    assert.strictEqual(byTitle['Written elsewhere'].group_affiliated, false);
+    assert.strictEqual(byTitle['Written elsewhere'].inclusion_reason.rule, 'membership-period');
+
+    const report = JSON.parse(fs.readFileSync(path.join(dataPath, 'merge_report.json'), 'utf8'));
+    assert.strictEqual(report.summary.group_affiliated, 2);
+});
+
+test('manual records curate matching entries, win conflicts and add works no source lists', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+        '0001': { name: 'Ana Test', entries: [arxivEntry('2401.00021v1', 'Mangled tilte', { doi: '10.1000/curated' })] }
+    });
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {});
+    writeJSON(path.join(dataPath, 'manual_publications.json'), {
+        '0001': {
+            name: 'Ana Test',
+            entries: [
+                CitationParser.parseBibTeX(`@article{a, title = {Curated title}, author = {Test, Ana and Example, Bob},
+                    journal = {Physical Review B}, volume = {1}, pages = {1}, year = {2024}, doi = {10.1000/CURATED}}`),
+                CitationParser.parseBibTeX(`@incollection{b, title = {A book chapter}, author = {Test, Ana},
+                    booktitle = {Handbook of Tests}, year = {2023}, isbn = {978-3-16-148410-0}}`)
+            ]
+        }
+    });
+
+    const fetchers = offlineFetchers();
+    fetchers.crossrefFetcher.fetchVenue = async () => ({ journal: 'Physical Review B', volume: '99', year: 2024 });
+    const merger = new PublicationMerger(dataPath, BASICS, {}, {}, { entries: [] }, { ...fetchers, provenance: true });
+    const result = await merger.mergePublications();
+
+    const byTitle = Object.fromEntries(result.entries.map(e => [e.title, e]));
+    assert.deepStrictEqual(Object.keys(byTitle).sort(), ['A book chapter', 'Curated title']);
+
+    const curated = byTitle['Curated title'];
+    assert.strictEqual(curated.curated, true);
+    assert.strictEqual(curated.journal_ref, 'Physical Review B 1, 1 (2024)');
+    assert.strictEqual(curated.arxiv_url, 'https://arxiv.org/abs/2401.00021');
+    assert.strictEqual(curated.provenance.title.source, 'manual');
+
+    const chapter = byTitle['A book chapter'];
+    assert.strictEqual(chapter.curated, true);
+    assert.strictEqual(chapter.type, 'book-chapter');
+    assert.strictEqual(chapter.isbn, '978-3-16-148410-0');
+    assert.strictEqual(chapter.published, '2023-01-01T00:00:00.000Z');
+    assert.deepStrictEqual(chapter.author_ids, ['0001']);
+
+    const report = JSON.parse(fs.readFileSync(path.join(dataPath, 'merge_report.json'), 'utf8'));
+    assert.deepStrictEqual(report.records.filter(r => r.source === 'manual').map(r => [r.fate, r.reason]), [
+        ['merged', 'doi-known'],
+        ['kept', null]
+    ]);
+    assert.strictEqual(report.summary.manual_records, 2);
+});
+
+test('overrides patch fields, correct author IDs, force inclusion and suppress entries', async (t) => {
+    const dataPath = makeTempDir();
+    t.after(() => removeDir(dataPath));
+
+    writeJSON(path.join(dataPath, 'arxiv_publications.json'), {
+        '0001': {
+            name: 'Ana Test',
+            entries: [
+                arxivEntry('2101.00001v1', 'Mangled tilte', { published: '2021-03-01T00:00:00Z' }),
+                arxivEntry('2101.00002v1', 'By a namesake', { published: '2021-04-01T00:00:00Z' })
+            ]
+        },
+        '0002': {
+            name: 'Bob Example',
+            entries: [
+                arxivEntry('2101.00003v1', 'Wrongly attributed', { published: '2021-05-01T00:00:00Z', authors: 'Bob Example, Carl Other' })
+            ]
+        }
+    });
+    writeJSON(path.join(dataPath, 'orcid_publications.json'), {});
+
+    const basics = {
+        ...BASICS,
+        '0001': { ...BASICS['0001'], date_out: '2022-12-31' }
+    };
+    const merger = new PublicationMerger(dataPath, basics, {}, {}, { entries: [] }, {
+        ...offlineFetchers(),
+        inclusion: { rules: [{ rule: 'current-member' }] },
+        overrides: {
+            'arxiv:2101.00001': { fields: { title: 'Correct title', published: '2020-12-01T00:00:00Z' }, include: true, note: 'Listed by the group' },
+            '2101.00002v1': { suppress: 'Paper by a namesake' },
+            '2101.00003': { author_ids: ['0001'] },
+            '10.1000/gone': { suppress: 'Withdrawn' }
+        },
+        provenance: true
+    });
+    const result = await merger.mergePublications();
+
+    const byId = Object.fromEntries(result.entries.map(e => [e.id, e]));
+    assert.deepStrictEqual(Object.keys(byId).sort(), ['arxiv:2101.00001']);
+
+    const patched = byId['arxiv:2101.00001'];
+    assert.strictEqual(patched.title, 'Correct title');
+    assert.strictEqual(patched.published, '2020-12-01T00:00:00Z');
+    assert.deepStrictEqual(patched.inclusion_reason, { rule: 'override', member_id: null, detail: 'Listed by the group' });
+    assert.deepStrictEqual(patched.provenance.title, { source: 'config', method: 'overrides', timestamp: patched.provenance.title.timestamp });
+
+    // Without Bob (a namesake) among the authors, no current member wrote the work
+    const report = JSON.parse(fs.readFileSync(path.join(dataPath, 'merge_report.json'), 'utf8'));
+    const attributed = report.records.find(r => r.title === 'Wrongly attributed');
+    assert.deepStrictEqual([attributed.fate, attributed.reason], ['excluded', 'no-inclusion-rule']);
+
+    const suppressed = report.records.find(r => r.title === 'By a namesake');
+    assert.deepStrictEqual([suppressed.fate, suppressed.reason, suppressed.detail], ['excluded', 'suppressed', 'Paper by a namesake']);
+    assert.strictEqual(report.summary.suppressed, 1);
+    assert.deepStrictEqual(report.stale_overrides, ['10.1000/gone']);
+    assert.match(fs.readFileSync(path.join(dataPath, 'merge_report.md'), 'utf8'), /"10\.1000\/gone" matches no publication/);
+});
+
+test('entries get plain-text and HTML titles and abstracts', async (t) => {
+    const result = await merge(t, {
+        '0001': {
+            name: 'Ana Test',
+            entries: [arxivEntry('2401.00001v1', 'Surface states of Bi$_2$Se$_3$', {
+                summary: 'We find \\emph{helical} states with a $\\mathbb{Z}_2$ index.'
+            })]
+        }
+    }, {});
+
+    const [entry] = result.entries;
+    assert.strictEqual(entry.title, 'Surface states of Bi$_2$Se$_3$');
+    assert.strictEqual(entry.title_text, 'Surface states of Bi2Se3');
+    assert.strictEqual(entry.title_html, 'Surface states of Bi<sub>2</sub>Se<sub>3</sub>');
+    assert.strictEqual(entry.summary_text, 'We find helical states with a ℤ2 index.');
+    assert.strictEqual(entry.summary_html, 'We find <i>helical</i> states with a ℤ<sub>2</sub> index.');
+});
+
+test('ORCID-only works take type, abstract and authors from their RIS citation', async (t) => {
+    const work = orcidWork('Majorana states in a handbook');
+    work.citation = {
+        type: 'ris',
+        value: [
+            'TY  - CHAP',
+            'TI  - Majorana states in a handbook',
+            'AU  - Test, Ana',
+            'AU  - Other, Carl',
+            'T2  - Handbook of Topological Matter',
+            'PY  - 2024',
+            'SN  - 978-3-16-148410-0',
+            'AB  - The abstract of the chapter.',
+            'ER  - '
+        ].join('\n')
+    };
+
+    const result = await merge(t, {}, { '0001': { name: 'Ana Test', entries: [work] } });
+
+    assert.strictEqual(result.entries.length, 1);
+    const [entry] = result.entries;
+    assert.strictEqual(entry.type, 'book-chapter');
+    assert.strictEqual(entry.summary, 'The abstract of the chapter.');
+    assert.strictEqual(entry.isbn, '978-3-16-148410-0');
+    assert.strictEqual(entry.authors, 'Ana Test, Carl Other');
+    assert.strictEqual(entry.journal_ref, 'Handbook of Topological Matter (2024)');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PublicationType = require('../src/utils/PublicationType');
+
+test('source vocabularies map onto the publication types', () => {
+    assert.strictEqual(PublicationType.fromCrossref('proceedings-article'), 'conference-paper');
+    assert.strictEqual(PublicationType.fromCrossref('monograph'), 'book');
+    assert.strictEqual(PublicationType.fromCrossref('posted-content'), 'preprint');
+    assert.strictEqual(PublicationType.fromCrossref('component'), null);
+
+    assert.strictEqual(PublicationType.fromOrcid('BOOK_CHAPTER'), 'book-chapter');
+    assert.strictEqual(PublicationType.fromOrcid('data-set'), 'dataset');
+    assert.strictEqual(PublicationType.fromOrcid('dissertation-thesis'), 'thesis');
+
+    assert.strictEqual(PublicationType.fromBibtex('PhDThesis'), 'thesis');
+    assert.strictEqual(PublicationType.fromBibtex('misc'), null);
+    assert.strictEqual(PublicationType.fromRis('CHAP'), 'book-chapter');
+    assert.strictEqual(PublicationType.fromRis('ejour'), 'journal-article');
+    assert.strictEqual(PublicationType.fromRis('RPRT'), null);
+});
+
+test('arXiv comments reveal theses, errata and proceedings', () => {
+    assert.strictEqual(PublicationType.fromArxivComment('PhD thesis, 180 pages, 40 figures'), 'thesis');
+    assert.strictEqual(PublicationType.fromArxivComment("Master's thesis"), 'thesis');
+    assert.strictEqual(PublicationType.fromArxivComment('Erratum to Phys. Rev. B 1, 1'), 'erratum');
+    assert.strictEqual(PublicationType.fromArxivComment('Contribution to the proceedings of LT30'), 'conference-paper');
+    assert.strictEqual(PublicationType.fromArxivComment('5 pages, 3 figures'), null);
+    assert.strictEqual(PublicationType.fromArxivComment(null), null);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RISParser = require('../src/parsers/RISParser');
+
+test('parse returns one typed record per TY ... ER block, with repeated tags in order', () => {
+    const records = RISParser.parse([
+        '\uFEFFTY  - JOUR',
+        'AU  - Test, Ana',
+        'AU  - Example, Bob',
+        'KW  - Majorana',
+        'KW  - nanowires',
+        'TI  - First',
+        'ER  - ',
+        '',
+        'Provider: a reference manager',
+        'TY  - BOOK',
+        'BT  - A book',
+        'ER  -'
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(records, [
+        { type: 'JOUR', tags: { AU: ['Test, Ana', 'Example, Bob'], KW: ['Majorana', 'nanowires'], TI: ['First'] } },
+        { type: 'BOOK', tags: { BT: ['A book'] } }
+    ]);
+});
+
+test('records without an ER line end at the next TY line; wrapped values are joined', () => {
+    const records = RISParser.parse([
+        'TY - CONF',
+        'TI - Proceedings paper',
+        'AB  - First line',
+        'second line',
+        'TY  - THES',
+        'TI  - A thesis'
+    ].join('\n'));
+
+    assert.deepStrictEqual(records.map(r => [r.type, RISParser.first(r, 'TI'), RISParser.first(r, 'AB')]), [
+        ['CONF', 'Proceedings paper', 'First line second line'],
+        ['THES', 'A thesis', null]
+    ]);
+});
+
+test('dateParts and standardNumbers read the usual RIS spellings', () => {
+    assert.deepStrictEqual(RISParser.dateParts('2020/05//'), { year: '2020', month: '05', day: null });
+    assert.deepStrictEqual(RISParser.dateParts('2021-11-03'), { year: '2021', month: '11', day: '03' });
+    assert.deepStrictEqual(RISParser.dateParts(''), { year: null, month: null, day: null });
+
+    const record = { type: 'BOOK', tags: { SN: ['ISBN: 978-3-16-148410-0 (print)', '2469-9950, 0-306-40615-2'] } };
+    assert.deepStrictEqual(RISParser.standardNumbers(record), {
+        isbn: ['978-3-16-148410-0', '0-306-40615-2'],
+        issn: ['2469-9950']
+    });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RelationLinker = require('../src/merger/RelationLinker');
+const PublicationId = require('../src/utils/PublicationId');
+
+test('erratumOf strips erratum prefixes and trailing references', () => {
+    assert.strictEqual(RelationLinker.erratumOf('Erratum: Majorana modes [Phys. Rev. B 1, 1 (2020)]'), 'Majorana modes');
+    assert.strictEqual(RelationLinker.erratumOf('Publisher’s Note: Majorana modes'), 'Majorana modes');
+    assert.strictEqual(RelationLinker.erratumOf('Corrigendum to "Fluxoids in tubes"'), '"Fluxoids in tubes"');
+    assert.strictEqual(RelationLinker.erratumOf('Errors in quantum dots'), null);
+    assert.strictEqual(RelationLinker.erratumOf(null), null);
+});
+
+test('classify names the relation of a record to the kept entry', () => {
+    const linker = new RelationLinker();
+    const preprint = { id: 'http://arxiv.org/abs/2401.00001v1', doi: null, journal_ref: null };
+    const article = { id: 'doi:10.1000/a', doi: '10.1000/a', journal_ref: 'Phys. Rev. B 1, 1 (2024)' };
+
+    assert.strictEqual(linker.classify(article, preprint), 'preprint-of');
+    assert.strictEqual(linker.classify(preprint, article), 'published-as');
+    assert.strictEqual(linker.classify(article, { id: 'orcid:x', journal_ref: 'Proc. SPIE 1234 (2023)' }), 'conference-version');
+    assert.strictEqual(linker.classify(article, { id: 'doi:10.1000/e', title: 'Erratum: Paper' }), 'erratum');
+    assert.strictEqual(linker.classify(article, { id: 'doi:10.1000/b', doi: '10.1000/b' }), 'duplicate');
+});
+
+test('apply lists records under their canonical IDs, never ORCID source IDs', () => {
+    const linker = new RelationLinker({ normalizeDoi: PublicationId.normalizeDoi });
+    const kept = { id: 'http://arxiv.org/abs/2401.00001v2', doi: null, journal_ref: null };
+    const published = { id: 'orcid:0001-put-code-123456', title: 'Paper', doi: 'https://doi.org/10.1000/A', journal_ref: 'Phys. Rev. B 1, 1 (2024)' };
+    const versioned = { id: 'http://arxiv.org/abs/2401.00002v3', title: 'Paper', doi: '10.1000/b', journal_ref: null };
+
+    linker.link(published, kept);
+    linker.link(versioned, kept);
+    linker.apply([kept]);
+
+    assert.deepStrictEqual(kept.related.map(r => r.id), ['doi:10.1000/a', 'arxiv:2401.00002']);
+});
+
+test('apply follows merge chains and skips plain copies of the kept record', () => {
+    const linker = new RelationLinker();
+    const kept = { id: 'http://arxiv.org/abs/2401.00001v2', doi: '10.1000/a', journal_ref: 'Phys. Rev. B 1, 1 (2024)' };
+    const dropped = { id: 'orcid:0001-Paper', title: 'Paper', doi: null, journal_ref: 'Proceedings of Some Conference (2023)' };
+    const intermediate = { id: 'http://arxiv.org/abs/2401.00001v1', doi: null, journal_ref: null };
+
+    linker.link(dropped, intermediate);
+    linker.link(intermediate, kept);
+
+    assert.strictEqual(linker.apply([kept]), 1);
+    assert.deepStrictEqual(kept.related, [{
+        relation: 'conference-version',
+        id: `title:${PublicationId.titleHash('Paper')}`,
+        doi: null,
+        venue: 'Proceedings of Some Conference (2023)'
+    }]);
+});
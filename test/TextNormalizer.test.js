@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TextNormalizer = require('../src/utils/TextNormalizer');
+
+test('LaTeX titles become plain Unicode text and HTML with sub/superscripts and italics', () => {
+    assert.deepStrictEqual(TextNormalizer.normalize('Surface states of Bi$_2$Se$_3$ and $\\mathbb{Z}_2$ invariants'), {
+        text: 'Surface states of Bi2Se3 and ℤ2 invariants',
+        html: 'Surface states of Bi<sub>2</sub>Se<sub>3</sub> and ℤ<sub>2</sub> invariants'
+    });
+    assert.deepStrictEqual(TextNormalizer.normalize('\\emph{In situ} growth of {\\it ultra}thin films at $T_c = 5\\,$K'), {
+        text: 'In situ growth of ultrathin films at Tc = 5 K',
+        html: '<i>In situ</i> growth of <i>ultra</i>thin films at T<sub>c</sub> = 5 K'
+    });
+    assert.strictEqual(
+        TextNormalizer.toText('Andreev states in $\\pi$--junctions, $\\frac{1}{2}$ and $90^\\circ$ twists in Schr\\"{o}dinger cats'),
+        'Andreev states in π–junctions, 1/2 and 90° twists in Schrödinger cats'
+    );
+});
+
+test('math HTML cannot show is kept as TeX and the rest of the HTML is escaped', () => {
+    assert.deepStrictEqual(TextNormalizer.normalize('A $\\mathcal{PT}$-symmetric model with $n < 1$ \\& 5\\% disorder'), {
+        text: 'A PT-symmetric model with n < 1 & 5% disorder',
+        html: 'A <span class="tex">\\(\\mathcal{PT}\\)</span>-symmetric model with n &lt; 1 &amp; 5% disorder'
+    });
+    assert.strictEqual(TextNormalizer.toHtml('Literal <script>alert(1)</script> text'), 'Literal &lt;script&gt;alert(1)&lt;/script&gt; text');
+});
+
+test('commands with an argument outside math are read as in math', () => {
+    assert.deepStrictEqual(TextNormalizer.normalize('The \\mathbb{Z} invariant of \\textsc{Kitaev} chains'), {
+        text: 'The ℤ invariant of Kitaev chains',
+        html: 'The ℤ invariant of Kitaev chains'
+    });
+    assert.deepStrictEqual(TextNormalizer.normalize('Spin \\ce{H2O} ice'), {
+        text: 'Spin H2O ice',
+        html: 'Spin <span class="tex">\\(\\ce{H2O}\\)</span> ice'
+    });
+});
+
+test('inequalities inside LaTeX math are not taken for tags', () => {
+    assert.strictEqual(TextNormalizer.hasMarkup('The $p<i$ case for $i>p$'), false);
+    assert.strictEqual(TextNormalizer.hasMarkup('Bounds \\(a<b\\) and $$b>a$$'), false);
+    assert.strictEqual(TextNormalizer.hasMarkup('The $p<i$ case for <i>i</i>'), true);
+    assert.deepStrictEqual(TextNormalizer.normalize('The $p<i$ case for $i>p$'), {
+        text: 'The p<i case for i>p',
+        html: 'The p&lt;i case for i&gt;p'
+    });
+});
+
+test('JATS abstracts keep paragraphs, sub/superscripts and TeX formulas and drop their heading', () => {
+    const jats = '<jats:title>Abstract</jats:title>'
+        + '<jats:p>We grow Bi<jats:sub>2</jats:sub>Se<jats:sub>3</jats:sub> films with <jats:italic>T</jats:italic><jats:sub>c</jats:sub> &gt; 5 K.</jats:p>'
+        + '<jats:p>A <jats:inline-formula><jats:alternatives>'
+        + '<jats:tex-math>$$\\mathbb{Z}_2$$</jats:tex-math>'
+        + '<mml:math><mml:msub><mml:mi>Z</mml:mi><mml:mn>2</mml:mn></mml:msub></mml:math>'
+        + '</jats:alternatives></jats:inline-formula> phase.</jats:p>';
+
+    assert.deepStrictEqual(TextNormalizer.normalize(jats), {
+        text: 'We grow Bi2Se3 films with Tc > 5 K. A ℤ2 phase.',
+        html: '<p>We grow Bi<sub>2</sub>Se<sub>3</sub> films with <i>T</i><sub>c</sub> &gt; 5 K.</p><p>A ℤ<sub>2</sub> phase.</p>'
+    });
+    assert.strictEqual(TextNormalizer.toText('<jats:p>Spin <mml:math><mml:msub><mml:mi>S</mml:mi><mml:mi>z</mml:mi></mml:msub></mml:math> only</jats:p>'), 'Spin Sz only');
+});
+
+test('malformed markup falls back to its text and empty input gives nulls', () => {
+    assert.strictEqual(TextNormalizer.toText('Broken <p>markup <i>here'), 'Broken markup here');
+    assert.deepStrictEqual(TextNormalizer.normalize(null), { text: null, html: null });
+    assert.deepStrictEqual(TextNormalizer.normalize('  '), { text: null, html: null });
+});
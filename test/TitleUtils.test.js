@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TitleUtils = require('../src/utils/TitleUtils');
+
+test('titleKey ignores case, punctuation and trailing periods', () => {
+    assert.strictEqual(TitleUtils.titleKey('Topological Fluxoids.'), TitleUtils.titleKey('topological fluxoids'));
+    assert.strictEqual(TitleUtils.titleKey('Quantum dots & wires: a review'), 'quantum dots and wires a review');
+});
+
+test('titleKey maps LaTeX and Unicode Greek letters to the same names', () => {
+    assert.strictEqual(TitleUtils.titleKey('Majorana modes in $\\pi$-junctions'), 'majorana modes in pi junctions');
+    assert.strictEqual(TitleUtils.titleKey('Majorana modes in π–junctions'), 'majorana modes in pi junctions');
+    assert.strictEqual(TitleUtils.titleKey('Spin–orbit coupling in $\\alpha$-RuCl$_3$'), 'spin orbit coupling in alpha rucl3');
+});
+
+test('titleKey reads the text of tagged titles', () => {
+    assert.strictEqual(TitleUtils.titleKey('<i>In situ</i> growth of Bi<sub>2</sub>Se<sub>3</sub>'), 'in situ growth of bi2se3');
+    assert.strictEqual(TitleUtils.titleKey('<i>In situ</i> growth of Bi<sub>2</sub>Se<sub>3</sub>'), TitleUtils.titleKey('\\emph{In situ} growth of Bi$_2$Se$_3$'));
+    // Inequalities in math are not tags
+    assert.strictEqual(TitleUtils.titleKey('The $p<i$ case for $i>p$'), 'the p i case for i p');
+});
+
+test('titleKey strips accents, including LaTeX accent commands', () => {
+    assert.strictEqual(TitleUtils.titleKey('Schr\\"{o}dinger cats'), 'schrodinger cats');
+    assert.strictEqual(TitleUtils.titleKey('Schrödinger cats'), 'schrodinger cats');
+});
+
+test('titleKey folds British spellings into American ones', () => {
+    assert.strictEqual(
+        TitleUtils.titleKey('Colour centres and the behaviour of ionised metres'),
+        TitleUtils.titleKey('Color centers and the behavior of ionized meters')
+    );
+    assert.strictEqual(TitleUtils.titleKey('Characterisation of aluminium films'), 'characterization of aluminum films');
+});
+
+test('titleKey returns an empty key for missing titles', () => {
+    assert.strictEqual(TitleUtils.titleKey(null), '');
+    assert.deepStrictEqual(TitleUtils.tokens(''), []);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const VenueFormatter = require('../src/merger/VenueFormatter');
+
+const OPTIONS = {
+    abbreviations: { 'Physical Review B': 'Phys. Rev. B', 'Nature Communications': 'Nat. Commun.' },
+    normalizationPatterns: { 'Nat\\s+Commun': 'Nat. Commun.' }
+};
+
+test('complete fills the full name and abbreviation from either spelling', () => {
+    const formatter = new VenueFormatter(OPTIONS);
+    const byAbbreviation = formatter.complete({ journal: 'phys. rev. b', volume: '100' });
+    assert.strictEqual(byAbbreviation.journal, 'Physical Review B');
+    assert.strictEqual(byAbbreviation.abbreviation, 'Phys. Rev. B');
+    assert.strictEqual(byAbbreviation.volume, '100');
+    const fixed = formatter.complete({ journal: 'Nat Commun' });
+    assert.strictEqual(fixed.journal, 'Nature Communications');
+    assert.strictEqual(fixed.abbreviation, 'Nat. Commun.');
+
+    const unknown = formatter.complete({ journal: 'Journal of Things', abbreviation: 'J. Things' });
+    assert.strictEqual(unknown.journal, 'Journal of Things');
+    assert.strictEqual(unknown.abbreviation, 'J. Things');
+});
+
+test('render follows the default style and drops parts without values', () => {
+    const formatter = new VenueFormatter(OPTIONS);
+    assert.strictEqual(formatter.render(formatter.fromText('Physical Review B 100, 035401 (2019)')), 'Phys. Rev. B 100, 035401 (2019)');
+    assert.strictEqual(formatter.render(formatter.fromText('Nature Physics 20(3), 100-105 (2024)')), 'Nature Physics 20(3), 100-105 (2024)');
+    assert.strictEqual(formatter.render({ journal: 'Physical Review B', abbreviation: 'Phys. Rev. B', year: 2024 }), 'Phys. Rev. B (2024)');
+    assert.strictEqual(formatter.fromText('(2024)'), null);
+});
+
+test('render uses the configured citation style', () => {
+    const formatter = new VenueFormatter({
+        ...OPTIONS,
+        style: { journal: 'full', template: '{journal}[, vol. {volume}][, no. {issue}][, art. {article_number}][, {year}]' }
+    });
+    assert.strictEqual(
+        formatter.render(formatter.fromText('Phys. Rev. B 100(4), 035401 (2019)')),
+        'Physical Review B, vol. 100, no. 4, art. 035401, 2019'
+    );
+});
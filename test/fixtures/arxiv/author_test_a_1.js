@@ -0,0 +1 @@
+jsonarXivFeed({"entries":[{"authors":"Ana Test, Bob Example","categories":["Mesoscale and Nanoscale Physics (cond-mat.mes-hall)"],"comment":"10 pages, 4 figures","doi":"10.1103/PhysRevB.100.000001","formats":{"html":"http://arxiv.org/abs/2401.00001v2","pdf":"http://arxiv.org/pdf/2401.00001v2"},"id":"http://arxiv.org/abs/2401.00001v2","journal_ref":"Physical Review B 100, 000001 (2024)","published":"2024-01-10T14:00:00-05:00","subject":"Mesoscale and Nanoscale Physics (cond-mat.mes-hall)","summary":"We study Majorana zero modes in hybrid nanowires.","title":"Majorana modes in hybrid nanowires","updated":"2024-03-01T10:00:00-05:00"},{"authors":"Ana Test, Carl Other","categories":["Superconductivity (cond-mat.supr-con)"],"comment":"5 pages","formats":{"html":"http://arxiv.org/abs/2402.00002v1","pdf":"http://arxiv.org/pdf/2402.00002v1"},"id":"http://arxiv.org/abs/2402.00002v1","published":"2024-02-05T09:00:00-05:00","subject":"Superconductivity (cond-mat.supr-con)","summary":"Fluxoids in tubular superconductors carry topological charge.","title":"Topological fluxoids in tubes","updated":"2024-02-05T09:00:00-05:00"}]})
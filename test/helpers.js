@@ -0,0 +1,89 @@
+/**
+ * Shared test helpers: temporary directories, a local stand-in HTTP server
+ * and fetchers that never touch the network
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures');
+
+function makeTempDir(prefix = 'qudyma-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function removeDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function writeJSON(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 4));
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_PATH, name), 'utf8');
+}
+
+/**
+ * Starts a local HTTP server on a random port
+ * handler(req, url, body) returns { status, headers, body } or null for 404
+ * Resolves to { url, requests, close() }; requests logs "METHOD path?query"
+ */
+function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+            const response = handler(req, url, body) || { status: 404, body: 'Not Found' };
+            res.writeHead(response.status || 200, response.headers || {});
+            res.end(response.body || '');
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Fetchers for PublicationMerger that find nothing, so merge tests stay offline
+ */
+function offlineFetchers() {
+    return {
+        arxivFetcher: {
+            fetchMetadata: async () => null,
+            fetchMetadataBatch: async (ids) => new Map(ids.map(id => [id, null])),
+            searchByDOIBatch: async (dois) => new Map(dois.map(doi => [doi, null])),
+            searchByDOI: async () => null,
+            searchByTitleAndAuthor: async () => null
+        },
+        crossrefFetcher: {
+            fetchMetadata: async () => ({ authors: null, summary: null }),
+            fetchVenue: async () => null,
+            fetchType: async () => ({ type: null, isbn: null }),
+            searchByTitleAndAuthor: async () => null
+        }
+    };
+}
+
+module.exports = {
+    FIXTURES_PATH,
+    makeTempDir,
+    removeDir,
+    writeJSON,
+    readFixture,
+    startStubServer,
+    offlineFetchers
+};